@@ -0,0 +1,296 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import logger, { LevelCounter } from './utils/logger.js';
+import config, { databaseDialect, redactUrl } from './utils/config.js';
+import { REPORT_EXTENSION } from './utils/conversion-report.js';
+import { DONE_EXTENSION } from './utils/output-writer.js';
+
+/**
+ * One-shot conversion of the files given on the command line, for scripts
+ * and CI. Files are converted one after another with the registered
+ * processors; the exit code tells how it went. A database URL as input is
+ * read from the live database by the SQL processor.
+ */
+
+export const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  warnings: 2
+};
+
+const GLOB_CHARS = /[*?[]/;
+
+/**
+ * Regular expression for a glob pattern: ** matches across directories,
+ * * and ? within one
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Every file below a directory, leaving out dotfiles like the watcher does
+ */
+async function listFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Files matching a glob pattern, searched from its directory part
+ */
+async function expandGlob(pattern) {
+  const absolute = path.resolve(pattern).split(path.sep).join('/');
+  const parts = absolute.split('/');
+  const first = parts.findIndex(part => GLOB_CHARS.test(part));
+  const base = parts.slice(0, first).join('/') || '/';
+  const matcher = globToRegExp(absolute);
+
+  try {
+    const files = await listFiles(base);
+    return files.filter(file => matcher.test(file.split(path.sep).join('/')));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Copy standard input to a file, since processors read their input more
+ * than once
+ */
+async function readStdin(dir, inputType) {
+  const filePath = path.join(dir, `stdin.${inputType}`);
+  await pipeline(process.stdin, createWriteStream(filePath));
+  return filePath;
+}
+
+/**
+ * Copy every output file to standard output, leaving out reports and markers
+ */
+async function writeToStdout(dir) {
+  const files = (await listFiles(dir))
+    .filter(file => !file.endsWith(REPORT_EXTENSION) && !file.endsWith(DONE_EXTENSION));
+  if (files.length > 1) {
+    logger.warn(`Writing ${files.length} output files to standard output one after another`);
+  }
+
+  for (const file of files) {
+    for await (const chunk of createReadStream(file)) {
+      if (!process.stdout.write(chunk)) {
+        await once(process.stdout, 'drain');
+      }
+    }
+  }
+}
+
+export class Converter {
+  /**
+   * @param {Map<string, typeof BaseProcessor>} processors - Processor classes by file extension
+   */
+  constructor(processors) {
+    this.processors = processors;
+  }
+
+  /**
+   * Convert files, directories and glob patterns
+   * @param {Object} options
+   * @param {string[]} options.inputs - Paths or patterns; - reads standard input
+   * @param {string} [options.out] - Output directory; - writes to standard output,
+   *   so logging should go to stderr (logToStderr())
+   * @param {string} [options.inputType] - Extension of standard input, without dot
+   * @returns {Promise<number>} - Exit code from EXIT_CODES
+   */
+  async run({ inputs, out, inputType = 'sql' }) {
+    const toStdout = out === '-';
+    const counter = new LevelCounter();
+    logger.add(counter);
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'db-blender-convert-'));
+    const results = [];
+
+    try {
+      if (toStdout) {
+        const outputDir = path.join(tempDir, 'out');
+        await fs.mkdir(outputDir);
+        config.override({ exportDir: outputDir });
+      } else {
+        await fs.mkdir(config.getConfig().exportDir, { recursive: true });
+      }
+
+      const jobs = await this.planJobs(inputs, inputType, tempDir, results);
+      for (const job of jobs) {
+        results.push(await this.runJob(job, counter));
+      }
+
+      if (toStdout) {
+        await writeToStdout(config.getConfig().exportDir);
+      }
+    } finally {
+      logger.remove(counter);
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    return this.summarize(results);
+  }
+
+  /**
+   * Turn the inputs into conversion jobs. Inputs that cannot be converted
+   * are added to results as failures.
+   */
+  async planJobs(inputs, inputType, tempDir, results) {
+    const files = [];
+    const databases = [];
+
+    for (const input of inputs) {
+      if (databaseDialect(input)) {
+        databases.push({ files: [input], Processor: this.processors.get('.sql'), database: true });
+        continue;
+      }
+
+      if (input === '-') {
+        if (!this.processors.has(`.${inputType}`)) {
+          logger.error(`Unsupported input type for standard input: ${inputType}`);
+          results.push({ file: '-', status: 'failed' });
+          continue;
+        }
+        files.push({ file: await readStdin(tempDir, inputType), explicit: true });
+        continue;
+      }
+
+      if (GLOB_CHARS.test(input)) {
+        const matches = await expandGlob(input);
+        if (matches.length === 0) {
+          logger.error(`No files match ${input}`);
+          results.push({ file: input, status: 'failed' });
+        }
+        files.push(...matches.map(file => ({ file, explicit: false })));
+        continue;
+      }
+
+      try {
+        const stats = await fs.stat(input);
+        if (stats.isDirectory()) {
+          files.push(...(await listFiles(input)).map(file => ({ file, explicit: false })));
+        } else {
+          files.push({ file: input, explicit: true });
+        }
+      } catch {
+        logger.error(`Input not found: ${input}`);
+        results.push({ file: input, status: 'failed' });
+      }
+    }
+
+    const jobs = [];
+    const seen = new Set();
+    for (const { file, explicit } of files) {
+      const resolved = path.resolve(file);
+      if (seen.has(resolved) || config.isConfigFile(file)) continue;
+      seen.add(resolved);
+
+      const Processor = this.processors.get(path.extname(file).toLowerCase());
+      if (Processor) {
+        jobs.push({ files: [file], Processor });
+      } else if (explicit) {
+        logger.error(`No processor registered for ${path.extname(file) || 'extensionless'} files: ${file}`);
+        results.push({ file, status: 'failed' });
+      } else {
+        logger.debug(`Skipping ${file}, no processor for its type`);
+      }
+    }
+
+    return [...databases, ...this.mergeJobs(jobs)];
+  }
+
+  /**
+   * With mergeSql, all SQL dumps become one batch job
+   */
+  mergeJobs(jobs) {
+    if (!config.getConfig().mergeSql) return jobs;
+
+    const batch = jobs.filter(job => job.Processor.prototype.processBatch);
+    if (batch.length < 2) return jobs;
+
+    const rest = jobs.filter(job => !job.Processor.prototype.processBatch);
+    return [{ files: batch.flatMap(job => job.files), Processor: batch[0].Processor }, ...rest];
+  }
+
+  async runJob({ files, Processor, database = false }, counter) {
+    const label = database ? redactUrl(files[0]) : files.join(', ');
+    const warnings = counter.counts.warn;
+    const processor = new Processor();
+
+    try {
+      if (database) {
+        await processor.processDatabase(files[0]);
+      } else if (files.length > 1) {
+        await processor.processBatch(files);
+      } else {
+        await processor.process(files[0]);
+      }
+    } catch (error) {
+      logger.error(`Failed to convert ${label}: ${error.message}`);
+      return { file: label, status: 'failed' };
+    }
+
+    return { file: label, status: counter.counts.warn > warnings ? 'warnings' : 'ok' };
+  }
+
+  /**
+   * Log the outcome and pick the exit code
+   */
+  summarize(results) {
+    const count = status => results.filter(result => result.status === status).length;
+    const failed = count('failed');
+    const warnings = count('warnings');
+
+    if (results.length === 0) {
+      logger.error('No input files to convert');
+      return EXIT_CODES.failure;
+    }
+
+    logger.info(
+      `Converted ${results.length - failed} of ${results.length} input(s)` +
+      (warnings > 0 ? `, ${warnings} with warnings` : '') +
+      (failed > 0 ? `, ${failed} failed: ${results.filter(r => r.status === 'failed').map(r => r.file).join(', ')}` : '')
+    );
+
+    if (failed > 0) return EXIT_CODES.failure;
+    if (warnings > 0) return EXIT_CODES.warnings;
+    return EXIT_CODES.success;
+  }
+}
@@ -0,0 +1,548 @@
+import logger from '../utils/logger.js';
+import { decodeMysqlString, parseInsertStatement } from '../utils/insert-parser.js';
+
+const MAX_IDENTIFIER_LENGTH = 63;
+
+const TYPE_MAP = {
+  TINYINT: 'SMALLINT',
+  SMALLINT: 'SMALLINT',
+  MEDIUMINT: 'INTEGER',
+  INT: 'INTEGER',
+  INTEGER: 'INTEGER',
+  BIGINT: 'BIGINT',
+  FLOAT: 'REAL',
+  DOUBLE: 'DOUBLE PRECISION',
+  REAL: 'DOUBLE PRECISION',
+  DATETIME: 'TIMESTAMP',
+  TIMESTAMP: 'TIMESTAMP',
+  DATE: 'DATE',
+  TIME: 'TIME',
+  YEAR: 'SMALLINT',
+  TINYTEXT: 'TEXT',
+  TEXT: 'TEXT',
+  MEDIUMTEXT: 'TEXT',
+  LONGTEXT: 'TEXT',
+  TINYBLOB: 'BYTEA',
+  BLOB: 'BYTEA',
+  MEDIUMBLOB: 'BYTEA',
+  LONGBLOB: 'BYTEA',
+  BINARY: 'BYTEA',
+  VARBINARY: 'BYTEA',
+  JSON: 'JSONB',
+  SET: 'TEXT'
+};
+
+// Unsigned integers need the next wider type to hold their full range
+const UNSIGNED_TYPE_MAP = {
+  TINYINT: 'SMALLINT',
+  SMALLINT: 'INTEGER',
+  MEDIUMINT: 'INTEGER',
+  INT: 'BIGINT',
+  INTEGER: 'BIGINT',
+  BIGINT: 'NUMERIC(20)'
+};
+
+const IDENTITY_TYPES = ['SMALLINT', 'INTEGER', 'BIGINT'];
+const TEMPORAL_TYPES = ['DATE', 'DATETIME', 'TIMESTAMP'];
+const ZERO_DATE = /^0000-00-00/;
+
+/**
+ * Translates parsed MySQL statements into PostgreSQL.
+ *
+ * Index definitions, foreign keys, comments and sequence resets are collected
+ * while translating and emitted by getDeferredStatements() once all data has
+ * been loaded.
+ */
+export class PostgresTranslator {
+  constructor() {
+    this.tables = new Map();
+    this.indexes = [];
+    this.constraints = [];
+    this.comments = [];
+    this.warned = new Set();
+  }
+
+  /**
+   * Quote an identifier for PostgreSQL
+   */
+  quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Quote a string literal for PostgreSQL (standard_conforming_strings = on)
+   */
+  quoteString(value) {
+    let text = String(value);
+    if (text.includes('\0')) {
+      this.warnOnce('nul', 'Removed NUL characters from string values, PostgreSQL text cannot store them');
+      text = text.replace(/\0/g, '');
+    }
+    return `'${text.replace(/'/g, "''")}'`;
+  }
+
+  warnOnce(key, message) {
+    if (!this.warned.has(key)) {
+      this.warned.add(key);
+      logger.warn(message);
+    }
+  }
+
+  /**
+   * Translate a single statement. Returns zero or more PostgreSQL statements
+   * without trailing delimiters.
+   * @param {string} statement - Original MySQL statement text
+   * @param {Object|Object[]|null} ast - node-sql-parser AST, or null if parsing failed
+   * @returns {string[]}
+   */
+  translate(statement, ast) {
+    if (Array.isArray(ast)) {
+      return ast.flatMap(node => this.translate(statement, node));
+    }
+
+    try {
+      if (/^\s*(INSERT|REPLACE)\b/i.test(statement)) {
+        return this.translateInsert(statement);
+      }
+
+      if (!ast) {
+        if (/^\s*SET\b/i.test(statement)) {
+          logger.debug('Skipping MySQL-specific set statement');
+          return [];
+        }
+        return this.untranslated(statement, 'statement could not be parsed');
+      }
+
+      switch (ast.type) {
+        case 'create':
+          if (ast.keyword === 'table') {
+            return this.translateCreateTable(ast);
+          }
+          return this.untranslated(statement, `CREATE ${ast.keyword} is not supported`);
+        case 'drop':
+          return this.translateDrop(statement, ast);
+        case 'alter':
+          return this.translateAlter(statement, ast);
+        case 'set':
+        case 'lock':
+        case 'unlock':
+          // Session settings and table locks only make sense in MySQL
+          logger.debug(`Skipping MySQL-specific ${ast.type} statement`);
+          return [];
+        default:
+          return this.untranslated(statement, `${ast.type} statements are not supported`);
+      }
+    } catch (error) {
+      return this.untranslated(statement, error.message);
+    }
+  }
+
+  /**
+   * Keep a statement we cannot translate as a comment so the output still loads
+   */
+  untranslated(statement, reason) {
+    logger.warn(`Could not translate statement to PostgreSQL (${reason}), emitting it as a comment`);
+    const commented = statement
+      .trim()
+      .split('\n')
+      .map(line => `-- ${line}`)
+      .join('\n');
+    return [`-- Untranslated MySQL statement (${reason}):\n${commented}`];
+  }
+
+  /**
+   * Translate CREATE TABLE, collecting indexes and constraints for later
+   */
+  translateCreateTable(ast) {
+    const tableName = ast.table[0].table;
+    const table = { name: tableName, columns: new Map(), columnOrder: [] };
+    this.tables.set(tableName, table);
+
+    const lines = [];
+    for (const def of ast.create_definitions || []) {
+      if (def.resource === 'column') {
+        lines.push(this.translateColumn(table, def));
+      } else if (def.resource === 'constraint') {
+        const line = this.translateConstraint(table, def);
+        if (line) lines.push(line);
+      } else if (def.resource === 'index') {
+        this.addIndex(table, def, false);
+      }
+    }
+
+    const statements = [];
+    const ifNotExists = ast.if_not_exists ? 'IF NOT EXISTS ' : '';
+    statements.push(
+      `CREATE TABLE ${ifNotExists}${this.quoteIdentifier(tableName)} (\n  ${lines.join(',\n  ')}\n)`
+    );
+
+    for (const option of ast.table_options || []) {
+      if (option.keyword === 'comment') {
+        const raw = String(option.value).replace(/^'(.*)'$/s, '$1');
+        this.comments.push(
+          `COMMENT ON TABLE ${this.quoteIdentifier(tableName)} IS ${this.quoteString(decodeMysqlString(raw))}`
+        );
+      }
+    }
+
+    return statements;
+  }
+
+  /**
+   * Translate a column definition and register it for data conversion
+   */
+  translateColumn(table, def) {
+    const name = def.column.column;
+    const column = this.translateType(def.definition);
+    column.name = name;
+    column.identity = Boolean(def.auto_increment);
+
+    if (column.identity && !IDENTITY_TYPES.includes(column.type)) {
+      column.type = 'BIGINT';
+    }
+
+    table.columns.set(name, column);
+    table.columnOrder.push(name);
+
+    const quoted = this.quoteIdentifier(name);
+    const parts = [quoted, column.type];
+
+    if (column.identity) {
+      parts.push('GENERATED BY DEFAULT AS IDENTITY');
+    }
+    if (def.nullable && def.nullable.type === 'not null') {
+      parts.push('NOT NULL');
+    }
+    if (def.default_val && !column.identity) {
+      const defaultValue = this.translateDefault(table, column, def.default_val.value);
+      if (defaultValue !== null) {
+        parts.push(`DEFAULT ${defaultValue}`);
+      }
+    }
+    if (def.primary_key) {
+      parts.push('PRIMARY KEY');
+    } else if (def.unique) {
+      parts.push('UNIQUE');
+    }
+    if (column.values) {
+      const allowed = column.values.map(value => this.quoteString(value)).join(', ');
+      parts.push(`CHECK (${quoted} IN (${allowed}))`);
+    }
+    if (def.comment) {
+      const comment = decodeMysqlString(String(def.comment.value.value));
+      this.comments.push(
+        `COMMENT ON COLUMN ${this.quoteIdentifier(table.name)}.${quoted} IS ${this.quoteString(comment)}`
+      );
+    }
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Map a MySQL data type definition to its PostgreSQL equivalent
+   */
+  translateType(definition) {
+    const dataType = definition.dataType.toUpperCase();
+    const suffix = (definition.suffix || []).map(s => String(s).toUpperCase());
+    const unsigned = suffix.includes('UNSIGNED');
+    const column = { sourceType: dataType, boolean: false, bytea: false, temporal: false };
+
+    if ((dataType === 'TINYINT' && definition.length === 1) ||
+        (dataType === 'BIT' && (definition.length || 1) === 1) ||
+        dataType === 'BOOL' || dataType === 'BOOLEAN') {
+      column.type = 'BOOLEAN';
+      column.boolean = true;
+      return column;
+    }
+
+    switch (dataType) {
+      case 'CHAR':
+      case 'VARCHAR':
+        column.type = definition.length ? `${dataType}(${definition.length})` : dataType;
+        return column;
+      case 'DECIMAL':
+      case 'NUMERIC':
+        column.type = definition.length
+          ? `NUMERIC(${definition.length}${definition.scale !== null && definition.scale !== undefined ? `,${definition.scale}` : ''})`
+          : 'NUMERIC';
+        return column;
+      case 'BIT':
+        column.type = `BIT VARYING(${definition.length})`;
+        return column;
+      case 'ENUM': {
+        column.values = definition.expr.value.map(item => decodeMysqlString(String(item.value)));
+        const maxLength = Math.max(1, ...column.values.map(value => value.length));
+        column.type = `VARCHAR(${maxLength})`;
+        return column;
+      }
+      default:
+        break;
+    }
+
+    if (unsigned && UNSIGNED_TYPE_MAP[dataType]) {
+      column.type = UNSIGNED_TYPE_MAP[dataType];
+    } else if (TYPE_MAP[dataType]) {
+      column.type = TYPE_MAP[dataType];
+    } else {
+      this.warnOnce(`type:${dataType}`, `No PostgreSQL mapping for MySQL type ${dataType}, keeping it unchanged`);
+      column.type = dataType;
+    }
+
+    if (dataType === 'SET') {
+      this.warnOnce('type:SET', 'MySQL SET columns are converted to TEXT holding the comma-separated values');
+    }
+
+    column.bytea = column.type === 'BYTEA';
+    column.temporal = TEMPORAL_TYPES.includes(dataType);
+    return column;
+  }
+
+  /**
+   * Translate a column DEFAULT expression, or return null to drop it
+   */
+  translateDefault(table, column, value) {
+    switch (value.type) {
+      case 'null':
+        return 'NULL';
+      case 'number':
+      case 'bool':
+      case 'bit_string':
+      case 'single_quote_string':
+      case 'double_quote_string': {
+        const literal = this.literalFromAst(value);
+        if (column.temporal && literal.type === 'string' && ZERO_DATE.test(literal.value)) {
+          logger.warn(`Dropping zero-date default on ${table.name}.${column.name}`);
+          return null;
+        }
+        return this.formatValue(literal, column);
+      }
+      case 'function':
+        if (value.over) {
+          this.warnOnce(
+            `on-update:${table.name}.${column.name}`,
+            `ON UPDATE ${value.over.keyword} on ${table.name}.${column.name} has no PostgreSQL equivalent and was dropped`
+          );
+        }
+        return value.name.toUpperCase() === 'CURRENT_TIMESTAMP' ? 'CURRENT_TIMESTAMP' : `${value.name}()`;
+      default:
+        logger.warn(`Unsupported default on ${table.name}.${column.name}, dropping it`);
+        return null;
+    }
+  }
+
+  /**
+   * Convert a node-sql-parser literal node to the insert parser's value shape
+   */
+  literalFromAst(node) {
+    switch (node.type) {
+      case 'number':
+        return { type: 'number', value: String(node.value) };
+      case 'bool':
+        return { type: 'bool', value: node.value };
+      case 'bit_string':
+        return { type: 'bit', value: node.value };
+      default:
+        return { type: 'string', value: decodeMysqlString(String(node.value)) };
+    }
+  }
+
+  /**
+   * Translate a table-level constraint. Foreign keys are deferred so tables
+   * can be created in any order; unique keys become indexes.
+   */
+  translateConstraint(table, def) {
+    const type = String(def.constraint_type).toLowerCase();
+    const columns = this.columnList(def.definition);
+
+    switch (type) {
+      case 'primary key':
+        return `PRIMARY KEY (${columns})`;
+      case 'unique key':
+      case 'unique':
+      case 'unique index':
+        this.addIndex(table, def, true);
+        return null;
+      case 'foreign key': {
+        const reference = def.reference_definition;
+        const name = def.constraint || `${table.name}_${def.definition.map(c => c.column).join('_')}_fkey`;
+        const actions = (reference.on_action || [])
+          .map(action => `${action.type.toUpperCase()} ${String(action.value.value).toUpperCase()}`)
+          .join(' ');
+        this.constraints.push(
+          `ALTER TABLE ${this.quoteIdentifier(table.name)} ADD CONSTRAINT ${this.quoteIdentifier(this.truncateIdentifier(name))} ` +
+          `FOREIGN KEY (${columns}) REFERENCES ${this.quoteIdentifier(reference.table[0].table)} ` +
+          `(${this.columnList(reference.definition)})${actions ? ` ${actions}` : ''}`
+        );
+        return null;
+      }
+      default:
+        logger.warn(`Skipping unsupported ${type} constraint on table ${table.name}`);
+        return null;
+    }
+  }
+
+  /**
+   * Queue a CREATE INDEX statement for an inline KEY definition
+   */
+  addIndex(table, def, unique) {
+    const keyword = String(def.keyword || '').toLowerCase();
+    if (keyword.startsWith('fulltext') || keyword.startsWith('spatial')) {
+      logger.warn(`Skipping ${keyword} ${def.index || ''} on table ${table.name}, it needs a manual PostgreSQL equivalent`);
+      return;
+    }
+
+    const columnNames = def.definition.map(c => c.column);
+    const name = def.index
+      ? `${table.name}_${def.index}`
+      : `${table.name}_${columnNames.join('_')}_${unique ? 'key' : 'idx'}`;
+
+    if (def.definition.some(c => c.suffix)) {
+      this.warnOnce(`prefix:${table.name}`, `Dropped index prefix lengths on table ${table.name}`);
+    }
+
+    this.indexes.push(
+      `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${this.quoteIdentifier(this.truncateIdentifier(name))} ` +
+      `ON ${this.quoteIdentifier(table.name)} (${this.columnList(def.definition)})`
+    );
+  }
+
+  translateDrop(statement, ast) {
+    if (ast.keyword !== 'table') {
+      return this.untranslated(statement, `DROP ${ast.keyword} is not supported`);
+    }
+    const ifExists = ast.prefix ? 'IF EXISTS ' : '';
+    const names = ast.name.map(t => this.quoteIdentifier(t.table)).join(', ');
+    return [`DROP TABLE ${ifExists}${names} CASCADE`];
+  }
+
+  translateAlter(statement, ast) {
+    const tableName = ast.table[0].table;
+    const table = this.tables.get(tableName) || { name: tableName, columns: new Map(), columnOrder: [] };
+
+    for (const expr of ast.expr) {
+      if (expr.action === 'add' && expr.resource === 'constraint') {
+        this.translateConstraint(table, expr.create_definitions);
+      } else if (expr.action === 'add' && expr.resource === 'index') {
+        this.addIndex(table, expr.create_definitions || expr, false);
+      } else {
+        return this.untranslated(statement, `ALTER TABLE ${expr.action} is not supported`);
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Translate an INSERT statement using the column types collected from CREATE TABLE
+   */
+  translateInsert(statement) {
+    const insert = parseInsertStatement(statement);
+    if (!insert) {
+      return this.untranslated(statement, 'only INSERT ... VALUES is supported');
+    }
+
+    const table = this.tables.get(insert.table);
+    const columnNames = insert.columns || (table ? table.columnOrder : null);
+    const columns = (columnNames || []).map(name => (table && table.columns.get(name)) || { name });
+
+    if (insert.verb === 'REPLACE') {
+      this.warnOnce('replace', 'REPLACE statements are translated to plain INSERT statements');
+    }
+    if (insert.suffix) {
+      this.warnOnce('on-duplicate', 'Dropped ON DUPLICATE KEY UPDATE clauses from INSERT statements');
+    }
+
+    const rows = insert.rows.map(row =>
+      `(${row.map((value, i) => this.formatValue(value, columns[i] || {})).join(', ')})`
+    );
+
+    const columnSql = insert.columns
+      ? ` (${insert.columns.map(c => this.quoteIdentifier(c)).join(', ')})`
+      : '';
+    const conflict = insert.modifiers.includes('IGNORE') ? '\nON CONFLICT DO NOTHING' : '';
+
+    return [`INSERT INTO ${this.quoteIdentifier(insert.table)}${columnSql} VALUES\n${rows.join(',\n')}${conflict}`];
+  }
+
+  /**
+   * Format a value from the insert parser as a PostgreSQL literal
+   * @param {Object} value - `{ type, value }` literal
+   * @param {Object} column - Column info gathered from CREATE TABLE
+   * @returns {string}
+   */
+  formatValue(value, column) {
+    switch (value.type) {
+      case 'null':
+        return 'NULL';
+      case 'bool':
+        return value.value ? 'TRUE' : 'FALSE';
+      case 'number':
+        if (column.boolean) {
+          return Number(value.value) !== 0 ? 'TRUE' : 'FALSE';
+        }
+        return value.value;
+      case 'bit':
+        if (column.boolean) {
+          return /1/.test(value.value) ? 'TRUE' : 'FALSE';
+        }
+        return `B'${value.value}'`;
+      case 'hex':
+        if (column.bytea) {
+          return `'\\x${value.value}'`;
+        }
+        return `convert_from('\\x${value.value}', 'UTF8')`;
+      case 'string':
+        if (column.boolean && /^[01]$/.test(value.value)) {
+          return value.value === '1' ? 'TRUE' : 'FALSE';
+        }
+        if (column.bytea) {
+          return `'\\x${Buffer.from(value.value, 'utf8').toString('hex').toUpperCase()}'`;
+        }
+        if (column.temporal && ZERO_DATE.test(value.value)) {
+          this.warnOnce(`zero-date:${column.name}`, `Converted zero dates in column ${column.name} to NULL`);
+          return 'NULL';
+        }
+        return this.quoteString(value.value);
+      default:
+        return value.value;
+    }
+  }
+
+  columnList(definition) {
+    return definition.map(c => this.quoteIdentifier(c.column)).join(', ');
+  }
+
+  truncateIdentifier(name) {
+    return name.length > MAX_IDENTIFIER_LENGTH ? name.slice(0, MAX_IDENTIFIER_LENGTH) : name;
+  }
+
+  /**
+   * Statements to run after all tables are created and loaded: indexes,
+   * foreign keys, comments and identity sequence resets.
+   * @param {Array<{ table: string, value: string }>} [counters] - AUTO_INCREMENT
+   *   counters of the source tables; sequences start at least there
+   * @returns {string[]}
+   */
+  getDeferredStatements(counters = []) {
+    const sequenceResets = [];
+    const starts = new Map(counters.map(({ table, value }) => [table, value]));
+
+    for (const table of this.tables.values()) {
+      for (const column of table.columns.values()) {
+        if (!column.identity) continue;
+        const tableName = this.quoteIdentifier(table.name);
+        const columnName = this.quoteIdentifier(column.name);
+        let next = `COALESCE(MAX(${columnName}), 0) + 1`;
+        if (starts.has(table.name)) {
+          next = `GREATEST(${next}, ${starts.get(table.name)})`;
+        }
+        sequenceResets.push(
+          `SELECT setval(pg_get_serial_sequence(${this.quoteString(tableName)}, ${this.quoteString(column.name)}), ` +
+          `${next}, false) FROM ${tableName}`
+        );
+      }
+    }
+
+    return [...this.indexes, ...this.constraints, ...this.comments, ...sequenceResets];
+  }
+}
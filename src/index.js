@@ -1,51 +1,107 @@
-import logger from './utils/logger.js';
-import config from './utils/config.js';
+#!/usr/bin/env node
+import logger, { logToStderr } from './utils/logger.js';
+import config, { ConfigError } from './utils/config.js';
 import watcher from './watcher.js';
+import { ApiServer } from './server.js';
+import { Converter, EXIT_CODES } from './convert.js';
 import { SqlProcessor } from './processors/sql-processor.js';
 import { CsvProcessor } from './processors/csv-processor.js';
 import { JsonProcessor } from './processors/json-processor.js';
 
+// Processor class per supported file extension; each conversion gets an instance
+const PROCESSORS = new Map([
+  ['.sql', SqlProcessor],
+  ['.csv', CsvProcessor],
+  ['.tsv', CsvProcessor],
+  ['.txt', CsvProcessor],
+  ['.json', JsonProcessor],
+  ['.ndjson', JsonProcessor],
+  ['.jsonl', JsonProcessor]
+]);
+
+let apiServer = null;
+
+/**
+ * Watch the input directory and convert files as they arrive
+ */
+async function watch() {
+  // Load configuration
+  const cfg = config.getConfig();
+  logger.info('DB Blender starting...');
+  logger.info(`Input directory: ${cfg.inputDir}`);
+  logger.info(`Export directory: ${cfg.exportDir}`);
+  logger.info(`Output format: ${cfg.outputFormat}`);
+
+  // Register processors
+  for (const [extension, Processor] of PROCESSORS) {
+    watcher.registerProcessor(extension, Processor);
+  }
+
+  // Start the file watcher
+  await watcher.start();
+
+  if (cfg.apiPort) {
+    apiServer = new ApiServer(watcher);
+    await apiServer.start({ host: cfg.apiHost, port: cfg.apiPort, exportDir: cfg.exportDir });
+  }
+  logger.info('DB Blender is ready for file processing');
+}
+
+/**
+ * Convert the given files once and exit with a code that tells how it went
+ */
+async function convert(command) {
+  if (command.out === '-') {
+    logToStderr();
+  }
+
+  // Load configuration first, so errors surface before any input is read
+  config.getConfig();
+  const converter = new Converter(PROCESSORS);
+  process.exitCode = await converter.run(command);
+}
+
 async function main() {
   try {
-    // Load configuration
-    const cfg = config.getConfig();
-    logger.info('DB Blender starting...');
-    logger.info(`Input directory: ${cfg.inputDir}`);
-    logger.info(`Export directory: ${cfg.exportDir}`);
-    logger.info(`Output format: ${cfg.outputFormat}`);
-
-    // Initialize processors
-    const sqlProcessor = new SqlProcessor();
-    const csvProcessor = new CsvProcessor();
-    const jsonProcessor = new JsonProcessor();
-
-    // Register processors
-    watcher.registerProcessor('.sql', sqlProcessor);
-    watcher.registerProcessor('.csv', csvProcessor);
-    watcher.registerProcessor('.json', jsonProcessor);
-
-    // Start the file watcher
-    await watcher.start();
-    logger.info('DB Blender is ready for file processing');
-
+    const command = config.getCommand();
+    if (command.name === 'convert') {
+      await convert(command);
+    } else {
+      await watch();
+    }
   } catch (error) {
-    logger.error('Failed to start DB Blender:', error);
-    process.exit(1);
+    if (error instanceof ConfigError) {
+      logger.error(error.message);
+    } else {
+      logger.error('Failed to start DB Blender:', error);
+    }
+    process.exit(EXIT_CODES.failure);
   }
 }
 
-// Handle process signals for graceful shutdown
-process.on('SIGINT', async () => {
-  logger.info('Received SIGINT signal. Shutting down...');
-  await watcher.stop();
-  process.exit(0);
-});
+let stopping = false;
 
-process.on('SIGTERM', async () => {
-  logger.info('Received SIGTERM signal. Shutting down...');
+/**
+ * Stop watching and let running conversions finish before exiting. A second
+ * signal exits right away.
+ */
+async function shutdown(signal) {
+  if (stopping) {
+    logger.warn(`Received ${signal} again, exiting without waiting for running conversions`);
+    process.exit(EXIT_CODES.failure);
+  }
+  stopping = true;
+  logger.info(`Received ${signal} signal. Shutting down...`);
+  if (apiServer) {
+    await apiServer.stop();
+  }
   await watcher.stop();
   process.exit(0);
-});
+}
+
+// Handle process signals for graceful shutdown
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Handle uncaught errors
 process.on('uncaughtException', (error) => {
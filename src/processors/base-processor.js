@@ -1,17 +1,147 @@
-import logger from '../utils/logger.js';
+import logger, { captureLogs } from '../utils/logger.js';
 import path from 'path';
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
 import config from '../utils/config.js';
+import iconv from 'iconv-lite';
+import {
+  SAMPLE_BYTES,
+  countMojibake,
+  decode,
+  detectEncoding,
+  repairMojibake,
+  resolveCharset
+} from '../utils/encoding.js';
+import { OutputWriter, markDone, writeFileAtomic } from '../utils/output-writer.js';
+import { ConversionReport, REPORT_EXTENSION } from '../utils/conversion-report.js';
+import { DatabaseLoader } from '../utils/database-loader.js';
+
+// Decoded text is handed on at line boundaries; lines longer than this are cut
+const MAX_PENDING_CHARS = 1024 * 1024;
 
 export class BaseProcessor {
-  constructor() {
-    this.config = config.getConfig();
+  /**
+   * A processor converts one file or batch at a time; create one per job
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborted when the job is cancelled
+   * @param {string} [options.exportDir] - Directory for the outputs instead of the configured one
+   */
+  constructor({ signal = null, exportDir = null } = {}) {
+    this.signal = signal;
+    this.exportDir = exportDir;
+    this.config = this.withExportDir(config.getConfig());
+    this.progress = null; // ProgressReporter of the input being read
+    this.report = null; // ConversionReport of the running conversion
+    this.location = null; // Statement or row being converted, for error reports
+  }
+
+  /**
+   * Switch to the configuration for a file: the project configuration with
+   * the file's sidecar applied
+   * @param {string|null} filePath - Input file, or null for the project configuration
+   * @returns {Promise<void>}
+   */
+  async loadConfig(filePath) {
+    this.config = this.withExportDir(await config.forFile(filePath));
+  }
+
+  withExportDir(options) {
+    return this.exportDir ? { ...options, exportDir: this.exportDir } : options;
+  }
+
+  /**
+   * Run a conversion and write its report next to the output. Warnings and
+   * errors logged during the conversion go into the report. With a target
+   * database, the output is loaded into it before the report is written.
+   * Once the report is written, each output gets its .done marker. A failure
+   * is given the location in the input where it happened as error.location,
+   * or the failing output statement when loading failed.
+   * @param {string[]} inputPaths - Files being converted
+   * @param {Function} work - The conversion
+   * @returns {Promise<string[]>} - Paths of the written outputs
+   */
+  async withReport(inputPaths, work) {
+    const report = new ConversionReport(inputPaths, this.config);
+    this.report = report;
+    this.location = null;
+
+    let failure = null;
+    try {
+      await captureLogs(entry => report.addLog(entry), async () => {
+        await work();
+        if (this.config.target) {
+          await this.loadTarget(report);
+        }
+      });
+    } catch (error) {
+      failure = error;
+      if (this.location && !error.location) {
+        error.location = this.location;
+      }
+      throw error;
+    } finally {
+      this.report = null;
+      if (this.config.report) {
+        await this.writeReport(report, inputPaths, failure);
+      }
+    }
+
+    if (this.config.doneMarkers) {
+      for (const outputPath of report.outputs) {
+        await markDone(outputPath);
+      }
+    }
+    return report.outputs;
+  }
+
+  /**
+   * Execute the SQL outputs of a conversion against the target database
+   */
+  async loadTarget(report) {
+    this.location = null;
+    const loader = new DatabaseLoader(this.config.target, {
+      dryRun: this.config.dryRun,
+      encoding: resolveCharset(this.config.toEncoding),
+      signal: this.signal
+    });
+    report.setLoad(await loader.load(report.outputs.filter(outputPath => path.extname(outputPath) === '.sql')));
+  }
+
+  /**
+   * Write a report as <output>.report.json. Conversions with several or no
+   * outputs name it after the input instead.
+   */
+  async writeReport(report, inputPaths, failure) {
+    const outputs = report.outputs;
+    const reportPath = outputs.length === 1
+      ? outputs[0].slice(0, outputs[0].length - path.extname(outputs[0]).length) + REPORT_EXTENSION
+      : this.generateOutputPath(
+        inputPaths.length === 1 ? inputPaths[0] : path.join(this.config.inputDir, 'merged'),
+        REPORT_EXTENSION
+      );
+
+    try {
+      const { status } = await report.write(reportPath, failure);
+      logger.info(`Wrote ${status} report to ${reportPath}`);
+    } catch (error) {
+      logger.error(`Could not write report ${reportPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop the conversion if its job was cancelled
+   * @throws {JobCancelledError}
+   */
+  checkCancelled() {
+    if (this.signal) {
+      this.signal.throwIfAborted();
+    }
   }
 
   /**
    * Process a file and generate the output
    * @param {string} filePath - Path to the input file
-   * @returns {Promise<void>}
+   * @returns {Promise<string[]>} - Paths of the written outputs
    */
   async process(filePath) {
     throw new Error('process() method must be implemented by processor');
@@ -26,6 +156,9 @@ export class BaseProcessor {
   generateOutputPath(inputPath, extension) {
     const originalName = path.basename(inputPath, path.extname(inputPath));
     const outputExt = extension || this.getOutputExtension();
+    if (this.config.outputNaming === 'stable') {
+      return path.join(this.config.exportDir, `${originalName}_converted${outputExt}`);
+    }
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     return path.join(
       this.config.exportDir,
@@ -53,13 +186,13 @@ export class BaseProcessor {
   }
 
   /**
-   * Read the content of a file
+   * Read the raw content of a file
    * @param {string} filePath - Path to the file to read
-   * @returns {Promise<string>} - File content
+   * @returns {Promise<Buffer>} - File content, decoded later by convertEncoding()
    */
   async readFile(filePath) {
     try {
-      return await fs.readFile(filePath, 'utf8');
+      return await fs.readFile(filePath);
     } catch (error) {
       logger.error(`Error reading file ${filePath}:`, error);
       throw error;
@@ -67,14 +200,169 @@ export class BaseProcessor {
   }
 
   /**
-   * Write content to output file
+   * Read the leading bytes of a file for encoding detection
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<Buffer>}
+   */
+  async readSample(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(SAMPLE_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, SAMPLE_BYTES, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Determine the source encoding, detecting it when fromEncoding is 'auto'.
+   * The result is kept in this.encodingInfo.
+   * @param {Buffer} sample - Raw bytes from the start of the file
+   * @returns {Object} - Encoding info
+   */
+  detectSourceEncoding(sample) {
+    let detected;
+    if (this.config.fromEncoding === 'auto') {
+      detected = detectEncoding(sample);
+      logger.info(
+        `Detected source encoding ${detected.encoding} ` +
+        `(confidence ${detected.confidence}, from ${detected.source})`
+      );
+    } else {
+      detected = { encoding: resolveCharset(this.config.fromEncoding), confidence: 1, source: 'configured' };
+    }
+
+    this.encodingInfo = { ...detected, doubleEncoded: 0, repaired: false };
+    return this.encodingInfo;
+  }
+
+  /**
+   * Repair (or just count) double-encoded UTF-8 in decoded text
+   * @param {string} text - Decoded text
+   * @returns {string}
+   */
+  repairText(text) {
+    if (!this.config.repairMojibake) {
+      this.encodingInfo.doubleEncoded += countMojibake(text);
+      return text;
+    }
+
+    const result = repairMojibake(text);
+    this.encodingInfo.doubleEncoded += result.repaired;
+    this.encodingInfo.repaired = this.encodingInfo.doubleEncoded > 0;
+    return result.text;
+  }
+
+  /**
+   * Log the outcome of mojibake detection once a file has been read
+   */
+  reportRepairs() {
+    const count = this.encodingInfo.doubleEncoded;
+    if (count === 0) return;
+
+    if (this.config.repairMojibake) {
+      logger.info(`Repaired ${count} double-encoded UTF-8 sequences`);
+    } else {
+      logger.warn(`Found ${count} double-encoded UTF-8 sequences, mojibake repair is disabled`);
+    }
+  }
+
+  /**
+   * Decode raw file content into text
+   * @param {Buffer} buffer - Raw file content
+   * @returns {Promise<string>} - Decoded content
+   */
+  async convertEncoding(buffer) {
+    const { encoding } = this.detectSourceEncoding(buffer.subarray(0, SAMPLE_BYTES));
+    const content = this.repairText(decode(buffer, encoding));
+    this.reportRepairs();
+    return content;
+  }
+
+  /**
+   * Open a file as a stream of decoded text chunks. Each chunk ends at a line
+   * boundary so repairs never see a split character sequence.
+   * @param {string} filePath - Path to the file
+   * @param {ProgressReporter} [progress] - Receives the number of bytes read
+   * @returns {Promise<AsyncGenerator<string>>}
+   */
+  async openText(filePath, progress) {
+    this.progress = progress || null;
+    const { encoding } = this.detectSourceEncoding(await this.readSample(filePath));
+    if (this.report) {
+      this.report.setEncoding(filePath, this.encodingInfo);
+    }
+    return this.decodeStream(filePath, encoding, progress);
+  }
+
+  async *decodeStream(filePath, encoding, progress) {
+    const input = createReadStream(filePath);
+    const decoder = iconv.decodeStream(encoding, { stripBOM: true });
+    input.on('error', error => decoder.destroy(error));
+    if (progress) {
+      input.on('data', chunk => progress.addBytes(chunk.length));
+    }
+
+    let pending = '';
+    try {
+      for await (const chunk of input.pipe(decoder)) {
+        this.checkCancelled();
+        const text = pending + chunk;
+        let cut = text.lastIndexOf('\n') + 1;
+        if (cut === 0 && text.length > MAX_PENDING_CHARS) {
+          // No line break in sight: cut before the last non-ASCII run instead
+          cut = text.length;
+          while (cut > 0 && text.charCodeAt(cut - 1) > 0x7f) cut--;
+          if (cut === 0) cut = text.length;
+        }
+        pending = text.slice(cut);
+        if (cut > 0) {
+          yield this.repairText(text.slice(0, cut));
+        }
+      }
+    } finally {
+      // Reading may stop early, e.g. when the conversion fails or is cancelled
+      input.destroy();
+    }
+
+    if (pending) {
+      yield this.repairText(pending);
+    }
+    this.reportRepairs();
+  }
+
+  /**
+   * Describe the detected source encoding for output headers
+   * @returns {string}
+   */
+  describeEncoding() {
+    const info = this.encodingInfo;
+    if (!info) {
+      return 'unknown';
+    }
+    const repaired = info.repaired ? `, ${info.doubleEncoded} double-encoded sequences repaired` : '';
+    return `${info.encoding} (confidence ${info.confidence}, from ${info.source}${repaired})`;
+  }
+
+  /**
+   * Create an incremental writer for an output file in the target encoding
+   * @param {string} outputPath - Path to write the file to
+   * @returns {OutputWriter}
+   */
+  createOutputWriter(outputPath) {
+    return new OutputWriter(outputPath, resolveCharset(this.config.toEncoding));
+  }
+
+  /**
+   * Write content to output file in the target encoding
    * @param {string} outputPath - Path to write the file to
    * @param {string} content - Content to write
    * @returns {Promise<void>}
    */
   async writeFile(outputPath, content) {
     try {
-      await fs.writeFile(outputPath, content, 'utf8');
+      await writeFileAtomic(outputPath, iconv.encode(content, resolveCharset(this.config.toEncoding)));
       logger.info(`Successfully wrote output to ${outputPath}`);
     } catch (error) {
       logger.error(`Error writing file ${outputPath}:`, error);
@@ -92,7 +380,7 @@ export class BaseProcessor {
       await fs.access(filePath, fs.constants.R_OK);
     } catch (error) {
       logger.error(`File ${filePath} is not accessible:`, error);
-      throw new Error(`File ${filePath} is not accessible`);
+      throw new Error(`File ${filePath} is not accessible`, { cause: error });
     }
   }
 }
@@ -1,211 +1,137 @@
-import { BaseProcessor } from './base-processor.js';
+import { RecordProcessor } from './record-processor.js';
 import logger from '../utils/logger.js';
-import iconv from 'iconv-lite';
+import { ProgressReporter } from '../utils/progress.js';
+import { SNIFF_CHARS, LINE_ENDINGS, detectCsvDialect, describeCsvDialect } from '../utils/csv-dialect.js';
 import { parse } from 'csv-parse';
-import { stringify } from 'csv-stringify';
-import { promisify } from 'util';
-
-export class CsvProcessor extends BaseProcessor {
-  constructor() {
-    super();
-    this.parseAsync = promisify(parse);
-    this.stringifyAsync = promisify(stringify);
-  }
+import { Readable, pipeline } from 'stream';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Column names from a header row. Empty names are replaced and repeated ones
+ * numbered, so no column is lost.
+ */
+function headerNames(fields) {
+  const seen = new Map();
+  return fields.map((field, i) => {
+    const name = field.trim() || `column_${i + 1}`;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count > 1 ? `${name}_${count}` : name;
+  });
+}
 
+/**
+ * Converts delimited text: comma- and semicolon-separated, TSV and
+ * pipe-delimited files, with or without a header row
+ */
+export class CsvProcessor extends RecordProcessor {
   async process(filePath) {
-    try {
-      await this.validateFile(filePath);
-      logger.info(`Processing CSV file: ${filePath}`);
-
-      // Read and decode the file content
-      let content = await this.readFile(filePath);
-      content = await this.convertEncoding(content);
-
-      // Parse CSV data
-      const records = await this.parseAsync(content, {
-        columns: true,
-        skip_empty_lines: true,
-        trim: true
-      });
-
-      // Infer column types
-      const columnTypes = this.inferColumnTypes(records);
-      logger.info('Inferred column types:', columnTypes);
-
-      // Generate output based on format
-      const outputPath = this.generateOutputPath(filePath);
-      const outputContent = await this.generateOutput(records, columnTypes);
-      await this.writeFile(outputPath, outputContent);
-
-    } catch (error) {
-      logger.error('Error processing CSV file:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Convert file encoding if necessary
-   */
-  async convertEncoding(content) {
-    if (this.config.fromEncoding === 'auto') {
-      // TODO: Implement encoding detection
-      return content;
-    }
-
-    if (this.config.fromEncoding !== this.config.toEncoding) {
-      logger.info(`Converting encoding from ${this.config.fromEncoding} to ${this.config.toEncoding}`);
-      const buffer = iconv.encode(content, this.config.fromEncoding);
-      return iconv.decode(buffer, this.config.toEncoding);
-    }
-
-    return content;
+    await this.loadConfig(filePath);
+    this.dialect = null;
+    return this.withReport([filePath], async () => {
+      let output;
+      try {
+        await this.validateFile(filePath);
+        logger.info(`Processing CSV file: ${filePath}`);
+
+        // First pass: infer column types without keeping the records
+        const table = this.tableName(filePath, this.createNormalizer());
+        const columnTypes = await this.inferColumnTypes(await this.readRecords(filePath, 'type inference'), table);
+
+        // Second pass: generate output based on format
+        const outputPath = this.generateOutputPath(filePath);
+        output = this.createOutputWriter(outputPath);
+        await this.writeOutput(output, await this.readRecords(filePath, 'conversion'), columnTypes, filePath);
+        await output.close();
+        this.report.addOutput(outputPath);
+        logger.info(`Successfully wrote output to ${outputPath}`);
+
+      } catch (error) {
+        if (output) {
+          await output.abort();
+        }
+        logger.error('Error processing CSV file:', error);
+        throw error;
+      }
+    });
   }
 
   /**
-   * Infer SQL column types from CSV data
+   * Stream parsed CSV records from a file. The dialect is detected from the
+   * start of the file on the first pass.
+   * @param {string} filePath - Path to the CSV file
+   * @param {string} pass - Name of the pass, used in progress messages
+   * @returns {Promise<AsyncGenerator<Object>>}
    */
-  inferColumnTypes(records) {
-    if (records.length === 0) {
-      return {};
-    }
-
-    const columnTypes = {};
-    const firstRow = records[0];
-
-    // Initialize type tracking for each column
-    for (const column of Object.keys(firstRow)) {
-      columnTypes[column] = {
-        type: null,
-        maxLength: 0,
-        containsDecimal: false,
-        containsNonNumeric: false,
-        isDate: true
-      };
-    }
-
-    // Analyze each record
-    for (const record of records) {
-      for (const [column, value] of Object.entries(record)) {
-        if (value === null || value === '') continue;
-
-        const strValue = String(value);
-        const numValue = Number(value);
-        const tracking = columnTypes[column];
-
-        // Update max length
-        tracking.maxLength = Math.max(tracking.maxLength, strValue.length);
-
-        // Check if it's a valid date
-        const date = new Date(value);
-        if (tracking.isDate && date.toString() === 'Invalid Date') {
-          tracking.isDate = false;
-        }
-
-        // Check if it's numeric
-        if (!Number.isNaN(numValue)) {
-          if (String(numValue).includes('.')) {
-            tracking.containsDecimal = true;
-          }
-        } else {
-          tracking.containsNonNumeric = true;
-        }
+  async readRecords(filePath, pass) {
+    const { size } = await fs.stat(filePath);
+    const progress = new ProgressReporter(`${path.basename(filePath)} (${pass})`, size, 'records');
+    const chunks = await this.openText(filePath, progress);
+
+    let sample = '';
+    let complete = false;
+    while (sample.length < SNIFF_CHARS) {
+      const next = await chunks.next();
+      if (next.done) {
+        complete = true;
+        break;
       }
+      sample += next.value;
     }
-
-    // Determine final types
-    for (const [column, tracking] of Object.entries(columnTypes)) {
-      if (tracking.isDate) {
-        tracking.type = 'DATETIME';
-      } else if (!tracking.containsNonNumeric) {
-        if (tracking.containsDecimal) {
-          tracking.type = 'DECIMAL(10,2)';
-        } else if (tracking.maxLength <= 3) {
-          tracking.type = 'TINYINT';
-        } else if (tracking.maxLength <= 5) {
-          tracking.type = 'SMALLINT';
-        } else if (tracking.maxLength <= 10) {
-          tracking.type = 'INT';
-        } else {
-          tracking.type = 'BIGINT';
-        }
-      } else {
-        if (tracking.maxLength <= 255) {
-          tracking.type = 'VARCHAR(' + tracking.maxLength + ')';
-        } else {
-          tracking.type = 'TEXT';
-        }
-      }
+    if (!this.dialect) {
+      this.dialect = this.detectDialect(filePath, sample, complete);
     }
 
-    return columnTypes;
+    const { delimiter, quote, escape, header, lineEnding } = this.dialect;
+    const parser = parse({
+      delimiter,
+      quote,
+      escape,
+      record_delimiter: LINE_ENDINGS[lineEnding],
+      columns: header ? headerNames : false,
+      skip_empty_lines: true,
+      trim: true
+    });
+    const text = async function* () {
+      yield sample;
+      yield* chunks;
+    };
+    pipeline(Readable.from(text()), parser, () => {});
+
+    const records = header ? parser : this.nameColumns(parser);
+    return this.trackProgress(records, progress);
   }
 
   /**
-   * Generate output in the specified format
+   * Detect the settings of the dialect that are not configured
+   * @param {string} filePath - Path to the file
+   * @param {string} sample - Decoded text from its start
+   * @param {boolean} complete - Whether the sample is the whole file
+   * @returns {Object} - From detectCsvDialect()
    */
-  async generateOutput(records, columnTypes) {
-    switch (this.config.outputFormat) {
-      case 'mysql':
-      case 'postgresql':
-        return this.generateSqlOutput(records, columnTypes);
-      case 'json':
-        return JSON.stringify(records, null, 2);
-      case 'csv':
-        return this.stringifyAsync(records, {
-          header: true,
-          quoted: true
-        });
-      default:
-        throw new Error(`Unsupported output format: ${this.config.outputFormat}`);
-    }
+  detectDialect(filePath, sample, complete) {
+    const dialect = detectCsvDialect(sample, {
+      delimiter: this.config.csvDelimiter,
+      quote: this.config.csvQuote,
+      escape: this.config.csvEscape,
+      header: this.config.csvHeader,
+      lineEnding: this.config.csvLineEnding,
+      fallbackDelimiter: path.extname(filePath).toLowerCase() === '.tsv' ? '\t' : ',',
+      complete
+    });
+    const detected = dialect.detected.length > 0 ? ` (detected: ${dialect.detected.join(', ')})` : '';
+    logger.info(`CSV dialect of ${path.basename(filePath)}: ${describeCsvDialect(dialect)}${detected}`);
+    return dialect;
   }
 
   /**
-   * Generate SQL output from CSV data
+   * Records of a file without a header row, with columns named column_1,
+   * column_2 and so on
    */
-  generateSqlOutput(records, columnTypes) {
-    if (records.length === 0) {
-      return '';
+  async *nameColumns(rows) {
+    for await (const fields of rows) {
+      yield Object.fromEntries(fields.map((value, i) => [`column_${i + 1}`, value]));
     }
-
-    const tableName = 'imported_data';
-    const columns = Object.keys(records[0]);
-    
-    // Generate CREATE TABLE statement
-    let sql = [
-      '-- Generated by DB Blender',
-      `-- Timestamp: ${new Date().toISOString()}`,
-      `-- Encoding: ${this.config.toEncoding}`,
-      '',
-      'SET NAMES utf8mb4;',
-      'SET FOREIGN_KEY_CHECKS = 0;',
-      '',
-      `CREATE TABLE \`${tableName}\` (`
-    ].join('\n');
-
-    // Add column definitions
-    const columnDefs = columns.map(column => {
-      const type = columnTypes[column].type;
-      return `  \`${column}\` ${type} CHARACTER SET ${this.config.toEncoding} COLLATE ${this.config.toEncoding}_unicode_ci`;
-    });
-    sql += columnDefs.join(',\n') + '\n);\n\n';
-
-    // Generate INSERT statements
-    const insertHeader = `INSERT INTO \`${tableName}\` (\`${columns.join('`, `')}\`) VALUES\n`;
-    const values = records.map(record => {
-      const rowValues = columns.map(column => {
-        const value = record[column];
-        if (value === null || value === '') {
-          return 'NULL';
-        }
-        return `'${String(value).replace(/'/g, "''")}'`;
-      });
-      return `(${rowValues.join(', ')})`;
-    });
-
-    sql += insertHeader + values.join(',\n') + ';\n\n';
-    sql += 'SET FOREIGN_KEY_CHECKS = 1;\n';
-
-    return sql;
   }
 }
@@ -1,266 +1,413 @@
-import { BaseProcessor } from './base-processor.js';
+import { RecordProcessor } from './record-processor.js';
 import logger from '../utils/logger.js';
-import iconv from 'iconv-lite';
-import { stringify } from 'csv-stringify';
-import { promisify } from 'util';
-
-export class JsonProcessor extends BaseProcessor {
-  constructor() {
-    super();
-    this.stringifyAsync = promisify(stringify);
+import { ProgressReporter } from '../utils/progress.js';
+import { JsonValueSplitter, JsonLineSplitter } from '../utils/json-stream.js';
+import { OutputWriter } from '../utils/output-writer.js';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+
+// Newline-delimited JSON, one document per line
+const JSON_LINES_EXTENSIONS = ['.ndjson', '.jsonl'];
+
+// Malformed documents logged one by one before they are only counted
+const MAX_LOGGED_ERRORS = 20;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Take a table name for a decomposition, numbered if another table has it
+ */
+function claimName(decomposition, base) {
+  const { names, normalizer } = decomposition;
+  let name = base;
+  for (let n = 2; names.has(name.toLowerCase()); n++) {
+    const suffix = `_${n}`;
+    name = `${base.slice(0, normalizer.maxLength - suffix.length)}${suffix}`;
   }
+  names.add(name.toLowerCase());
+  return name;
+}
 
-  async process(filePath) {
-    try {
-      await this.validateFile(filePath);
-      logger.info(`Processing JSON file: ${filePath}`);
-
-      // Read and decode the file content
-      let content = await this.readFile(filePath);
-      content = await this.convertEncoding(content);
-
-      // Parse JSON data
-      const data = JSON.parse(content);
-      const records = this.normalizeData(data);
-
-      // Infer column types if converting to SQL
-      let columnTypes = {};
-      if (['mysql', 'postgresql'].includes(this.config.outputFormat)) {
-        columnTypes = this.inferColumnTypes(records);
-        logger.info('Inferred column types:', columnTypes);
-      }
+/**
+ * Add flattened fields to a record that already holds generated key columns.
+ * A field named like one of them is numbered, e.g. position_2.
+ */
+function addFields(record, fields) {
+  for (const [field, value] of Object.entries(fields)) {
+    let name = field;
+    for (let n = 2; name in record; n++) {
+      name = `${field}_${n}`;
+    }
+    record[name] = value;
+  }
+  return record;
+}
 
-      // Generate output based on format
-      const outputPath = this.generateOutputPath(filePath);
-      const outputContent = await this.generateOutput(records, columnTypes);
-      await this.writeFile(outputPath, outputContent);
+/**
+ * Converts JSON documents: a top-level array of objects, a single object, an
+ * object with collections of objects under its keys, or newline-delimited
+ * JSON (.ndjson, .jsonl) with an object per line
+ */
+export class JsonProcessor extends RecordProcessor {
+  async process(filePath) {
+    await this.loadConfig(filePath);
+    this.passes = 0;
+    return this.withReport([filePath], async () => {
+      let output;
+      try {
+        await this.validateFile(filePath);
+        logger.info(`Processing JSON file: ${filePath}`);
+
+        if (this.config.jsonArrays === 'tables' || this.config.jsonCollections) {
+          const spillDir = await fs.mkdtemp(path.join(os.tmpdir(), 'db-blender-'));
+          try {
+            await this.writeTables(filePath, await this.buildTables(filePath, spillDir));
+          } finally {
+            await fs.rm(spillDir, { recursive: true, force: true });
+          }
+          return;
+        }
 
-    } catch (error) {
-      logger.error('Error processing JSON file:', error);
-      throw error;
-    }
+        // First pass: infer column types without keeping the records
+        const table = this.tableName(filePath, this.createNormalizer());
+        const columnTypes = await this.inferColumnTypes(await this.readRecords(filePath, 'type inference'), table);
+
+        // Second pass: generate output based on format
+        const outputPath = this.generateOutputPath(filePath);
+        output = this.createOutputWriter(outputPath);
+        await this.writeOutput(output, await this.readRecords(filePath, 'conversion'), columnTypes, filePath);
+        await output.close();
+        this.report.addOutput(outputPath);
+        logger.info(`Successfully wrote output to ${outputPath}`);
+
+      } catch (error) {
+        if (output) {
+          await output.abort();
+        }
+        logger.error('Error processing JSON file:', error);
+        throw error;
+      }
+    });
   }
 
   /**
-   * Convert file encoding if necessary
+   * Stream the documents of a file as flat records
+   * @param {string} filePath - Path to the JSON file
+   * @param {string} pass - Name of the pass, used in progress messages
+   * @returns {Promise<AsyncGenerator<Object>>}
    */
-  async convertEncoding(content) {
-    if (this.config.fromEncoding === 'auto') {
-      // TODO: Implement encoding detection
-      return content;
-    }
+  async readRecords(filePath, pass) {
+    return this.flattenDocuments(await this.readDocuments(filePath, pass));
+  }
 
-    if (this.config.fromEncoding !== this.config.toEncoding) {
-      logger.info(`Converting encoding from ${this.config.fromEncoding} to ${this.config.toEncoding}`);
-      const buffer = iconv.encode(content, this.config.fromEncoding);
-      return iconv.decode(buffer, this.config.toEncoding);
+  async *flattenDocuments(documents) {
+    for await (const { document } of documents) {
+      yield this.flattenObject(document);
     }
-
-    return content;
   }
 
   /**
-   * Normalize JSON data into flat records
+   * Stream the documents of a file, parsed one at a time. Documents that are
+   * not valid JSON or not objects are skipped; they are logged with their
+   * line numbers on the first pass over the file. With jsonCollections, the
+   * documents of a top-level object are the elements of the arrays of objects
+   * under its keys.
+   * @param {string} filePath - Path to the JSON file
+   * @param {string} pass - Name of the pass, used in progress messages
+   * @returns {Promise<AsyncGenerator<{ collection: string|null, document: Object }>>}
+   *   - collection is the key the document was found under
    */
-  normalizeData(data) {
-    // Handle array of objects
-    if (Array.isArray(data)) {
-      return data.map(item => this.flattenObject(item));
-    }
-    
-    // Handle single object
-    if (typeof data === 'object' && data !== null) {
-      return [this.flattenObject(data)];
-    }
-
-    throw new Error('Invalid JSON format: must be an object or array of objects');
+  async readDocuments(filePath, pass) {
+    const { size } = await fs.stat(filePath);
+    const progress = new ProgressReporter(`${path.basename(filePath)} (${pass})`, size, 'records');
+    const chunks = await this.openText(filePath, progress);
+    const lines = JSON_LINES_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+    const splitter = lines ? new JsonLineSplitter() : new JsonValueSplitter({ collections: this.config.jsonCollections });
+    const logErrors = ++this.passes === 1;
+
+    return this.trackProgress(this.parseDocuments(chunks, splitter, path.basename(filePath), logErrors), progress);
   }
 
-  /**
-   * Flatten nested objects into a single level
-   */
-  flattenObject(obj, prefix = '') {
-    return Object.keys(obj).reduce((acc, key) => {
-      const value = obj[key];
-      const newKey = prefix ? `${prefix}_${key}` : key;
+  async *parseDocuments(chunks, splitter, name, logErrors) {
+    let skipped = 0;
+    const collections = new Map(); // Whether a collection holds objects, by key
+    const leftOut = new Set();
 
-      if (value && typeof value === 'object' && !Array.isArray(value)) {
-        Object.assign(acc, this.flattenObject(value, newKey));
-      } else if (Array.isArray(value)) {
-        acc[newKey] = JSON.stringify(value);
-      } else {
-        acc[newKey] = value;
+    const parse = ({ text, line, collection, key, error }) => {
+      if (key !== undefined) {
+        leftOut.add(key);
+        return null;
       }
 
-      return acc;
-    }, {});
-  }
+      let document;
+      try {
+        if (error) {
+          throw new Error(error);
+        }
+        document = JSON.parse(text);
+        if (collection !== null) {
+          // The first element tells whether the key holds a collection
+          if (!collections.has(collection)) {
+            collections.set(collection, isPlainObject(document));
+          }
+          if (!collections.get(collection)) {
+            leftOut.add(collection);
+            return null;
+          }
+        }
+        if (!isPlainObject(document)) {
+          throw new Error(`Expected an object, found ${Array.isArray(document) ? 'an array' : JSON.stringify(document)}`);
+        }
+      } catch (parseError) {
+        skipped++;
+        if (logErrors && skipped <= MAX_LOGGED_ERRORS) {
+          logger.warn(`Skipped malformed JSON in ${name} at line ${line}: ${parseError.message}`);
+        }
+        return null;
+      }
+      return { collection, document };
+    };
 
-  /**
-   * Infer SQL column types from JSON data
-   */
-  inferColumnTypes(records) {
-    if (records.length === 0) {
-      return {};
+    for await (const chunk of chunks) {
+      for (const piece of splitter.push(chunk)) {
+        const entry = parse(piece);
+        if (entry) yield entry;
+      }
     }
-
-    const columnTypes = {};
-    const firstRow = records[0];
-
-    // Initialize type tracking for each column
-    for (const column of Object.keys(firstRow)) {
-      columnTypes[column] = {
-        type: null,
-        maxLength: 0,
-        containsDecimal: false,
-        containsNonNumeric: false,
-        isDate: true,
-        isJson: false
-      };
+    for (const piece of splitter.end()) {
+      const entry = parse(piece);
+      if (entry) yield entry;
     }
 
-    // Analyze each record
-    for (const record of records) {
-      for (const [column, value] of Object.entries(record)) {
-        if (value === null || value === '') continue;
-
-        const strValue = String(value);
-        const numValue = Number(value);
-        const tracking = columnTypes[column];
-
-        // Update max length
-        tracking.maxLength = Math.max(tracking.maxLength, strValue.length);
-
-        // Check if it's a JSON string
-        try {
-          JSON.parse(strValue);
-          tracking.isJson = true;
-          tracking.isDate = false;
-          tracking.containsNonNumeric = true;
-          continue;
-        } catch {
-          // Not JSON, continue with other checks
-        }
+    if (logErrors && skipped > MAX_LOGGED_ERRORS) {
+      logger.warn(`Skipped ${skipped} malformed JSON records in ${name}, only the first ${MAX_LOGGED_ERRORS} are listed`);
+    }
+    if (logErrors && leftOut.size > 0) {
+      logger.warn(`Left out top-level keys of ${name} that hold no array of objects: ${[...leftOut].join(', ')}`);
+      if (this.report) {
+        this.report.addLeftOutKeys([...leftOut]);
+      }
+    }
+  }
 
-        // Check if it's a valid date
-        const date = new Date(value);
-        if (tracking.isDate && date.toString() === 'Invalid Date') {
-          tracking.isDate = false;
+  /**
+   * The tables for a file, for writeTables(). With jsonCollections, each key
+   * of a top-level object that holds an array of objects is a collection
+   * with a table of its own, named after the key; other documents go to the
+   * table named after the file.
+   *
+   * With jsonArrays set to tables, documents are split further: a child
+   * table for each array of objects and a link table for each array of
+   * scalars, down to jsonDepth levels of arrays. Every document and array
+   * element then gets a surrogate key, <table>_key, which its children refer
+   * to by that name.
+   *
+   * The file is read once. While the tables and their column types are
+   * found, each table's rows are spilled to a temporary file in spillDir,
+   * from which they are read back when the table is written, so no more
+   * than one document is held in memory.
+   * @param {string} filePath - Input file
+   * @param {string} spillDir - Directory for the rows until they are written
+   * @returns {Promise<Object[]>} - Tables in dependency order
+   */
+  async buildTables(filePath, spillDir) {
+    const normalizer = this.createNormalizer();
+    const names = new Set();
+    const inferences = new Map();
+    const spills = new Map(); // table entry -> spill writer
+    let rows = [];
+    const emit = (entry, record) => {
+      rows.push({ entry, record });
+    };
+
+    // A decomposition per collection, null for documents outside collections
+    const decompositions = new Map();
+    try {
+      for await (const { collection, document } of await this.readDocuments(filePath, 'type inference')) {
+        if (!decompositions.has(collection)) {
+          const decomposition = { collection, normalizer, names, tables: [], emit };
+          const base = collection === null
+            ? this.tableName(filePath, normalizer)
+            : normalizer.normalize(collection) || `collection_${decompositions.size + 1}`;
+          decomposition.tables.push(this.createTable(claimName(decomposition, base), collection === null ? '' : `${collection}[]`, null));
+          decompositions.set(collection, decomposition);
         }
+        this.addDocument(decompositions.get(collection), document);
 
-        // Check if it's numeric
-        if (!Number.isNaN(numValue)) {
-          if (String(numValue).includes('.')) {
-            tracking.containsDecimal = true;
+        for (const { entry, record } of rows) {
+          if (!inferences.has(entry)) {
+            inferences.set(entry, this.createInference(entry.name));
+            // Spilled rows are read back by this process only, so they stay UTF-8
+            spills.set(entry, new OutputWriter(path.join(spillDir, `${spills.size}.ndjson`), 'utf8'));
           }
-        } else {
-          tracking.containsNonNumeric = true;
+          inferences.get(entry).add(record);
+          await spills.get(entry).write(`${JSON.stringify(record)}\n`);
         }
+        rows = [];
+      }
+
+      for (const spill of spills.values()) {
+        await spill.close();
+      }
+    } catch (error) {
+      for (const spill of spills.values()) {
+        await spill.abort();
       }
+      throw error;
     }
 
-    // Determine final types
-    for (const [column, tracking] of Object.entries(columnTypes)) {
-      if (tracking.isJson) {
-        tracking.type = 'JSON';
-      } else if (tracking.isDate) {
-        tracking.type = 'DATETIME';
-      } else if (!tracking.containsNonNumeric) {
-        if (tracking.containsDecimal) {
-          tracking.type = 'DECIMAL(10,2)';
-        } else if (tracking.maxLength <= 3) {
-          tracking.type = 'TINYINT';
-        } else if (tracking.maxLength <= 5) {
-          tracking.type = 'SMALLINT';
-        } else if (tracking.maxLength <= 10) {
-          tracking.type = 'INT';
-        } else {
-          tracking.type = 'BIGINT';
+    const source = path.basename(filePath);
+    const prefix = path.basename(filePath, path.extname(filePath));
+    const tables = [];
+    for (const decomposition of decompositions.values()) {
+      for (const entry of decomposition.tables) {
+        const columnTypes = this.finishInference(inferences.get(entry), entry.name);
+        const inferredKey = Object.keys(columnTypes).filter(column => columnTypes[column].primaryKey);
+        const table = {
+          name: entry.name,
+          source: entry.path ? `${source} ${entry.path}` : source,
+          // Tables of collections are prefixed with the file name, as are the tables of a dump
+          file: decomposition.collection !== null ? `${prefix}_${entry.name}` : (entry.parent ? entry.name : null),
+          records: this.readSpill(spills.get(entry).outputPath),
+          columnTypes,
+          columns: normalizer.assign(Object.keys(columnTypes)),
+          primaryKey: inferredKey.length > 0 ? inferredKey : null,
+          foreignKey: null
+        };
+
+        if (this.config.jsonArrays === 'tables') {
+          table.primaryKey = entry.link ? [entry.parentColumn, 'position'] : [entry.keyColumn];
         }
-      } else {
-        if (tracking.maxLength <= 255) {
-          tracking.type = 'VARCHAR(' + tracking.maxLength + ')';
-        } else {
-          tracking.type = 'TEXT';
+        if (entry.parent) {
+          // The key column must have the very type of the key it refers to
+          const parent = entry.parent.table;
+          columnTypes[entry.parentColumn] = { ...columnTypes[entry.parentColumn], type: parent.columnTypes[entry.parent.keyColumn].type };
+          table.foreignKey = { column: entry.parentColumn, table: parent.name, references: parent.columns.get(entry.parent.keyColumn) };
         }
+        entry.table = table;
+        tables.push(table);
       }
     }
 
-    return columnTypes;
+    if (tables.length === 0) {
+      logger.warn(`Found no records in ${source}`);
+    } else {
+      logger.info(`Split ${source} into ${tables.length} table(s): ${tables.map(table => table.name).join(', ')}`);
+    }
+    return tables;
   }
 
   /**
-   * Generate output in the specified format
+   * Add a document to its table, and with jsonArrays set to tables the
+   * elements of its arrays to theirs, handing each row to decomposition.emit
    */
-  async generateOutput(records, columnTypes) {
-    switch (this.config.outputFormat) {
-      case 'mysql':
-      case 'postgresql':
-        return this.generateSqlOutput(records, columnTypes);
-      case 'json':
-        return JSON.stringify(records, null, 2);
-      case 'csv':
-        return this.stringifyAsync(records, {
-          header: true,
-          quoted: true
-        });
-      default:
-        throw new Error(`Unsupported output format: ${this.config.outputFormat}`);
+  addDocument(decomposition, document) {
+    const root = decomposition.tables[0];
+    if (this.config.jsonArrays !== 'tables') {
+      decomposition.emit(root, this.flattenObject(document));
+      return;
     }
+
+    const key = ++root.lastKey;
+    const context = { decomposition, table: root, key, depth: 0 };
+    decomposition.emit(root, addFields({ [root.keyColumn]: key }, this.flattenObject(document, '', context)));
   }
 
   /**
-   * Generate SQL output from JSON data
+   * The rows of one table, as buildTables() spilled them, a JSON object
+   * per line
    */
-  generateSqlOutput(records, columnTypes) {
-    if (records.length === 0) {
-      return '';
+  async *readSpill(spillPath) {
+    const lines = readline.createInterface({ input: createReadStream(spillPath, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line) {
+        yield JSON.parse(line);
+      }
     }
+  }
 
-    const tableName = 'imported_data';
-    const columns = Object.keys(records[0]);
-    
-    // Generate CREATE TABLE statement
-    let sql = [
-      '-- Generated by DB Blender',
-      `-- Timestamp: ${new Date().toISOString()}`,
-      `-- Encoding: ${this.config.toEncoding}`,
-      '',
-      'SET NAMES utf8mb4;',
-      'SET FOREIGN_KEY_CHECKS = 0;',
-      '',
-      `CREATE TABLE \`${tableName}\` (`
-    ].join('\n');
-
-    // Add column definitions
-    const columnDefs = columns.map(column => {
-      const type = columnTypes[column].type;
-      if (type === 'JSON') {
-        return `  \`${column}\` JSON`;
+  /**
+   * A table filled from JSON data
+   * @param {string} name - Table name as written
+   * @param {string} jsonPath - Where in the documents its rows come from
+   * @param {Object} parent - Table the rows belong to, null for the documents
+   * @param {boolean} [link] - Whether the rows are scalars, which are stored
+   *   as values by position instead of getting a key of their own
+   */
+  createTable(name, jsonPath, parent, link = false) {
+    return {
+      name,
+      path: jsonPath,
+      parent,
+      link,
+      keyColumn: `${name}_key`,
+      parentColumn: parent ? `${parent.name}_key` : null,
+      lastKey: 0,
+      children: new Map()
+    };
+  }
+
+  /**
+   * Turn the elements of an array into rows of a child or link table. The
+   * table is created for the first array at this place that has elements;
+   * whether they are objects decides which kind it is.
+   */
+  addChildRows({ decomposition, table, key, depth }, field, values) {
+    let child = table.children.get(field);
+    if (!child) {
+      const first = values.find(value => value !== null && value !== undefined);
+      if (first === undefined) {
+        return;
       }
-      return `  \`${column}\` ${type} CHARACTER SET ${this.config.toEncoding} COLLATE ${this.config.toEncoding}_unicode_ci`;
-    });
-    sql += columnDefs.join(',\n') + '\n);\n\n';
-
-    // Generate INSERT statements
-    const insertHeader = `INSERT INTO \`${tableName}\` (\`${columns.join('`, `')}\`) VALUES\n`;
-    const values = records.map(record => {
-      const rowValues = columns.map(column => {
-        const value = record[column];
-        if (value === null || value === '') {
-          return 'NULL';
-        }
-        if (columnTypes[column].type === 'JSON') {
-          return `'${JSON.stringify(value).replace(/'/g, "''")}'`;
-        }
-        return `'${String(value).replace(/'/g, "''")}'`;
-      });
-      return `(${rowValues.join(', ')})`;
+
+      const name = claimName(decomposition, decomposition.normalizer.normalize(`${table.name}_${field}`));
+      const jsonPath = `${table.path ? `${table.path}.` : ''}${field}[]`;
+      child = this.createTable(name, jsonPath, table, !isPlainObject(first));
+      table.children.set(field, child);
+      decomposition.tables.push(child);
+    }
+
+    values.forEach((value, position) => {
+      const scalar = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+      if (child.link) {
+        decomposition.emit(child, { [child.parentColumn]: key, position, value: scalar });
+        return;
+      }
+
+      const childKey = ++child.lastKey;
+      const record = { [child.keyColumn]: childKey, [child.parentColumn]: key, position };
+      const fields = isPlainObject(value)
+        ? this.flattenObject(value, '', { decomposition, table: child, key: childKey, depth: depth + 1 })
+        : { value: scalar };
+      decomposition.emit(child, addFields(record, fields));
     });
+  }
 
-    sql += insertHeader + values.join(',\n') + ';\n\n';
-    sql += 'SET FOREIGN_KEY_CHECKS = 1;\n';
+  /**
+   * Flatten nested objects into a single level. With a decomposition context,
+   * arrays within jsonDepth become rows of child tables instead of JSON text.
+   */
+  flattenObject(obj, prefix = '', context = null) {
+    return Object.keys(obj).reduce((acc, key) => {
+      const value = obj[key];
+      const newKey = prefix ? `${prefix}_${key}` : key;
 
-    return sql;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.assign(acc, this.flattenObject(value, newKey, context));
+      } else if (Array.isArray(value) && context && context.depth < this.config.jsonDepth) {
+        this.addChildRows(context, newKey, value);
+      } else if (Array.isArray(value)) {
+        acc[newKey] = JSON.stringify(value);
+      } else {
+        acc[newKey] = value;
+      }
+
+      return acc;
+    }, {});
   }
 }
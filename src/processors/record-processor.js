@@ -0,0 +1,415 @@
+import path from 'path';
+import { BaseProcessor } from './base-processor.js';
+import logger from '../utils/logger.js';
+import { RecordWriter } from '../utils/record-writer.js';
+import { TypeInference, sqlLiteral } from '../utils/type-inference.js';
+import { IdentifierNormalizer, MAX_IDENTIFIER_LENGTH } from '../utils/identifiers.js';
+
+// Rows per INSERT statement in SQL output
+const INSERT_BATCH_SIZE = 1000;
+
+// Table for inputs whose file name leaves no identifier, e.g. 日本.csv
+const DEFAULT_TABLE_NAME = 'imported_data';
+
+function quoteIdentifier(name, dialect) {
+  return dialect === 'postgresql' ? `"${name.replace(/"/g, '""')}"` : `\`${name.replace(/`/g, '``')}\``;
+}
+
+// Names from the input can hold line breaks, which would end a comment
+function commentText(text) {
+  return text.replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Shared output generation for processors that turn files into flat records
+ * (CSV and JSON). Records may be an array or an async iterable, so output is
+ * written incrementally without holding every record in memory.
+ *
+ * Output is described as tables: { name, source, file, records, columnTypes,
+ * columns, primaryKey, foreignKey }, where columns maps input column names
+ * to the identifiers written, primaryKey lists input column names and
+ * foreignKey is { column, table, references } with the parent's identifiers.
+ */
+export class RecordProcessor extends BaseProcessor {
+  /**
+   * Infer SQL column types from records
+   * @param {AsyncIterable<Object>|Object[]} records - Records to inspect
+   * @param {string} table - Table the records are written to, for columnTypes
+   *   entries given as table.column
+   * @returns {Promise<Object>} - Columns by name, from TypeInference.result()
+   */
+  async inferColumnTypes(records, table) {
+    const inference = this.createInference(table);
+    for await (const record of records) {
+      inference.add(record);
+    }
+    return this.finishInference(inference, table);
+  }
+
+  /**
+   * Type inference for a table, with the columnTypes option applied
+   * @param {string} table - Table the records are written to
+   * @returns {TypeInference}
+   */
+  createInference(table) {
+    return new TypeInference({ overrides: this.columnOverrides(table), dialect: this.outputDialect() });
+  }
+
+  /**
+   * The SQL dialect whose types columns get; CSV and JSON output is typed
+   * as for MySQL
+   * @returns {string} - mysql or postgresql
+   */
+  outputDialect() {
+    return this.config.outputFormat === 'postgresql' ? 'postgresql' : 'mysql';
+  }
+
+  /**
+   * The column types from an inference that has seen every record, logged
+   * @param {TypeInference} inference - From createInference()
+   * @param {string} table - Table the records are written to
+   * @returns {Object} - Columns by name, from TypeInference.result()
+   */
+  finishInference(inference, table) {
+    const columnTypes = inference.result();
+    logger.info(`Inferred column types for ${table}: ${Object.entries(columnTypes)
+      .map(([column, { type, nullable, primaryKey }]) =>
+        `${column} ${type}${nullable ? '' : ' NOT NULL'}${primaryKey ? ' PRIMARY KEY' : ''}`)
+      .join(', ')}`);
+    return columnTypes;
+  }
+
+  /**
+   * The columnTypes entries for one table: those naming a column, and those
+   * naming the table and a column as table.column, which take precedence
+   * @param {string} table - Table name as written
+   * @returns {Object<string, string>} - SQL type by column name
+   */
+  columnOverrides(table) {
+    const entries = Object.entries(this.config.columnTypes);
+    const qualified = entries
+      .filter(([key]) => key.startsWith(`${table}.`))
+      .map(([key, type]) => [key.slice(table.length + 1), type]);
+    return Object.fromEntries([...entries, ...qualified]);
+  }
+
+  /**
+   * Count records for progress reporting as they pass through
+   * @param {AsyncIterable<Object>} records - Parsed records
+   * @param {ProgressReporter} progress - Reporter for the current pass
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *trackProgress(records, progress) {
+    for await (const record of records) {
+      progress.addItems();
+      yield record;
+    }
+    progress.finish();
+  }
+
+  /**
+   * The normalizer for table and column names, as configured
+   * @returns {IdentifierNormalizer}
+   */
+  createNormalizer() {
+    return new IdentifierNormalizer({
+      style: this.config.identifierStyle,
+      transliterate: this.config.transliterate,
+      reservedWords: this.config.reservedWords,
+      maxLength: MAX_IDENTIFIER_LENGTH[this.config.outputFormat] || MAX_IDENTIFIER_LENGTH.mysql
+    });
+  }
+
+  /**
+   * The table for an input file: tableName if set, otherwise the file name
+   * through the identifier normalizer
+   * @param {string} filePath - Input file
+   * @param {IdentifierNormalizer} normalizer - From createNormalizer()
+   * @returns {string}
+   */
+  tableName(filePath, normalizer) {
+    const source = path.basename(filePath, path.extname(filePath));
+    return this.config.tableName || normalizer.normalize(source) || DEFAULT_TABLE_NAME;
+  }
+
+  /**
+   * Write the records of one table in the configured output format
+   * @param {OutputWriter} output - Output file writer
+   * @param {AsyncIterable<Object>|Object[]} records - Records to write
+   * @param {Object} columnTypes - Inferred column types, keyed by column name
+   * @param {string} filePath - Input file, the table is named after it
+   * @returns {Promise<void>}
+   */
+  async writeOutput(output, records, columnTypes, filePath) {
+    const normalizer = this.createNormalizer();
+    const primaryKey = Object.keys(columnTypes).filter(column => columnTypes[column].primaryKey);
+    const table = {
+      name: this.tableName(filePath, normalizer),
+      source: path.basename(filePath),
+      records,
+      columnTypes,
+      columns: normalizer.assign(Object.keys(columnTypes)),
+      primaryKey: primaryKey.length > 0 ? primaryKey : null,
+      foreignKey: null
+    };
+    this.checkColumnTypes([table]);
+    this.reportTable(table);
+    const tracked = this.trackRows(records, table.name);
+
+    switch (this.config.outputFormat) {
+      case 'mysql':
+      case 'postgresql':
+        await output.write(this.sqlHeader());
+        await this.writeSqlTable(output, { ...table, records: tracked });
+        await output.write(this.sqlFooter());
+        return;
+      case 'json':
+        return this.writeJsonOutput(output, tracked);
+      case 'csv':
+        return this.writeCsvOutput(output, tracked, columnTypes);
+      default:
+        throw new Error(`Unsupported output format: ${this.config.outputFormat}`);
+    }
+  }
+
+  /**
+   * Write several tables, parents before their children. SQL output is one
+   * file with every table unless tableOutput is separate; CSV and JSON output
+   * is a file per table. A table's file is named after table.file, or after
+   * the input when that is null.
+   * @param {string} filePath - Input file
+   * @param {Object[]} tables - Tables in dependency order
+   * @returns {Promise<void>}
+   */
+  async writeTables(filePath, tables) {
+    this.checkColumnTypes(tables);
+    const sql = this.config.outputFormat === 'mysql' || this.config.outputFormat === 'postgresql';
+    const separate = !sql || this.config.tableOutput === 'separate';
+    const outputs = [];
+
+    const open = async outputPath => {
+      const output = this.createOutputWriter(outputPath);
+      outputs.push(output);
+      if (sql) {
+        await output.write(this.sqlHeader());
+      }
+      return output;
+    };
+
+    try {
+      let output = separate ? null : await open(this.generateOutputPath(filePath));
+      for (const table of tables) {
+        if (separate) {
+          output = await open(table.file
+            ? this.generateOutputPath(path.join(path.dirname(filePath), `${table.file}${path.extname(filePath)}`))
+            : this.generateOutputPath(filePath));
+        }
+
+        this.reportTable(table);
+        const records = this.trackRows(table.records, table.name);
+        if (sql) {
+          await this.writeSqlTable(output, { ...table, records });
+        } else if (this.config.outputFormat === 'json') {
+          await this.writeJsonOutput(output, records);
+        } else {
+          await this.writeCsvOutput(output, records, table.columnTypes);
+        }
+      }
+
+      for (const output of outputs) {
+        if (sql) {
+          await output.write(this.sqlFooter());
+        }
+        await output.close();
+        this.report.addOutput(output.outputPath);
+        logger.info(`Successfully wrote output to ${output.outputPath}`);
+      }
+    } catch (error) {
+      for (const output of outputs) {
+        await output.abort();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Warn about columnTypes entries that match no column. Entries name a
+   * column as in the input, or a table and column as table.column.
+   */
+  checkColumnTypes(tables) {
+    const known = new Set(tables.flatMap(table =>
+      Object.keys(table.columnTypes).flatMap(column => [column, `${table.name}.${column}`])));
+    const unknown = Object.keys(this.config.columnTypes).filter(key => !known.has(key));
+    if (unknown.length > 0) {
+      logger.warn(`columnTypes names column(s) the input does not have: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Follow records as they are written: the row number is kept as the
+   * location for error reports, rows are counted into the report and a
+   * cancelled job stops
+   */
+  async *trackRows(records, table) {
+    let row = 0;
+    for await (const record of records) {
+      this.checkCancelled();
+      this.location = { table, row: ++row };
+      if (this.report) {
+        this.report.addRows(table, 1);
+      }
+      yield record;
+    }
+    this.location = null;
+  }
+
+  /**
+   * Write records as a JSON array
+   */
+  async writeJsonOutput(output, records) {
+    const writer = new RecordWriter(output, 'json');
+    for await (const record of records) {
+      await writer.write(record);
+    }
+    await writer.finish();
+  }
+
+  /**
+   * Write records as quoted CSV with a header row
+   */
+  async writeCsvOutput(output, records, columnTypes) {
+    const writer = new RecordWriter(output, 'csv', Object.keys(columnTypes));
+    for await (const record of records) {
+      await writer.write(record);
+    }
+    await writer.finish();
+  }
+
+  /**
+   * Start of SQL output; PostgreSQL output runs in one transaction, with
+   * tables written parents first instead of foreign key checks turned off
+   */
+  sqlHeader() {
+    const comments = [
+      '-- Generated by DB Blender',
+      `-- Timestamp: ${new Date().toISOString()}`,
+      `-- Encoding: ${this.config.toEncoding}`,
+      `-- Source encoding: ${this.describeEncoding()}`
+    ];
+    if (this.outputDialect() === 'postgresql') {
+      return [
+        ...comments,
+        '-- Dialect: postgresql',
+        '',
+        "SET client_encoding = 'UTF8';",
+        'SET standard_conforming_strings = on;',
+        '',
+        'BEGIN;',
+        '',
+        ''
+      ].join('\n');
+    }
+
+    return [
+      ...comments,
+      '',
+      'SET NAMES utf8mb4;',
+      'SET FOREIGN_KEY_CHECKS = 0;',
+      '',
+      ''
+    ].join('\n');
+  }
+
+  sqlFooter() {
+    return this.outputDialect() === 'postgresql' ? 'COMMIT;\n' : 'SET FOREIGN_KEY_CHECKS = 1;\n';
+  }
+
+  /**
+   * Write a CREATE TABLE statement followed by batched INSERT statements
+   */
+  async writeSqlTable(output, table) {
+    const { columnTypes, columns: names } = table;
+    const columns = Object.keys(columnTypes);
+    if (columns.length === 0) {
+      return;
+    }
+
+    const dialect = this.outputDialect();
+    const quote = name => quoteIdentifier(name, dialect);
+
+    // Generate CREATE TABLE statement
+    let sql = `${this.describeTable(table)}CREATE TABLE ${quote(table.name)} (\n`;
+
+    // Add column definitions; PostgreSQL text takes the database encoding
+    const columnDefs = columns.map(column => {
+      const { type, textual, nullable } = columnTypes[column];
+      const charset = textual && dialect === 'mysql'
+        ? ` CHARACTER SET ${this.config.toEncoding} COLLATE ${this.config.toEncoding}_unicode_ci`
+        : '';
+      return `  ${quote(names.get(column))} ${type}${charset}${nullable ? '' : ' NOT NULL'}`;
+    });
+    if (table.primaryKey) {
+      columnDefs.push(`  PRIMARY KEY (${table.primaryKey.map(column => quote(names.get(column))).join(', ')})`);
+    }
+    if (table.foreignKey) {
+      const { column, table: parent, references } = table.foreignKey;
+      columnDefs.push(`  FOREIGN KEY (${quote(names.get(column))}) REFERENCES ${quote(parent)} (${quote(references)})`);
+    }
+    sql += columnDefs.join(',\n') + '\n);\n\n';
+    await output.write(sql);
+
+    // Generate INSERT statements in batches
+    const insertHeader = `INSERT INTO ${quote(table.name)} (${columns.map(column => quote(names.get(column))).join(', ')}) VALUES\n`;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length > 0) {
+        await output.write(insertHeader + batch.join(',\n') + ';\n\n');
+        batch = [];
+      }
+    };
+
+    for await (const record of table.records) {
+      const rowValues = columns.map(column => sqlLiteral(record[column], columnTypes[column], dialect));
+      batch.push(`(${rowValues.join(', ')})`);
+
+      if (batch.length >= INSERT_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+  }
+
+  /**
+   * Log where a table comes from and every column that was renamed, and
+   * record both in the report
+   */
+  reportTable(table) {
+    const sql = this.config.outputFormat === 'mysql' || this.config.outputFormat === 'postgresql';
+    logger.info(`Writing ${table.source} to table ${table.name}`);
+
+    const renamed = [...table.columns].filter(([from, to]) => from !== to);
+    if (renamed.length > 0 && sql) {
+      logger.info(`Renamed ${renamed.length} column(s): ${renamed.map(([from, to]) => `${from} -> ${to}`).join(', ')}`);
+    }
+    if (this.report) {
+      // Columns are named as in the output
+      this.report.setColumns(table.name, Object.fromEntries(
+        Object.entries(table.columnTypes).map(([column, { type }]) => [sql ? table.columns.get(column) : column, type])
+      ));
+      this.report.setRenamedColumns(table.name, sql ? Object.fromEntries(renamed) : {});
+    }
+  }
+
+  /**
+   * Comments for SQL output on where a table comes from and its renamed columns
+   * @returns {string}
+   */
+  describeTable(table) {
+    const renamed = [...table.columns].filter(([from, to]) => from !== to);
+    const lines = [`-- Table: ${table.name} (from ${commentText(table.source)})`];
+    if (renamed.length > 0) {
+      lines.push('-- Renamed columns:', ...renamed.map(([from, to]) => `--   ${commentText(from)} -> ${to}`));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
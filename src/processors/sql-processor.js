@@ -1,149 +1,769 @@
 import { BaseProcessor } from './base-processor.js';
 import logger from '../utils/logger.js';
-import iconv from 'iconv-lite';
-import { Parser } from 'node-sql-parser';
+import { ProgressReporter } from '../utils/progress.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sqlParser from 'node-sql-parser';
+import { PostgresTranslator } from '../dialects/postgresql.js';
+import { TableRenamer } from '../utils/table-renamer.js';
+import { SchemaModernizer } from '../utils/schema-modernizer.js';
+import { AutoIncrementTracker } from '../utils/auto-increment.js';
+import { RecordWriter } from '../utils/record-writer.js';
+import { DatabaseSource } from '../utils/database-source.js';
+import { parseInsertStatement } from '../utils/insert-parser.js';
+import { PgDumpReader, isPgDump } from '../utils/pg-dump.js';
+import { columnsFromAst, columnsFromText, convertValue } from '../utils/column-values.js';
+import {
+  StatementSplitter,
+  isCompoundStatement,
+  isExecutableComment,
+  unwrapExecutableComments
+} from '../utils/sql-splitter.js';
+
+const { Parser } = sqlParser;
+
+const IDENTIFIER = '(?:`(?:[^`]|``)+`|[\\w$]+)';
+const QUALIFIED_NAME = `${IDENTIFIER}(?:\\s*\\.\\s*${IDENTIFIER})?`;
+
+const TABLE_STATEMENTS = [
+  { kind: 'data', pattern: new RegExp(`^(?:INSERT|REPLACE)\\s+(?:(?:LOW_PRIORITY|DELAYED|HIGH_PRIORITY|IGNORE)\\s+)*(?:INTO\\s+)?(${QUALIFIED_NAME})`, 'i') },
+  { kind: 'create', pattern: new RegExp(`^CREATE\\s+(?:TEMPORARY\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${QUALIFIED_NAME})`, 'i') },
+  { kind: 'drop', pattern: new RegExp(`^DROP\\s+(?:TEMPORARY\\s+)?TABLES?\\s+(?:IF\\s+EXISTS\\s+)?(${QUALIFIED_NAME})`, 'i') }
+];
+
+// Session settings and table locks only make sense in the layout of the
+// original file; a merged dump has its own header
+const SESSION_STATEMENT = /^(?:SET|LOCK|UNLOCK)\b|^ALTER\s+TABLE\s+\S+\s+(?:DISABLE|ENABLE)\s+KEYS$/i;
+
+/**
+ * Classify a statement for merging and find the table it belongs to
+ * @param {string} statement - Statement text without delimiter
+ * @returns {{ kind: string, table: string|null }} - kind is data, create,
+ *   drop, session or other; table is the unquoted name without database
+ */
+function classifyStatement(statement) {
+  // The start is enough, and extended inserts can be megabytes long
+  const bare = unwrapExecutableComments(statement.slice(0, 1024)).trim();
+
+  for (const { kind, pattern } of TABLE_STATEMENTS) {
+    const match = pattern.exec(bare);
+    if (match) {
+      return { kind, table: unquoteTableName(match[1]) };
+    }
+  }
+
+  if (SESSION_STATEMENT.test(bare)) {
+    return { kind: 'session', table: null };
+  }
+  return { kind: 'other', table: null };
+}
+
+function unquoteTableName(name) {
+  const parts = name.match(new RegExp(IDENTIFIER, 'g'));
+  const last = parts[parts.length - 1];
+  return last.startsWith('`') ? last.slice(1, -1).replace(/``/g, '`') : last;
+}
+
+/**
+ * Name of the table a foreign key constraint references, or null for other
+ * column and constraint definitions
+ */
+function foreignKeyTarget(def) {
+  if (def.resource !== 'constraint' || String(def.constraint_type).toLowerCase() !== 'foreign key') {
+    return null;
+  }
+  return def.reference_definition.table[0].table;
+}
+
+/**
+ * node-sql-parser writes a column's CHARACTER SET and COLLATE after NOT NULL
+ * and DEFAULT, which MySQL rejects; keep them next to the data type instead
+ */
+function attachColumnCharsets(ast) {
+  for (const def of ast.create_definitions || []) {
+    if (def.resource !== 'column') continue;
+    const suffix = [];
+    if (def.character_set) {
+      suffix.push(`CHARACTER SET ${def.character_set.value}`);
+      delete def.character_set;
+    }
+    if (def.collate) {
+      suffix.push(`COLLATE ${def.collate.value}`);
+      delete def.collate;
+    }
+    if (suffix.length > 0) {
+      def.definition.suffix = [...(def.definition.suffix || []), ...suffix];
+    }
+  }
+}
 
 export class SqlProcessor extends BaseProcessor {
-  constructor() {
-    super();
+  constructor(options) {
+    super(options);
     this.parser = new Parser();
     this.tables = new Map(); // Store table definitions
     this.dependencies = new Map(); // Store table dependencies
   }
 
+  /**
+   * Start collecting table definitions and translation state for a new
+   * file or batch
+   */
+  resetState() {
+    this.tables = new Map();
+    this.dependencies = new Map();
+    this.translator = this.config.outputFormat === 'postgresql' ? new PostgresTranslator() : null;
+    this.renamer = new TableRenamer({
+      stripPrefix: this.config.stripPrefix,
+      renames: this.config.renames,
+      rules: this.config.renameRules
+    });
+    this.modernizer = new SchemaModernizer(this.config.modernize);
+    this.autoIncrements = new AutoIncrementTracker();
+  }
+
   async process(filePath) {
-    try {
-      await this.validateFile(filePath);
-      logger.info(`Processing SQL file: ${filePath}`);
+    await this.loadConfig(filePath);
+    if (this.config.outputFormat === 'csv' || this.config.outputFormat === 'json') {
+      return this.exportTables(filePath);
+    }
+    if (this.config.mergeSql) {
+      return this.processBatch([filePath]);
+    }
+    return this.withReport([filePath], async () => {
+      try {
+        const { statements, progress } = await this.readStatements(filePath, 'Processing');
+        await this.convertStatements(statements, filePath, progress);
+      } catch (error) {
+        logger.error('Error processing SQL file:', error);
+        throw error;
+      }
+    });
+  }
 
-      // Read and decode the file content
-      let content = await this.readFile(filePath);
-      content = await this.convertEncoding(content);
+  /**
+   * Convert a live MySQL or PostgreSQL database instead of a dump. Its
+   * tables are read as dump statements (see DatabaseSource) and converted
+   * like a file named after the database.
+   * @param {string} url - Database URL, mysql://... or postgres://...
+   * @returns {Promise<string[]>} - Paths of the written outputs
+   */
+  async processDatabase(url) {
+    await this.loadConfig(null);
+    const source = new DatabaseSource(url, {
+      tables: this.config.tables,
+      snapshot: this.config.snapshot,
+      chunkSize: this.config.chunkSize,
+      signal: this.signal
+    });
 
-      // Parse and transform the SQL
-      const statements = this.splitStatements(content);
-      const transformedStatements = await this.transformStatements(statements);
+    return this.withReport([source.label], async () => {
+      try {
+        logger.info(`Reading database ${source.label}`);
+        this.resetState();
+
+        // Drivers hand over decoded text
+        this.encodingInfo = { encoding: 'utf8', confidence: 1, source: 'database', doubleEncoded: 0, repaired: false };
+        this.report.setEncoding(source.label, this.encodingInfo);
+
+        const progress = new ProgressReporter(source.label, 0, 'statements');
+        const inputPath = path.join(this.config.inputDir, `${source.name}.sql`);
+        if (this.config.outputFormat === 'csv' || this.config.outputFormat === 'json') {
+          await this.exportStatements(source.statements(), inputPath, progress);
+        } else {
+          await this.convertStatements(source.statements(), inputPath, progress);
+        }
+      } catch (error) {
+        logger.error('Error converting database:', error);
+        throw error;
+      }
+    });
+  }
 
-      // Generate the output
-      const outputPath = this.generateOutputPath(filePath);
-      const outputContent = this.generateOutput(transformedStatements);
-      await this.writeFile(outputPath, outputContent);
+  /**
+   * Open a dump as a stream of statements
+   * @param {string} filePath - Dump to read
+   * @param {string} action - What is done with it, for the log
+   * @returns {Promise<{ statements: AsyncGenerator<string>, progress: ProgressReporter }>}
+   */
+  async readStatements(filePath, action) {
+    await this.validateFile(filePath);
+    logger.info(`${action} SQL file: ${filePath}`);
+    this.resetState();
+
+    // Stream the decoded file content
+    const { size } = await fs.stat(filePath);
+    const progress = new ProgressReporter(path.basename(filePath), size, 'statements');
+    return { statements: await this.openStatements(filePath, progress), progress };
+  }
 
-    } catch (error) {
-      logger.error('Error processing SQL file:', error);
-      throw error;
+  /**
+   * Dialect of a dump, from the sqlDialect option or the start of the file
+   * @param {string} filePath - Dump to read
+   * @returns {Promise<string>} - mysql or postgresql
+   */
+  async detectDialect(filePath) {
+    if (this.config.sqlDialect !== 'auto') {
+      return this.config.sqlDialect;
     }
+    const sample = await this.readSample(filePath);
+    return isPgDump(sample.toString('latin1')) ? 'postgresql' : 'mysql';
   }
 
   /**
-   * Convert file encoding if necessary
+   * Read a dump as MySQL statements. pg_dump files are read twice, first for
+   * their schema, and come out as MySQL statements too (see PgDumpReader).
+   * @param {string} filePath - Dump to read
+   * @param {ProgressReporter} progress - Receives the bytes read
+   * @returns {Promise<AsyncGenerator<string>>}
    */
-  async convertEncoding(content) {
-    if (this.config.fromEncoding === 'auto') {
-      // TODO: Implement encoding detection
-      return content;
+  async openStatements(filePath, progress) {
+    if (await this.detectDialect(filePath) === 'mysql') {
+      return this.splitStatements(await this.openText(filePath, progress), filePath);
     }
 
-    if (this.config.fromEncoding !== this.config.toEncoding) {
-      logger.info(`Converting encoding from ${this.config.fromEncoding} to ${this.config.toEncoding}`);
-      const buffer = iconv.encode(content, this.config.fromEncoding);
-      return iconv.decode(buffer, this.config.toEncoding);
+    logger.info(`Reading ${filePath} as a PostgreSQL dump`);
+    const dump = new PgDumpReader({ label: path.basename(filePath) });
+    const { size } = await fs.stat(filePath);
+    const schemaProgress = new ProgressReporter(`${path.basename(filePath)} (schema)`, size, 'statements');
+    await dump.readSchema(await this.openText(filePath, schemaProgress), schemaProgress);
+    schemaProgress.finish();
+    return this.locateStatements(dump.statements(await this.openText(filePath, progress)), filePath);
+  }
+
+  /**
+   * Transform statements and write them to one output as they are read
+   * @param {AsyncIterable<string>} statements - Statements without delimiter
+   * @param {string} inputPath - Input the output is named after
+   * @param {ProgressReporter} progress - Counts the statements
+   */
+  async convertStatements(statements, inputPath, progress) {
+    const outputPath = this.generateOutputPath(inputPath);
+    const output = this.createOutputWriter(outputPath);
+
+    try {
+      await output.write(this.generateHeader());
+      for await (const statement of statements) {
+        await this.writeStatements(output, this.transformStatement(this.renamer.rewrite(statement)));
+        progress.addItems();
+      }
+      this.location = null;
+      await output.write(this.generateFooter());
+
+      await output.close();
+      progress.finish();
+      this.report.addOutput(outputPath);
+      logger.info(`Successfully wrote output to ${outputPath}`);
+    } catch (error) {
+      await output.abort();
+      throw error;
     }
+  }
 
-    return content;
+  /**
+   * Export the rows of every table in a dump to its own CSV or JSON file,
+   * using the column names and types from CREATE TABLE
+   * @param {string} filePath - Dump to export
+   * @returns {Promise<string[]>} - Paths of the written files
+   */
+  async exportTables(filePath) {
+    return this.withReport([filePath], async () => {
+      try {
+        const { statements, progress } = await this.readStatements(filePath, 'Exporting tables from');
+        await this.exportStatements(statements, filePath, progress);
+      } catch (error) {
+        logger.error('Error exporting SQL file:', error);
+        throw error;
+      }
+    });
   }
 
   /**
-   * Split SQL content into individual statements
+   * Write the rows of the tables in a stream of statements to a file per table
+   * @param {AsyncIterable<string>} statements - Statements without delimiter
+   * @param {string} inputPath - Input the outputs are named after
+   * @param {ProgressReporter} progress - Counts the statements
    */
-  splitStatements(content) {
-    const statements = [];
-    let currentStatement = '';
-    const lines = content.split('\n');
+  async exportStatements(statements, inputPath, progress) {
+    const exported = new Map(); // table name -> { columns, writer }
 
-    for (const line of lines) {
-      const trimmedLine = line.trim();
-      
-      // Skip comments and empty lines
-      if (trimmedLine.startsWith('--') || trimmedLine.startsWith('#') || !trimmedLine) {
-        continue;
+    try {
+      for await (const original of statements) {
+        const statement = this.renamer.rewrite(original);
+        const { kind, table } = classifyStatement(statement);
+
+        if (kind === 'create') {
+          exported.set(table, { columns: this.readColumns(statement, table), writer: null });
+        } else if (kind === 'data') {
+          await this.exportRows(inputPath, statement, exported);
+        }
+        progress.addItems();
       }
+      this.location = null;
 
-      currentStatement += line + '\n';
+      // Tables without rows still get a file with just the header
+      for (const [table, entry] of exported) {
+        if (!entry.writer) {
+          entry.writer = this.createTableWriter(inputPath, table, entry.columns.map(column => column.name));
+        }
+        await entry.writer.finish();
+        await entry.writer.output.close();
+        if (entry.columns.length > 0) {
+          this.reportColumns(table, entry.columns);
+        }
+        this.report.addRows(table, entry.writer.count);
+        this.report.addOutput(entry.writer.output.outputPath);
+        logger.info(`Wrote ${entry.writer.count} rows of ${table} to ${entry.writer.output.outputPath}`);
+      }
 
-      if (trimmedLine.endsWith(';')) {
-        statements.push(currentStatement.trim());
-        currentStatement = '';
+      progress.finish();
+      this.reportRenames();
+    } catch (error) {
+      for (const { writer } of exported.values()) {
+        if (writer) {
+          await writer.output.abort();
+        }
       }
+      throw error;
     }
+  }
 
-    return statements;
+  /**
+   * Column names and types of a CREATE TABLE statement
+   * @returns {Array<{ name: string, dataType: string, kind: string }>}
+   */
+  readColumns(statement, table) {
+    try {
+      return columnsFromAst(this.parser.astify(unwrapExecutableComments(statement).trim()));
+    } catch (error) {
+      const columns = columnsFromText(statement);
+      logger.warn(`Could not parse CREATE TABLE ${table}, found ${columns.length} columns in its text`);
+      logger.debug(`Parser error for ${table}: ${error.message}`);
+      return columns;
+    }
   }
 
   /**
-   * Transform SQL statements according to configuration
+   * Write the rows of one INSERT statement to the file of its table
    */
-  async transformStatements(statements) {
-    const transformed = [];
+  async exportRows(filePath, statement, exported) {
+    let insert;
+    try {
+      insert = parseInsertStatement(unwrapExecutableComments(statement).trim());
+    } catch (error) {
+      logger.warn(`Skipping INSERT statement that could not be read: ${error.message}`);
+      return;
+    }
+    if (!insert) {
+      logger.warn('Skipping INSERT statement without a VALUES list');
+      return;
+    }
+
+    let entry = exported.get(insert.table);
+    if (!entry) {
+      logger.warn(`No CREATE TABLE found for ${insert.table}, column types are guessed from the values`);
+      entry = { columns: [], writer: null };
+      exported.set(insert.table, entry);
+    }
+
+    // Column names come from the INSERT if it lists them, otherwise by position
+    // from CREATE TABLE, and are made up when neither is known
+    const byName = new Map(entry.columns.map(column => [column.name, column]));
+    const width = Math.max(0, ...insert.rows.map(row => row.length));
+    const names = insert.columns || entry.columns.map(column => column.name);
+    for (let i = names.length; i < width; i++) {
+      names.push(`column_${i + 1}`);
+    }
+
+    if (!entry.writer) {
+      const columns = entry.columns.length > 0 ? entry.columns.map(column => column.name) : names;
+      entry.writer = this.createTableWriter(filePath, insert.table, columns);
+    }
+
+    const encoding = this.encodingInfo.encoding;
+    for (const row of insert.rows) {
+      const record = {};
+      row.forEach((value, i) => {
+        record[names[i]] = convertValue(value, byName.get(names[i]), encoding);
+      });
+      await entry.writer.write(record);
+    }
+  }
+
+  /**
+   * Open the CSV or JSON file for one table of a dump
+   * @returns {RecordWriter}
+   */
+  createTableWriter(filePath, table, columns) {
+    const safeName = table.replace(/[^\w.-]+/g, '_');
+    const base = path.basename(filePath, path.extname(filePath));
+    const outputPath = this.generateOutputPath(path.join(path.dirname(filePath), `${base}_${safeName}.sql`));
+    return new RecordWriter(this.createOutputWriter(outputPath), this.config.outputFormat, columns);
+  }
+
+  /**
+   * Merge several SQL dumps, typically one per table, into a single dump.
+   * Tables are created in foreign key dependency order across all files,
+   * followed by their rows and then everything else (views, triggers, ...).
+   * Rows are spilled to a temporary file per table while reading, so memory
+   * use does not grow with the amount of data.
+   * @param {string[]} filePaths - Dumps to merge
+   * @returns {Promise<string[]>} - Path of the merged output
+   */
+  async processBatch(filePaths) {
+    // Sidecar configs only apply to a file converted on its own
+    await this.loadConfig(filePaths.length === 1 ? filePaths[0] : null);
+    return this.withReport(filePaths, async () => {
+      let output;
+      const spillDir = await fs.mkdtemp(path.join(os.tmpdir(), 'db-blender-'));
+      const batch = {
+        spillDir,
+        drops: new Set(),
+        creates: new Map(), // table name -> { statement, sql }
+        data: new Map(), // table name -> spill writer
+        other: []
+      };
 
-    for (const statement of statements) {
       try {
-        // Parse the statement
-        const ast = this.parser.astify(statement);
-
-        if (ast.type === 'create') {
-          // Handle CREATE TABLE statements
-          const tableName = ast.table[0].table;
-          
-          // Strip prefix if configured
-          if (this.config.stripPrefix && tableName.startsWith(this.config.stripPrefix)) {
-            ast.table[0].table = tableName.substring(this.config.stripPrefix.length);
-          }
+        logger.info(`Merging ${filePaths.length} SQL file(s)`);
+        this.resetState();
 
-          // Transform column definitions
-          if (ast.create_definitions) {
-            ast.create_definitions = this.transformColumns(ast.create_definitions);
+        for (const filePath of filePaths) {
+          await this.validateFile(filePath);
+          logger.info(`Reading SQL file: ${filePath}`);
+
+          const { size } = await fs.stat(filePath);
+          const progress = new ProgressReporter(path.basename(filePath), size, 'statements');
+
+          for await (const statement of await this.openStatements(filePath, progress)) {
+            await this.collectStatement(batch, statement);
+            progress.addItems();
           }
+          progress.finish();
+        }
+        this.location = null;
 
-          // Store table definition for dependency resolution
-          this.tables.set(tableName, ast);
-          
-          // Extract foreign key dependencies
-          this.extractDependencies(tableName, ast);
+        for (const spill of batch.data.values()) {
+          await spill.close();
         }
 
-        // Convert back to SQL
-        const transformedSql = this.parser.sqlify(ast);
-        transformed.push(transformedSql);
+        const outputPath = this.generateOutputPath(
+          filePaths.length === 1 ? filePaths[0] : path.join(this.config.inputDir, 'merged.sql')
+        );
+        output = this.createOutputWriter(outputPath);
+        await this.writeBatch(output, batch);
+        await output.close();
+        this.report.addOutput(outputPath);
+        logger.info(`Successfully wrote output to ${outputPath}`);
 
       } catch (error) {
-        logger.warn(`Error transforming statement, keeping original: ${error.message}`);
-        transformed.push(statement);
+        for (const spill of batch.data.values()) {
+          await spill.abort();
+        }
+        if (output) {
+          await output.abort();
+        }
+        logger.error('Error merging SQL files:', error);
+        throw error;
+      } finally {
+        await fs.rm(spillDir, { recursive: true, force: true });
       }
+    });
+  }
+
+  /**
+   * Sort one statement of a batch into its section of the merged dump
+   */
+  async collectStatement(batch, statement) {
+    statement = this.renamer.rewrite(statement);
+    const { kind, table } = classifyStatement(statement);
+
+    switch (kind) {
+      case 'session':
+        return;
+
+      case 'data': {
+        let spill = batch.data.get(table);
+        if (!spill) {
+          spill = this.createOutputWriter(path.join(batch.spillDir, `${batch.data.size}.sql`));
+          batch.data.set(table, spill);
+        }
+        await this.writeStatements(spill, this.transformStatement(statement));
+        return;
+      }
+
+      case 'create':
+        if (batch.creates.has(table)) {
+          logger.warn(`Table ${table} is defined more than once, keeping the last definition`);
+        }
+        batch.creates.set(table, { statement, sql: this.transformStatement(statement) });
+        return;
+
+      case 'drop':
+        // Older mysqldump versions create a placeholder table for each view and
+        // drop it again right before the view; keep that in statement order
+        if (batch.creates.has(table)) {
+          batch.other.push(...this.transformStatement(statement));
+          return;
+        }
+        for (const sql of this.transformStatement(statement)) {
+          batch.drops.add(sql);
+        }
+        return;
+
+      default:
+        batch.other.push(...this.transformStatement(statement));
     }
+  }
+
+  /**
+   * Write the collected batch: drops, tables in dependency order, rows in
+   * the same order, other statements and finally the foreign keys that had
+   * to be taken out of their tables to break cycles
+   */
+  async writeBatch(output, batch) {
+    const { ordered, deferred } = this.orderByDependencies();
 
-    return this.config.mergeSql ? this.orderByDependencies(transformed) : transformed;
+    // PostgreSQL output adds every foreign key after the data anyway
+    const cyclic = this.translator ? [] : deferred;
+    const alters = this.detachForeignKeys(batch, cyclic);
+
+    const tableOrder = [...new Set([...ordered, ...batch.creates.keys(), ...batch.data.keys()])];
+
+    await output.write(this.generateHeader());
+    await this.writeStatements(output, [...batch.drops]);
+    for (const table of tableOrder) {
+      if (batch.creates.has(table)) {
+        await this.writeStatements(output, batch.creates.get(table).sql);
+      }
+    }
+    for (const table of tableOrder) {
+      if (batch.data.has(table)) {
+        await output.append(batch.data.get(table).outputPath);
+      }
+    }
+    await this.writeStatements(output, batch.other);
+    await this.writeStatements(output, alters);
+    await output.write(this.generateFooter());
   }
 
   /**
-   * Transform column definitions to use modern types and encoding
+   * Remove foreign keys that close a dependency cycle from their CREATE TABLE
+   * statements and return them as ALTER TABLE ... ADD CONSTRAINT statements
+   * @param {Object} batch - Collected batch
+   * @param {Array<{ table: string, references: string }>} cyclic - Edges to break
+   * @returns {string[]}
    */
-  transformColumns(columns) {
-    return columns.map(column => {
-      // Convert deprecated types
-      if (column.type === 'TINYTEXT') {
-        column.type = 'VARCHAR';
-        column.length = 255;
+  detachForeignKeys(batch, cyclic) {
+    const alters = [];
+
+    for (const { table, references } of cyclic) {
+      const ast = this.tables.get(table);
+      const create = batch.creates.get(table);
+      if (!ast || !create) continue;
+
+      const detached = ast.create_definitions.filter(def => foreignKeyTarget(def) === references);
+      ast.create_definitions = ast.create_definitions.filter(def => !detached.includes(def));
+      create.sql = [this.keepExecutableComments(create.statement, this.parser.sqlify(ast))];
+
+      for (const def of detached) {
+        logger.info(`Foreign key cycle: adding ${table} -> ${references} after the data`);
+        alters.push(this.parser.sqlify({
+          type: 'alter',
+          table: [{ db: null, table: ast.table[0].table, as: null }],
+          expr: [{ action: 'add', create_definitions: def, resource: 'constraint', type: 'alter' }]
+        }));
       }
+    }
 
-      // Set modern character set and collation
-      if (column.type === 'VARCHAR' || column.type === 'TEXT') {
-        column.charset = this.config.toEncoding;
-        column.collate = `${this.config.toEncoding}_unicode_ci`;
+    return alters;
+  }
+
+  /**
+   * Split a stream of SQL text into individual statements, without their
+   * trailing delimiter. The statement being handed out is kept as the
+   * location for error reports.
+   * @param {AsyncIterable<string>} chunks - Decoded text chunks
+   * @param {string} filePath - File the text comes from
+   * @returns {AsyncGenerator<string>}
+   */
+  async *splitStatements(chunks, filePath) {
+    const splitter = new StatementSplitter();
+    let number = 0;
+    const locate = statement => {
+      this.location = { file: filePath, statement: ++number, text: statement };
+      return statement;
+    };
+
+    for await (const chunk of chunks) {
+      for (const statement of splitter.push(chunk)) {
+        yield locate(statement);
       }
+    }
 
-      return column;
-    });
+    for (const statement of splitter.end()) {
+      yield locate(statement);
+    }
+  }
+
+  /**
+   * Hand out statements read some other way, keeping the statement being
+   * handed out as the location for error reports
+   * @param {AsyncIterable<string>} statements - Statements without delimiter
+   * @param {string} filePath - File they come from
+   * @returns {AsyncGenerator<string>}
+   */
+  async *locateStatements(statements, filePath) {
+    let number = 0;
+    for await (const statement of statements) {
+      this.location = { file: filePath, statement: ++number, text: statement };
+      yield statement;
+    }
+  }
+
+  /**
+   * Transform a single SQL statement according to configuration
+   * @param {string} statement - Statement text without delimiter
+   * @returns {string[]} - Output statements
+   */
+  transformStatement(statement) {
+    // Row data needs no AST round-trip, and node-sql-parser is slow on large extended inserts
+    if (/^\s*(INSERT|REPLACE)\b/i.test(statement)) {
+      statement = this.modernizer.modernizeRows(statement);
+      this.observeRows(statement);
+      return this.translator ? this.translator.translate(statement, null) : [statement];
+    }
+
+    // Executable comments such as /*!40101 SET NAMES utf8 */ and stored programs
+    // are not understood by node-sql-parser. MySQL output keeps them as they are;
+    // for other dialects the commented statement is translated like any other.
+    if (isExecutableComment(statement) || isCompoundStatement(statement)) {
+      if (!this.translator) {
+        return [this.rewriteCharsetHints(statement)];
+      }
+      statement = unwrapExecutableComments(statement).trim();
+    }
+
+    statement = this.modernizer.prepare(statement);
+
+    try {
+      // Parse the statement
+      const ast = this.parser.astify(statement);
+
+      if (ast.type === 'create') {
+        // Handle CREATE TABLE statements, tables are already renamed
+        const tableName = ast.table[0].table;
+
+        // Apply the enabled schema modernization rules
+        this.modernizer.modernizeTable(ast);
+
+        // Store table definition for dependency resolution
+        this.tables.set(tableName, ast);
+        this.autoIncrements.defineTable(ast);
+        this.reportColumns(tableName, columnsFromAst(ast));
+
+        // Extract foreign key dependencies
+        this.extractDependencies(tableName, ast);
+      }
+
+      // Convert back to SQL
+      if (this.translator) {
+        return this.translator.translate(statement, ast);
+      }
+      if (ast.type === 'create') {
+        attachColumnCharsets(ast);
+      }
+      return [this.keepExecutableComments(statement, this.parser.sqlify(ast))];
+
+    } catch (error) {
+      const { kind, table } = classifyStatement(statement);
+      if (kind === 'create') {
+        this.autoIncrements.defineFromText(table, statement);
+        this.reportColumns(table, columnsFromText(statement));
+      }
+      if (this.translator) {
+        // The translator comments out anything it cannot handle
+        return this.translator.translate(statement, null);
+      }
+      logger.warn(`Error transforming statement, keeping original: ${error.message}`);
+      if (this.report) {
+        this.report.addPassedThrough(statement, error);
+      }
+      return [statement];
+    }
+  }
+
+  /**
+   * Count the rows of an INSERT statement for the report and follow the
+   * auto-increment keys in them. Statements are only parsed when needed.
+   */
+  observeRows(statement) {
+    const { table } = classifyStatement(statement);
+    if (!this.config.report && !this.autoIncrements.tracks(table)) return;
+
+    let insert;
+    try {
+      insert = parseInsertStatement(statement);
+    } catch {
+      return;
+    }
+    if (!insert) return;
+
+    if (this.report) {
+      this.report.addRows(insert.table, insert.rows.length);
+    }
+    this.autoIncrements.observeRows(insert);
+  }
+
+  /**
+   * Record the column types of a table in the report
+   * @param {string} table - Table name
+   * @param {Array<{ name: string, dataType: string }>} columns - From columnsFromAst()
+   */
+  reportColumns(table, columns) {
+    if (this.report) {
+      this.report.setColumns(table, Object.fromEntries(columns.map(column => [column.name, column.dataType])));
+    }
+  }
+
+  /**
+   * Point charset settings in kept executable comments at the target encoding,
+   * since the content is converted
+   */
+  rewriteCharsetHints(statement) {
+    return statement
+      .replace(/\bSET\s+NAMES\s+\w+(\s+COLLATE\s+\w+)?/gi, `SET NAMES ${this.config.toEncoding}`)
+      .replace(/\b(SET\s+character_set_client\s*=\s*)\w+/gi, `$1${this.config.toEncoding}`);
+  }
+
+  /**
+   * node-sql-parser drops executable comments such as /*!50100 PARTITION BY ... *\/
+   * at the end of a statement; add them back to the regenerated SQL
+   */
+  keepExecutableComments(statement, sql) {
+    const trailing = /(\s*\/\*![\s\S]*?\*\/)+\s*$/.exec(statement);
+    if (!trailing || !sql) {
+      return sql;
+    }
+    return `${sql} ${trailing[0].trim()}`;
+  }
+
+  /**
+   * Write output statements with their delimiter. Stored programs contain
+   * semicolons, so they are wrapped in a DELIMITER change.
+   */
+  async writeStatements(output, statements) {
+    for (const statement of statements) {
+      if (!statement) continue;
+      if (statement.startsWith('--')) {
+        await output.write(`${statement}\n\n`);
+      } else if (isCompoundStatement(statement)) {
+        await output.write(`DELIMITER ;;\n${statement};;\nDELIMITER ;\n\n`);
+      } else {
+        await output.write(`${statement};\n\n`);
+      }
+    }
   }
 
   /**
@@ -154,8 +774,9 @@ export class SqlProcessor extends BaseProcessor {
 
     if (ast.create_definitions) {
       for (const def of ast.create_definitions) {
-        if (def.resource === 'foreign key') {
-          dependencies.add(def.reference_definition.table);
+        const target = foreignKeyTarget(def);
+        if (target) {
+          dependencies.add(target);
         }
       }
     }
@@ -164,59 +785,147 @@ export class SqlProcessor extends BaseProcessor {
   }
 
   /**
-   * Order statements by dependencies for proper table creation
+   * Order the collected tables so that referenced tables come first. Foreign
+   * keys that close a cycle cannot be satisfied by any order; they are
+   * returned separately so they can be added once all tables exist.
+   * @returns {{ ordered: string[], deferred: Array<{ table: string, references: string }> }}
    */
-  orderByDependencies(statements) {
+  orderByDependencies() {
     const ordered = [];
-    const visited = new Set();
+    const deferred = [];
+    const state = new Map(); // table name -> 'visiting' | 'done'
 
     const visit = (tableName) => {
-      if (visited.has(tableName)) return;
-      
-      const deps = this.dependencies.get(tableName) || new Set();
-      for (const dep of deps) {
-        visit(dep);
+      state.set(tableName, 'visiting');
+
+      for (const dep of this.dependencies.get(tableName) || []) {
+        // Self references and tables outside the batch need no ordering
+        if (dep === tableName || !this.tables.has(dep)) continue;
+
+        if (state.get(dep) === 'visiting') {
+          deferred.push({ table: tableName, references: dep });
+        } else if (!state.has(dep)) {
+          visit(dep);
+        }
       }
 
-      visited.add(tableName);
-      const stmt = statements.find(s => s.includes(`CREATE TABLE \`${tableName}\``));
-      if (stmt) ordered.push(stmt);
+      state.set(tableName, 'done');
+      ordered.push(tableName);
     };
 
-    // Visit all tables
     for (const tableName of this.tables.keys()) {
-      visit(tableName);
-    }
-
-    // Add remaining statements (non-CREATE TABLE)
-    statements.forEach(stmt => {
-      if (!stmt.trim().toUpperCase().startsWith('CREATE TABLE')) {
-        ordered.push(stmt);
+      if (!state.has(tableName)) {
+        visit(tableName);
       }
-    });
+    }
 
-    return ordered;
+    return { ordered, deferred };
   }
 
   /**
-   * Generate final output SQL
+   * Generate the start of the output SQL
    */
-  generateOutput(statements) {
-    const header = [
+  generateHeader() {
+    if (this.translator) {
+      return this.generatePostgresHeader();
+    }
+
+    return [
       '-- Generated by DB Blender',
       `-- Timestamp: ${new Date().toISOString()}`,
       `-- Encoding: ${this.config.toEncoding}`,
+      `-- Source encoding: ${this.describeEncoding()}`,
       '',
       'SET NAMES utf8mb4;',
       'SET FOREIGN_KEY_CHECKS = 0;',
+      '',
       ''
     ].join('\n');
+  }
 
-    const footer = [
+  /**
+   * Generate the end of the output SQL
+   */
+  generateFooter() {
+    const report = this.reportModernization() + this.reportRenames();
+    if (this.translator) {
+      return report + this.generatePostgresFooter();
+    }
+
+    return `${this.generateCounterResets()}${report}SET FOREIGN_KEY_CHECKS = 1;\n`;
+  }
+
+  /**
+   * Set the AUTO_INCREMENT counter of every table past its converted rows
+   * @returns {string}
+   */
+  generateCounterResets() {
+    const counters = this.autoIncrements.getCounters();
+    if (counters.length === 0) return '';
+
+    logger.info(`Restoring AUTO_INCREMENT counters of ${counters.length} table(s)`);
+    const statements = counters.map(({ table, value }) =>
+      `ALTER TABLE \`${table.replace(/`/g, '``')}\` AUTO_INCREMENT = ${value};\n`);
+    return `${statements.join('')}\n`;
+  }
+
+  /**
+   * Log every schema modernization change and list them as comments for the output
+   * @returns {string}
+   */
+  reportModernization() {
+    const changes = this.modernizer.getChanges();
+    if (changes.length === 0) return '';
+
+    const lines = changes.map(({ table, column, rule, description }) =>
+      `${column ? `${table}.${column}` : table}: ${description} (${rule})`);
+    logger.info(`Made ${changes.length} schema change(s):\n  ${lines.join('\n  ')}`);
+    return `-- Schema changes:\n${lines.map(line => `--   ${line}`).join('\n')}\n\n`;
+  }
+
+  /**
+   * Log every renamed table and list them as comments for the output
+   * @returns {string}
+   */
+  reportRenames() {
+    const renames = this.renamer.getRenames();
+    if (renames.length === 0) return '';
+
+    const lines = renames.map(({ from, to, reason }) => `${from} -> ${to} (${reason})`);
+    logger.info(`Renamed ${renames.length} table(s): ${lines.join(', ')}`);
+    return `-- Renamed tables:\n${lines.map(line => `--   ${line}`).join('\n')}\n\n`;
+  }
+
+  /**
+   * Start of PostgreSQL output; the whole load runs in one transaction
+   */
+  generatePostgresHeader() {
+    return [
+      '-- Generated by DB Blender',
+      `-- Timestamp: ${new Date().toISOString()}`,
+      `-- Encoding: ${this.config.toEncoding}`,
+      `-- Source encoding: ${this.describeEncoding()}`,
+      '-- Dialect: postgresql',
       '',
-      'SET FOREIGN_KEY_CHECKS = 1;'
+      "SET client_encoding = 'UTF8';",
+      'SET standard_conforming_strings = on;',
+      '',
+      'BEGIN;',
+      '',
+      ''
     ].join('\n');
+  }
+
+  /**
+   * End of PostgreSQL output: indexes, constraints and sequence resets are
+   * added once all data is loaded
+   */
+  generatePostgresFooter() {
+    const deferred = this.translator
+      .getDeferredStatements(this.autoIncrements.getCounters())
+      .map(statement => `${statement};\n\n`)
+      .join('');
 
-    return `${header}${statements.join(';\n\n')}${footer}`;
+    return `${deferred}COMMIT;\n`;
   }
 }
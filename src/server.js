@@ -0,0 +1,387 @@
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import logger from './utils/logger.js';
+import config, { ConfigError, SIDECAR_EXTENSIONS } from './utils/config.js';
+import { JobCancelledError } from './utils/job-queue.js';
+import { REPORT_EXTENSION } from './utils/conversion-report.js';
+import { DONE_EXTENSION, writeFileAtomic } from './utils/output-writer.js';
+
+/**
+ * HTTP API for tools that cannot share a volume with the watcher. Uploaded
+ * files are converted by the watcher's processors, queue and retry policy,
+ * with the job's options applied like a sidecar config. Jobs are kept in
+ * the export directory and survive restarts.
+ *
+ *   POST   /jobs?name=<file>&<option>=<value>  upload a file, body is its content
+ *   GET    /jobs                               list jobs
+ *   GET    /jobs/<id>                          status, progress and outputs
+ *   GET    /jobs/<id>/outputs/<name>           download an output
+ *   GET    /jobs/<id>/report                   the conversion report
+ *   DELETE /jobs/<id>                          cancel and delete a job
+ */
+
+export const JOBS_DIR = '.api-jobs';
+
+const JOB_FILE = 'job.json';
+
+// Query parameters that are not plain options
+const RESERVED_PARAMETERS = ['name', 'rename', 'renameRule'];
+
+const CONTENT_TYPES = {
+  '.sql': 'application/sql; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message for the response
+   * @param {string[]} [problems] - Details, e.g. invalid options
+   */
+  constructor(status, message, problems = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.problems = problems;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+/**
+ * File name for an upload, without directories or unusual characters
+ */
+function safeName(name) {
+  return path.basename(name).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '');
+}
+
+export class ApiServer {
+  /**
+   * @param {FileWatcher} watcher - Started watcher whose processors run the jobs
+   */
+  constructor(watcher) {
+    this.watcher = watcher;
+    this.jobs = new Map(); // id -> job
+    this.server = null;
+    this.jobsDir = null;
+  }
+
+  /**
+   * Load the jobs of earlier runs and start listening
+   * @param {Object} options
+   * @param {string} options.host - Address to listen on
+   * @param {number} options.port - Port to listen on
+   * @param {string} options.exportDir - Export directory, jobs are kept below it
+   * @returns {Promise<void>}
+   */
+  async start({ host, port, exportDir }) {
+    this.jobsDir = path.join(exportDir, JOBS_DIR);
+    await fs.mkdir(this.jobsDir, { recursive: true });
+    await this.loadJobs();
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    logger.info(`HTTP API listening on http://${host}:${port}`);
+  }
+
+  /**
+   * Stop taking requests. Running jobs are left to the watcher's queue.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) return;
+    const closed = new Promise(resolve => this.server.close(resolve));
+    this.server.closeIdleConnections();
+    await closed;
+    this.server = null;
+    logger.info('HTTP API stopped');
+  }
+
+  /**
+   * Read the jobs kept from earlier runs. Jobs that had not finished were
+   * interrupted by the restart.
+   */
+  async loadJobs() {
+    for (const entry of await fs.readdir(this.jobsDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+
+      let job;
+      try {
+        job = JSON.parse(await fs.readFile(path.join(this.jobsDir, entry.name, JOB_FILE), 'utf8'));
+      } catch (error) {
+        logger.warn(`Ignoring API job directory ${entry.name}: ${error.message}`);
+        continue;
+      }
+
+      if (job.status === 'queued' || job.status === 'running') {
+        job.status = 'failed';
+        job.error = 'Interrupted by a restart';
+        job.finishedAt = new Date().toISOString();
+        await this.save(job);
+      }
+      this.jobs.set(job.id, job);
+    }
+
+    if (this.jobs.size > 0) {
+      logger.info(`Loaded ${this.jobs.size} API job(s)`);
+    }
+  }
+
+  async handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const [collection, id, resource, name, ...rest] = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      if (collection !== 'jobs' || rest.length > 0) {
+        throw new HttpError(404, 'Not found');
+      }
+
+      const route = `${req.method} ${[id && ':id', resource, name && ':name'].filter(Boolean).join('/')}`;
+      switch (route) {
+        case 'POST ':
+          return sendJson(res, 202, await this.createJob(req, url));
+        case 'GET ':
+          return sendJson(res, 200, [...this.jobs.values()].map(job => this.describe(job)));
+        case 'GET :id':
+          return sendJson(res, 200, this.describe(this.getJob(id)));
+        case 'GET :id/outputs/:name':
+          return await this.sendOutput(res, this.getJob(id), name);
+        case 'GET :id/report':
+          return await this.sendReport(res, this.getJob(id));
+        case 'DELETE :id':
+          await this.deleteJob(this.getJob(id));
+          res.writeHead(204);
+          return res.end();
+        default:
+          throw new HttpError(404, 'Not found');
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        logger.error(`HTTP API error for ${req.method} ${req.url}:`, error);
+      }
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      const body = { error: error instanceof HttpError ? error.message : 'Internal server error' };
+      if (error.problems) {
+        body.problems = error.problems;
+      }
+      sendJson(res, error.status || 500, body);
+    }
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new HttpError(404, `No job ${id}`);
+    }
+    return job;
+  }
+
+  /**
+   * Store an uploaded file with its options and queue its conversion
+   */
+  async createJob(req, url) {
+    const name = safeName(url.searchParams.get('name') || '');
+    if (!name) {
+      throw new HttpError(400, 'The name query parameter is required, e.g. ?name=dump.sql');
+    }
+    if (!this.watcher.hasProcessor(name)) {
+      throw new HttpError(415, `No processor registered for ${path.extname(name) || 'extensionless'} files`);
+    }
+
+    const options = this.readOptions(url.searchParams);
+    const id = crypto.randomUUID();
+    const dir = path.join(this.jobsDir, id);
+    const inputPath = path.join(dir, 'input', name);
+
+    try {
+      await fs.mkdir(path.join(dir, 'input'), { recursive: true });
+      await fs.mkdir(path.join(dir, 'output'));
+      await pipeline(req, createWriteStream(inputPath));
+      if (Object.keys(options).length > 0) {
+        await fs.writeFile(`${inputPath}${SIDECAR_EXTENSIONS[0]}`, JSON.stringify(options, null, 2));
+      }
+      // Invalid options are reported now rather than when the job runs
+      await config.forFile(inputPath);
+    } catch (error) {
+      await fs.rm(dir, { recursive: true, force: true });
+      if (error instanceof ConfigError) {
+        throw new HttpError(400, 'Invalid job options', error.problems);
+      }
+      throw error;
+    }
+
+    const job = {
+      id,
+      name,
+      status: 'queued',
+      options,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      outputs: [],
+      report: null
+    };
+    this.jobs.set(id, job);
+    await this.save(job);
+    logger.info(`API job ${id} queued for ${name}`);
+
+    job.finished = this.run(job, inputPath);
+    return this.describe(job);
+  }
+
+  /**
+   * Job options from query parameters: option names as in config files,
+   * plus rename=old=new and renameRule=pattern=replacement like on the
+   * command line. Validation happens with the sidecar.
+   */
+  readOptions(params) {
+    const options = {};
+    for (const [key, value] of params) {
+      if (!RESERVED_PARAMETERS.includes(key)) {
+        options[key] = config.parseText(key, value);
+      }
+    }
+
+    try {
+      if (params.has('rename')) {
+        options.renames = config.parseRenames(params.getAll('rename'));
+      }
+    } catch (error) {
+      throw new HttpError(400, 'Invalid job options', [error.message]);
+    }
+    if (params.has('renameRule')) {
+      options.renameRules = params.getAll('renameRule');
+    }
+    return options;
+  }
+
+  /**
+   * Convert the input of a job and record how it went
+   */
+  async run(job, inputPath) {
+    const outputDir = path.join(this.jobsDir, job.id, 'output');
+    job.saving = Promise.resolve(); // Saves made while the job runs, in order
+
+    try {
+      await this.watcher.submit(this.queueId(job), inputPath, {
+        exportDir: outputDir,
+        onStart: processor => {
+          job.processor = processor;
+          job.status = 'running';
+          job.startedAt = job.startedAt || new Date().toISOString();
+          job.saving = job.saving.then(() => this.save(job));
+        }
+      });
+      job.status = 'succeeded';
+    } catch (error) {
+      job.status = error instanceof JobCancelledError ? 'cancelled' : 'failed';
+      job.error = error.message;
+    }
+    // The final state must not be overwritten by an earlier save still under way
+    await job.saving;
+
+    job.processor = null;
+    job.finishedAt = new Date().toISOString();
+    try {
+      const files = (await fs.readdir(outputDir)).filter(file => !file.startsWith('.') && !file.endsWith(DONE_EXTENSION));
+      job.report = files.find(file => file.endsWith(REPORT_EXTENSION)) || null;
+      job.outputs = job.status === 'succeeded' ? files.filter(file => !file.endsWith(REPORT_EXTENSION)) : [];
+    } catch {
+      // Deleted while it ran
+      return;
+    }
+    await this.save(job);
+    logger.info(`API job ${job.id} ${job.status}`);
+  }
+
+  queueId(job) {
+    return `api:${job.id}`;
+  }
+
+  /**
+   * A job as returned by the API
+   */
+  describe(job) {
+    const base = `/jobs/${job.id}`;
+    return {
+      id: job.id,
+      name: job.name,
+      status: job.status,
+      options: job.options,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      progress: job.processor && job.processor.progress ? job.processor.progress.snapshot() : null,
+      outputs: job.outputs.map(name => ({ name, url: `${base}/outputs/${encodeURIComponent(name)}` })),
+      report: job.report ? `${base}/report` : null
+    };
+  }
+
+  async sendOutput(res, job, name) {
+    if (!job.outputs.includes(name)) {
+      throw new HttpError(404, `Job ${job.id} has no output ${name}`);
+    }
+    await this.sendFile(res, path.join(this.jobsDir, job.id, 'output', name));
+  }
+
+  async sendReport(res, job) {
+    if (!job.report) {
+      throw new HttpError(404, `Job ${job.id} has no report${job.finishedAt ? '' : ' yet'}`);
+    }
+    await this.sendFile(res, path.join(this.jobsDir, job.id, 'output', job.report));
+  }
+
+  async sendFile(res, filePath) {
+    const { size } = await fs.stat(filePath);
+    const type = filePath.endsWith(REPORT_EXTENSION)
+      ? CONTENT_TYPES['.json']
+      : CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+
+    res.writeHead(200, {
+      'Content-Type': type,
+      'Content-Length': size,
+      'Content-Disposition': `attachment; filename="${path.basename(filePath)}"`
+    });
+    await pipeline(createReadStream(filePath), res);
+  }
+
+  /**
+   * Cancel a job if it has not finished, then remove it and its files
+   */
+  async deleteJob(job) {
+    if (job.finished) {
+      this.watcher.cancel(this.queueId(job));
+      await job.finished;
+    }
+    this.jobs.delete(job.id);
+    await fs.rm(path.join(this.jobsDir, job.id), { recursive: true, force: true });
+    logger.info(`API job ${job.id} deleted`);
+  }
+
+  /**
+   * Write a job's state to its directory
+   */
+  async save(job) {
+    const { processor, finished, saving, ...state } = job;
+    try {
+      await writeFileAtomic(path.join(this.jobsDir, job.id, JOB_FILE), `${JSON.stringify(state, null, 2)}\n`);
+    } catch (error) {
+      logger.error(`Could not save API job ${job.id}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * AUTO_INCREMENT counters of converted tables.
+ *
+ * The counter of a table is the larger of its AUTO_INCREMENT= table option
+ * and one past the highest value inserted into its auto-increment column, so
+ * rows added after the import do not collide with converted ones.
+ */
+
+// mysqldump layout, for CREATE TABLE statements node-sql-parser cannot parse
+const COLUMN_LINE = /^\s*`((?:[^`]|``)+)`\s+\w+[^\n]*?\bAUTO_INCREMENT\b/im;
+const COLUMN_NAME = /^\s*`((?:[^`]|``)+)`\s+\w+/gm;
+const TABLE_OPTION = /\)[^()]*?\bAUTO_INCREMENT\s*=?\s*(\d+)[^()]*$/i;
+
+const INTEGER = /^\d+$/;
+
+export class AutoIncrementTracker {
+  constructor() {
+    this.tables = new Map(); // table -> { column, position, start, max }
+  }
+
+  /**
+   * Register the auto-increment column and counter of a parsed CREATE TABLE
+   * @param {Object} ast - node-sql-parser AST of the statement
+   */
+  defineTable(ast) {
+    const table = ast.table[0].table;
+    const columns = (ast.create_definitions || []).filter(def => def.resource === 'column');
+    const position = columns.findIndex(def => def.auto_increment);
+    const option = (ast.table_options || []).find(o => o.keyword === 'auto_increment');
+
+    this.register(table, position === -1 ? null : columns[position].column.column, position, option && option.value);
+  }
+
+  /**
+   * Register a CREATE TABLE statement from its text
+   * @param {string} table - Table name
+   * @param {string} statement - CREATE TABLE statement in mysqldump layout
+   */
+  defineFromText(table, statement) {
+    const column = COLUMN_LINE.exec(statement);
+    const option = TABLE_OPTION.exec(statement);
+    const name = column ? column[1].replace(/``/g, '`') : null;
+    const names = [...statement.matchAll(COLUMN_NAME)].map(match => match[1].replace(/``/g, '`'));
+
+    this.register(table, name, name === null ? -1 : names.indexOf(name), option && option[1]);
+  }
+
+  register(table, column, position, start) {
+    if (column === null && !start) {
+      this.tables.delete(table);
+      return;
+    }
+    this.tables.set(table, {
+      column,
+      position,
+      start: start ? BigInt(start) : null,
+      max: null
+    });
+  }
+
+  /**
+   * Whether INSERT rows into a table can move its counter
+   * @param {string} table - Table name
+   * @returns {boolean}
+   */
+  tracks(table) {
+    const entry = this.tables.get(table);
+    return Boolean(entry && entry.column !== null);
+  }
+
+  /**
+   * Note the auto-increment values of an INSERT statement's rows
+   * @param {Object} insert - Parsed statement from parseInsertStatement()
+   */
+  observeRows(insert) {
+    const entry = this.tables.get(insert.table);
+    if (!entry || entry.column === null) return;
+
+    const index = insert.columns ? insert.columns.indexOf(entry.column) : entry.position;
+    if (index === -1) return;
+
+    for (const row of insert.rows) {
+      const cell = row[index];
+      if (!cell || (cell.type !== 'number' && cell.type !== 'string')) continue;
+      const text = String(cell.value).trim();
+      if (!INTEGER.test(text)) continue;
+      const value = BigInt(text);
+      if (entry.max === null || value > entry.max) {
+        entry.max = value;
+      }
+    }
+  }
+
+  /**
+   * Counter to restore for every table that has one
+   * @returns {Array<{ table: string, column: string|null, value: string }>} -
+   *   value is the next value to hand out, as a string since it may not fit
+   *   a JavaScript number
+   */
+  getCounters() {
+    const counters = [];
+    for (const [table, { column, start, max }] of this.tables) {
+      const next = max === null ? null : max + 1n;
+      const value = next === null || (start !== null && start > next) ? start : next;
+      if (value !== null) {
+        counters.push({ table, column, value: value.toString() });
+      }
+    }
+    return counters;
+  }
+}
@@ -0,0 +1,184 @@
+import iconv from 'iconv-lite';
+
+/**
+ * Typed values for rows read from MySQL INSERT statements, used when dump
+ * data is exported to CSV or JSON. Values come from parseInsertStatement()
+ * as `{ type, value, binary }` and are converted according to the column
+ * definition from CREATE TABLE.
+ */
+
+const KINDS = {
+  integer: ['TINYINT', 'SMALLINT', 'MEDIUMINT', 'INT', 'INTEGER', 'BIGINT', 'SERIAL'],
+  decimal: ['DECIMAL', 'DEC', 'NUMERIC', 'FIXED'],
+  float: ['FLOAT', 'DOUBLE', 'REAL'],
+  boolean: ['BOOL', 'BOOLEAN'],
+  bit: ['BIT'],
+  binary: ['BINARY', 'VARBINARY', 'TINYBLOB', 'BLOB', 'MEDIUMBLOB', 'LONGBLOB'],
+  json: ['JSON'],
+  date: ['DATE', 'DATETIME', 'TIMESTAMP'],
+  year: ['YEAR']
+};
+
+const KIND_BY_TYPE = new Map();
+for (const [kind, types] of Object.entries(KINDS)) {
+  for (const type of types) KIND_BY_TYPE.set(type, kind);
+}
+
+// Column definitions as mysqldump writes them, one per line
+const COLUMN_LINE = /^\s*`((?:[^`]|``)+)`\s+(\w+)(?:\s*\(\s*(\d+))?/gm;
+
+/**
+ * Describe a column for value conversion
+ * @param {string} name - Column name
+ * @param {string} dataType - MySQL data type, e.g. INT or VARCHAR
+ * @param {number|null} [length] - Declared length or display width
+ * @returns {{ name: string, dataType: string, kind: string }}
+ */
+export function describeColumn(name, dataType, length = null) {
+  const type = String(dataType).toUpperCase();
+  let kind = KIND_BY_TYPE.get(type) || 'string';
+
+  // TINYINT(1) and BIT(1) are MySQL's booleans
+  if ((type === 'TINYINT' || type === 'BIT') && Number(length) === 1) {
+    kind = 'boolean';
+  }
+
+  return { name, dataType: type, kind };
+}
+
+/**
+ * Read column descriptions from a CREATE TABLE AST
+ * @param {Object} ast - node-sql-parser AST of the statement
+ * @returns {Array<{ name: string, dataType: string, kind: string }>}
+ */
+export function columnsFromAst(ast) {
+  return (ast.create_definitions || [])
+    .filter(def => def.resource === 'column')
+    .map(def => describeColumn(def.column.column, def.definition.dataType, def.definition.length));
+}
+
+/**
+ * Read column descriptions from CREATE TABLE text in mysqldump layout, for
+ * statements node-sql-parser cannot parse
+ * @param {string} statement - CREATE TABLE statement
+ * @returns {Array<{ name: string, dataType: string, kind: string }>}
+ */
+export function columnsFromText(statement) {
+  const columns = [];
+  for (const match of statement.matchAll(COLUMN_LINE)) {
+    columns.push(describeColumn(match[1].replace(/``/g, '`'), match[2], match[3] ? Number(match[3]) : null));
+  }
+  return columns;
+}
+
+function significantDigits(text) {
+  return text.replace(/^[-+]?/, '').replace(/e.*$/i, '').replace('.', '').replace(/^0+/, '').length;
+}
+
+/**
+ * Number if it can be represented exactly, otherwise the original text
+ */
+function toNumber(text, kind) {
+  const number = Number(text);
+  if (!Number.isFinite(number)) return text;
+  if (kind === 'integer') {
+    return Number.isSafeInteger(number) ? number : text;
+  }
+  if (kind === 'decimal') {
+    return significantDigits(text) <= 15 ? number : text;
+  }
+  return number;
+}
+
+function bytesOf(value, encoding) {
+  switch (value.type) {
+    case 'hex':
+      return Buffer.from(value.value, 'hex');
+    case 'bit': {
+      const hex = BigInt(`0b${value.value || '0'}`).toString(16);
+      return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+    }
+    default:
+      // The dump was decoded as text; encoding it again restores the raw bytes
+      return iconv.encode(String(value.value), encoding);
+  }
+}
+
+function integerOf(value) {
+  switch (value.type) {
+    case 'hex':
+      return value.value ? BigInt(`0x${value.value}`) : 0n;
+    case 'bit':
+      return BigInt(`0b${value.value || '0'}`);
+    default:
+      return null;
+  }
+}
+
+function fromBigInt(number) {
+  return number <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(number) : number.toString();
+}
+
+/**
+ * Convert a value from an INSERT statement to a JavaScript value
+ * @param {{ type: string, value: *, binary?: boolean }} value - Parsed value
+ * @param {Object} [column] - Column description from describeColumn()
+ * @param {string} [encoding] - Source encoding, to restore binary strings
+ * @returns {*} - null, boolean, number, string (binary data as base64) or,
+ *   for JSON columns, the parsed document
+ */
+export function convertValue(value, column, encoding = 'utf8') {
+  if (value.type === 'null') {
+    return null;
+  }
+
+  const kind = column ? column.kind : null;
+  const integer = integerOf(value);
+
+  switch (kind) {
+    case 'boolean':
+      if (value.type === 'bool') return value.value;
+      if (integer !== null) return integer !== 0n;
+      return Number(value.value) !== 0;
+
+    case 'integer':
+    case 'decimal':
+    case 'float':
+    case 'bit':
+    case 'year':
+      if (integer !== null) return fromBigInt(integer);
+      if (value.type === 'bool') return value.value ? 1 : 0;
+      return toNumber(String(value.value).trim(), kind === 'bit' || kind === 'year' ? 'integer' : kind);
+
+    case 'binary':
+      return bytesOf(value, encoding).toString('base64');
+
+    case 'date':
+      // Zero dates are MySQL's stand-in for a missing value
+      return /^0000-00-00/.test(String(value.value)) ? null : String(value.value);
+
+    case 'json':
+      try {
+        return JSON.parse(value.value);
+      } catch {
+        return value.value;
+      }
+
+    default:
+      break;
+  }
+
+  switch (value.type) {
+    case 'hex':
+      // A hex literal into a text column holds the text's bytes
+      return column ? Buffer.from(value.value, 'hex').toString('utf8') : bytesOf(value, encoding).toString('base64');
+    case 'bit':
+      return column ? value.value : fromBigInt(integer);
+    case 'number':
+      return column ? value.value : toNumber(value.value, value.value.includes('.') ? 'decimal' : 'integer');
+    case 'string':
+      return value.binary && !column ? bytesOf(value, encoding).toString('base64') : value.value;
+    default:
+      return value.value;
+  }
+}
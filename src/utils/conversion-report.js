@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { writeFileAtomic } from './output-writer.js';
+
+/**
+ * Machine-readable record of one conversion, written as JSON next to its
+ * output so a pipeline can check it before loading the output anywhere.
+ */
+
+export const REPORT_EXTENSION = '.report.json';
+
+// Statements are long; the report keeps enough to find them in the input
+const STATEMENT_EXCERPT_CHARS = 500;
+const ERROR_MESSAGE_CHARS = 500;
+
+/**
+ * SHA-256 of a file's content
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Hex digest
+ */
+export async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length)}...` : text;
+}
+
+export class ConversionReport {
+  /**
+   * @param {string[]} inputPaths - Files being converted
+   * @param {Object} config - Configuration used for them
+   */
+  constructor(inputPaths, config) {
+    this.inputPaths = inputPaths;
+    this.outputFormat = config.outputFormat;
+    this.targetEncoding = config.toEncoding;
+    this.startedAt = new Date();
+    this.encodings = new Map(); // input path -> encoding info
+    this.outputs = [];
+    this.tables = new Map(); // name -> { rows, columns, renamedColumns }
+    this.passedThrough = [];
+    this.leftOutKeys = [];
+    this.load = null;
+    this.warnings = [];
+    this.error = null;
+  }
+
+  /**
+   * Record the detected encoding of an input. The info object is kept, as
+   * repair counts keep changing while the input is read.
+   * @param {string} inputPath - Input file
+   * @param {Object} encodingInfo - From BaseProcessor.detectSourceEncoding()
+   */
+  setEncoding(inputPath, encodingInfo) {
+    this.encodings.set(inputPath, encodingInfo);
+  }
+
+  addOutput(outputPath) {
+    this.outputs.push(outputPath);
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, { rows: 0, columns: null, renamedColumns: {} });
+    }
+    return this.tables.get(name);
+  }
+
+  /**
+   * Record the columns of a table
+   * @param {string} name - Table name
+   * @param {Object<string, string>} columns - Type by column name
+   */
+  setColumns(name, columns) {
+    this.table(name).columns = columns;
+  }
+
+  /**
+   * Record the columns that got another name than in the input
+   * @param {string} name - Table name
+   * @param {Object<string, string>} renames - New name by input name
+   */
+  setRenamedColumns(name, renames) {
+    this.table(name).renamedColumns = renames;
+  }
+
+  addRows(name, count) {
+    this.table(name).rows += count;
+  }
+
+  /**
+   * Record a statement that could not be parsed and went to the output as it was
+   * @param {string} statement - Statement text
+   * @param {Error} error - Why it could not be parsed
+   */
+  addPassedThrough(statement, error) {
+    this.passedThrough.push({
+      statement: truncate(statement.trim(), STATEMENT_EXCERPT_CHARS),
+      error: truncate(String(error.message).split('\n')[0], ERROR_MESSAGE_CHARS)
+    });
+  }
+
+  /**
+   * Record top-level JSON keys that were not converted, as they hold no
+   * array of objects
+   * @param {string[]} keys - Key names
+   */
+  addLeftOutKeys(keys) {
+    this.leftOutKeys.push(...keys);
+  }
+
+  /**
+   * Record loading the output into the target database
+   * @param {Object} load - Summary from DatabaseLoader.load()
+   */
+  setLoad(load) {
+    this.load = load;
+  }
+
+  /**
+   * Record a logged warning or error
+   * @param {{ level: string, message: string }} entry
+   */
+  addLog(entry) {
+    this.warnings.push({ level: entry.level, message: truncate(entry.message, ERROR_MESSAGE_CHARS) });
+  }
+
+  /**
+   * success, warnings (the output may need a look) or failed (no output)
+   * @returns {string}
+   */
+  get status() {
+    if (this.error) return 'failed';
+    return this.warnings.length > 0 || this.passedThrough.length > 0 ? 'warnings' : 'success';
+  }
+
+  /**
+   * Finish the report and write it
+   * @param {string} reportPath - Where to write the report
+   * @param {Error|null} error - What made the conversion fail, if it did
+   * @returns {Promise<Object>} - The report
+   */
+  async write(reportPath, error = null) {
+    this.error = error;
+    const finishedAt = new Date();
+
+    const inputs = [];
+    for (const inputPath of this.inputPaths) {
+      try {
+        const { size } = await fs.promises.stat(inputPath);
+        inputs.push({ path: inputPath, size, sha256: await hashFile(inputPath) });
+      } catch {
+        inputs.push({ path: inputPath, size: null, sha256: null });
+      }
+    }
+
+    const report = {
+      status: this.status,
+      error: error ? error.message : null,
+      inputs,
+      outputs: error ? [] : this.outputs,
+      outputFormat: this.outputFormat,
+      encoding: {
+        target: this.targetEncoding,
+        detected: [...this.encodings].map(([input, { encoding, confidence, source, doubleEncoded, repaired }]) =>
+          ({ input, encoding, confidence, source, doubleEncoded, repaired }))
+      },
+      tables: [...this.tables].map(([name, { rows, columns, renamedColumns }]) => ({ name, rows, columns, renamedColumns })),
+      passedThrough: this.passedThrough,
+      leftOutKeys: this.leftOutKeys,
+      load: this.load,
+      warnings: this.warnings,
+      timing: {
+        startedAt: this.startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - this.startedAt
+      }
+    };
+
+    await writeFileAtomic(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+    return report;
+  }
+}
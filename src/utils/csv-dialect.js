@@ -0,0 +1,282 @@
+/**
+ * CSV dialect detection: the delimiter, quote and escape characters, whether
+ * the first row is a header and the line endings, guessed from a sample of
+ * the file. Settings given in the configuration are taken as they are and
+ * only the rest is detected.
+ */
+
+// Decoded characters inspected; enough for a few hundred records
+export const SNIFF_CHARS = 64 * 1024;
+
+// Records compared when guessing the delimiter and the header
+const SNIFF_RECORDS = 200;
+
+// Names for characters that are awkward to type on a command line
+export const CSV_CHARACTERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  pipe: '|',
+  space: ' ',
+  colon: ':',
+  'double-quote': '"',
+  'single-quote': "'",
+  backslash: '\\'
+};
+
+export const LINE_ENDINGS = {
+  lf: '\n',
+  crlf: '\r\n',
+  cr: '\r'
+};
+
+// In order of preference when several split the sample equally well. Tabs
+// rarely appear in text, so a file they split consistently is a TSV file.
+const DELIMITERS = ['\t', ',', ';', '|'];
+const QUOTES = ['"', "'"];
+
+const NUMBER = /^[-+]?(?:\d+(?:[.,]\d+)?|[.,]\d+)(?:[eE][-+]?\d+)?$/;
+const DATE = /^(?:\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[./-]\d{1,2}[./-]\d{2,4})(?:[ T]\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?$/;
+const BOOLEAN = /^(?:true|false)$/i;
+
+/**
+ * A configured character: a name from CSV_CHARACTERS or the character itself
+ * @param {string} value - Configured value
+ * @returns {string}
+ */
+export function csvCharacter(value) {
+  return CSV_CHARACTERS[value] || value;
+}
+
+/**
+ * Split text into records of fields, as a CSV parser would
+ * @param {string} text - Sample of the file
+ * @param {Object} dialect - delimiter, quote (or false) and escape
+ * @param {boolean} complete - Whether the text is the whole file; if not,
+ *   the last record may be cut off and is left out
+ * @returns {string[][]}
+ */
+function splitRecords(text, { delimiter, quote, escape }, complete) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRecord = () => {
+    record.push(field);
+    records.push(record);
+    record = [];
+    field = '';
+  };
+
+  while (i < text.length && records.length < SNIFF_RECORDS) {
+    const char = text[i];
+    if (quoted) {
+      if (char === escape && text[i + 1] === quote) {
+        field += quote;
+        i += 2;
+      } else if (char === quote) {
+        quoted = false;
+        i++;
+      } else {
+        field += char;
+        i++;
+      }
+    } else if (quote && char === quote && field.trim() === '') {
+      quoted = true;
+      i++;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+      i++;
+    } else if (char === '\r' || char === '\n') {
+      endRecord();
+      i += char === '\r' && text[i + 1] === '\n' ? 2 : 1;
+    } else {
+      field += char;
+      i++;
+    }
+  }
+
+  if (complete && i >= text.length && (field !== '' || record.length > 0)) {
+    endRecord();
+  }
+  return records.filter(fields => fields.length > 1 || fields[0].trim() !== '');
+}
+
+/**
+ * How well a dialect splits the records: the share of records with the
+ * most common field count, and that count
+ */
+function scoreSplit(records) {
+  const counts = new Map();
+  for (const fields of records) {
+    counts.set(fields.length, (counts.get(fields.length) || 0) + 1);
+  }
+
+  let fieldCount = 0;
+  let matching = 0;
+  for (const [count, times] of counts) {
+    if (times > matching || (times === matching && count > fieldCount)) {
+      fieldCount = count;
+      matching = times;
+    }
+  }
+  return { consistency: records.length > 0 ? matching / records.length : 0, fieldCount };
+}
+
+function detectLineEnding(text) {
+  const crlf = (text.match(/\r\n/g) || []).length;
+  const cr = (text.match(/\r(?!\n)/g) || []).length;
+  const lf = (text.match(/(?<!\r)\n/g) || []).length;
+  if (crlf >= lf && crlf >= cr && crlf > 0) return 'crlf';
+  return cr > lf ? 'cr' : 'lf';
+}
+
+/**
+ * Backslash when quotes inside quoted fields are escaped with one, otherwise
+ * the quote itself (doubled quotes)
+ */
+function detectEscape(text, quote) {
+  const doubled = text.split(`${quote}${quote}`).length - 1;
+  const backslashed = text.split(`\\${quote}`).length - 1;
+  return backslashed > doubled ? '\\' : quote;
+}
+
+function valueKind(value) {
+  const text = value.trim();
+  if (text === '') return 'empty';
+  if (NUMBER.test(text)) return 'number';
+  if (DATE.test(text)) return 'date';
+  if (BOOLEAN.test(text)) return 'boolean';
+  return 'text';
+}
+
+/**
+ * Whether the first record is a header. Each column votes: where the values
+ * below the first row share a kind (numbers, dates) or a length, a first row
+ * that differs from them is a header and one that matches is data. Files
+ * that give no evidence either way are taken to have a header.
+ */
+function detectHeader(records) {
+  if (records.length < 2) return true;
+
+  const [first, ...rest] = records;
+  let votes = 0;
+  first.forEach((value, column) => {
+    const values = rest.map(fields => fields[column]).filter(cell => cell !== undefined && cell.trim() !== '');
+    if (values.length === 0) return;
+
+    const kinds = new Set(values.map(valueKind));
+    if (kinds.size === 1 && !kinds.has('text')) {
+      votes += valueKind(value) === [...kinds][0] ? -1 : 1;
+      return;
+    }
+
+    const lengths = new Set(values.map(cell => cell.trim().length));
+    if (kinds.size === 1 && lengths.size === 1) {
+      votes += value.trim().length === [...lengths][0] ? -1 : 1;
+    }
+  });
+  return votes >= 0;
+}
+
+/**
+ * Work out the dialect of a CSV file
+ * @param {string} sample - Decoded text from the start of the file
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Configured delimiter, 'auto' to detect
+ * @param {string} [options.quote] - Configured quote, 'none' or 'auto'
+ * @param {string} [options.escape] - Configured escape, 'auto' to detect
+ * @param {string} [options.header] - yes, no or auto
+ * @param {string} [options.lineEnding] - lf, crlf, cr or auto
+ * @param {string} [options.fallbackDelimiter] - For files with one column
+ * @param {boolean} [options.complete] - Whether the sample is the whole file
+ * @returns {{ delimiter: string, quote: string|false, escape: string, header: boolean,
+ *   lineEnding: string, detected: string[] }} - detected names the settings
+ *   that were not configured
+ */
+export function detectCsvDialect(sample, {
+  delimiter = 'auto',
+  quote = 'auto',
+  escape = 'auto',
+  header = 'auto',
+  lineEnding = 'auto',
+  fallbackDelimiter = ',',
+  complete = false
+} = {}) {
+  const detected = [];
+  const dialect = {
+    delimiter: delimiter === 'auto' ? null : csvCharacter(delimiter),
+    quote: quote === 'none' ? false : (quote === 'auto' ? null : csvCharacter(quote)),
+    escape: escape === 'auto' ? null : csvCharacter(escape)
+  };
+
+  if (dialect.delimiter === null || dialect.quote === null) {
+    const delimiters = dialect.delimiter === null ? DELIMITERS : [dialect.delimiter];
+    const quotes = dialect.quote === null ? QUOTES : [dialect.quote];
+    let best = null;
+    for (const candidate of delimiters) {
+      for (const quoteCandidate of quotes) {
+        const escapeCandidate = dialect.escape || (quoteCandidate ? detectEscape(sample, quoteCandidate) : null);
+        const records = splitRecords(sample, { delimiter: candidate, quote: quoteCandidate, escape: escapeCandidate }, complete);
+        const score = scoreSplit(records);
+        if (score.fieldCount < 2) continue;
+        if (!best || score.consistency > best.consistency ||
+          (score.consistency === best.consistency && score.fieldCount > best.fieldCount)) {
+          best = { ...score, delimiter: candidate, quote: quoteCandidate };
+        }
+      }
+    }
+
+    if (dialect.delimiter === null) {
+      dialect.delimiter = best ? best.delimiter : fallbackDelimiter;
+      detected.push('delimiter');
+    }
+    if (dialect.quote === null) {
+      dialect.quote = best ? best.quote : QUOTES[0];
+      detected.push('quote');
+    }
+  }
+
+  if (dialect.escape === null) {
+    dialect.escape = dialect.quote ? detectEscape(sample, dialect.quote) : '\\';
+    detected.push('escape');
+  }
+
+  if (lineEnding === 'auto') {
+    dialect.lineEnding = detectLineEnding(sample);
+    detected.push('lineEnding');
+  } else {
+    dialect.lineEnding = lineEnding;
+  }
+
+  if (header === 'auto') {
+    dialect.header = detectHeader(splitRecords(sample, dialect, complete));
+    detected.push('header');
+  } else {
+    dialect.header = header === 'yes';
+  }
+
+  return { ...dialect, detected };
+}
+
+/**
+ * A dialect in words, for log messages
+ * @param {Object} dialect - From detectCsvDialect()
+ * @returns {string}
+ */
+export function describeCsvDialect(dialect) {
+  const show = char => {
+    const name = Object.keys(CSV_CHARACTERS).find(key => CSV_CHARACTERS[key] === char);
+    return name || JSON.stringify(char);
+  };
+  return [
+    `delimiter ${show(dialect.delimiter)}`,
+    dialect.quote ? `quote ${show(dialect.quote)}` : 'no quoting',
+    dialect.quote && dialect.escape !== dialect.quote ? `escape ${show(dialect.escape)}` : null,
+    dialect.header ? 'header row' : 'no header row',
+    `${dialect.lineEnding.toUpperCase()} line endings`
+  ].filter(Boolean).join(', ');
+}
@@ -0,0 +1,258 @@
+import iconv from 'iconv-lite';
+
+/**
+ * Source encoding detection and repair of double-encoded UTF-8.
+ */
+
+// Bytes inspected for hints and statistics; enough for any real dump header
+export const SAMPLE_BYTES = 4 * 1024 * 1024;
+
+// MySQL charset names mapped to the iconv-lite encodings that read them.
+// MySQL's latin1 is really Windows-1252, not ISO-8859-1.
+const MYSQL_CHARSETS = {
+  utf8mb4: 'utf8',
+  utf8mb3: 'utf8',
+  utf8: 'utf8',
+  'utf-8': 'utf8',
+  ascii: 'ascii',
+  latin1: 'cp1252',
+  cp1252: 'cp1252',
+  'iso-8859-1': 'latin1',
+  latin2: 'iso-8859-2',
+  latin5: 'iso-8859-9',
+  latin7: 'iso-8859-13',
+  cp1250: 'cp1250',
+  cp1251: 'cp1251',
+  cp1256: 'cp1256',
+  cp1257: 'cp1257',
+  greek: 'iso-8859-7',
+  hebrew: 'iso-8859-8',
+  koi8r: 'koi8-r',
+  koi8u: 'koi8-u',
+  sjis: 'shift_jis',
+  cp932: 'cp932',
+  ujis: 'euc-jp',
+  eucjpms: 'euc-jp',
+  gbk: 'gbk',
+  gb2312: 'gb2312',
+  gb18030: 'gb18030',
+  big5: 'big5',
+  euckr: 'euc-kr',
+  ucs2: 'utf16-be',
+  utf16: 'utf16-be',
+  utf16le: 'utf16-le',
+  binary: 'latin1'
+};
+
+const SINGLE_BYTE = new Set([
+  'ascii', 'latin1', 'cp1252', 'cp1250', 'cp1251', 'cp1256', 'cp1257',
+  'iso-8859-2', 'iso-8859-7', 'iso-8859-8', 'iso-8859-9', 'iso-8859-13', 'koi8-r', 'koi8-u'
+]);
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf8' },
+  { bytes: [0xff, 0xfe], encoding: 'utf16-le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf16-be' }
+];
+
+const CHARSET_HINTS = [
+  /SET\s+NAMES\s+'?(\w+)'?/i,
+  /DEFAULT\s+CHARSET\s*=\s*(\w+)/i,
+  /CHARACTER\s+SET\s*=?\s*(\w+)/i
+];
+
+// Characters that Windows-1252 produces for UTF-8 continuation bytes 0x80-0xBF
+const CONTINUATION = '[\\u0080-\\u00BF\\u20AC\\u201A\\u0192\\u201E\\u2026\\u2020\\u2021\\u02C6\\u2030' +
+  '\\u0160\\u2039\\u0152\\u017D\\u2018\\u2019\\u201C\\u201D\\u2022\\u2013\\u2014\\u02DC\\u2122' +
+  '\\u0161\\u203A\\u0153\\u017E\\u0178]';
+
+const MOJIBAKE = new RegExp(
+  `[\\u00C2-\\u00DF]${CONTINUATION}|[\\u00E0-\\u00EF]${CONTINUATION}{2}|[\\u00F0-\\u00F4]${CONTINUATION}{3}`,
+  'g'
+);
+
+const strictUtf8 = new TextDecoder('utf-8', { fatal: true });
+
+// Windows-1252 punctuation back to its byte; the five undefined bytes stay as U+0081 etc.
+const CP1252_BYTES = new Map();
+for (let byte = 0x80; byte <= 0x9f; byte++) {
+  const char = iconv.decode(Buffer.from([byte]), 'cp1252');
+  if (char !== '\ufffd') CP1252_BYTES.set(char, byte);
+}
+
+/**
+ * Map a MySQL or iconv charset name to the iconv-lite encoding to use
+ * @param {string} name - Charset name such as utf8mb4, latin1 or cp1250
+ * @returns {string} - iconv-lite encoding name
+ */
+export function resolveCharset(name) {
+  const key = String(name).toLowerCase();
+  if (MYSQL_CHARSETS[key]) {
+    return MYSQL_CHARSETS[key];
+  }
+  if (iconv.encodingExists(key)) {
+    return key;
+  }
+  throw new Error(`Unsupported encoding: ${name}`);
+}
+
+/**
+ * Scan bytes for UTF-8 validity
+ * @param {Buffer} buffer - Bytes to scan
+ * @returns {{ highBytes: number, multibyte: number, invalid: number, c1: number, letters: number }}
+ */
+function scanBytes(buffer) {
+  const stats = { highBytes: 0, multibyte: 0, invalid: 0, c1: 0, letters: 0 };
+  let i = 0;
+
+  while (i < buffer.length) {
+    const byte = buffer[i];
+    if (byte < 0x80) {
+      i++;
+      continue;
+    }
+
+    stats.highBytes++;
+    if (byte >= 0x80 && byte <= 0x9f) stats.c1++;
+    if (byte >= 0xc0 && byte !== 0xd7 && byte !== 0xf7) stats.letters++;
+
+    let length = 0;
+    if (byte >= 0xc2 && byte <= 0xdf) length = 2;
+    else if (byte >= 0xe0 && byte <= 0xef) length = 3;
+    else if (byte >= 0xf0 && byte <= 0xf4) length = 4;
+
+    // A sequence cut off by the end of the sample is not evidence either way
+    if (length && i + length > buffer.length) break;
+
+    let valid = length > 0;
+    for (let j = 1; valid && j < length; j++) {
+      if ((buffer[i + j] & 0xc0) !== 0x80) valid = false;
+    }
+
+    if (valid) {
+      stats.multibyte++;
+      i += length;
+    } else {
+      stats.invalid++;
+      i++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Find a charset declared in the content, e.g. SET NAMES or DEFAULT CHARSET
+ * @param {Buffer} sample - Leading bytes of the file
+ * @returns {{ charset: string, encoding: string }|null}
+ */
+function findDeclaredCharset(sample) {
+  const text = sample.toString('latin1');
+  for (const pattern of CHARSET_HINTS) {
+    const match = pattern.exec(text);
+    if (match) {
+      try {
+        return { charset: match[1].toLowerCase(), encoding: resolveCharset(match[1]) };
+      } catch {
+        // Unknown charset name in the dump, keep looking
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect the encoding of raw file content
+ * @param {Buffer} buffer - Raw file content
+ * @returns {{ encoding: string, confidence: number, source: string }}
+ *   source is one of bom, ascii, declaration or heuristic
+ */
+export function detectEncoding(buffer) {
+  for (const { bytes, encoding } of BOMS) {
+    if (bytes.every((byte, i) => buffer[i] === byte)) {
+      return { encoding, confidence: 1, source: 'bom' };
+    }
+  }
+
+  const sample = buffer.subarray(0, SAMPLE_BYTES);
+  const stats = scanBytes(sample);
+  const declared = findDeclaredCharset(sample);
+
+  if (stats.highBytes === 0) {
+    return { encoding: 'utf8', confidence: 1, source: 'ascii' };
+  }
+
+  if (stats.invalid === 0) {
+    if (declared && declared.encoding === 'utf8') {
+      return { encoding: 'utf8', confidence: 1, source: 'declaration' };
+    }
+    // Single-byte text almost never forms valid multi-byte sequences by chance
+    const confidence = Math.min(0.99, 0.75 + 0.05 * stats.multibyte);
+    return { encoding: 'utf8', confidence, source: 'heuristic' };
+  }
+
+  if (declared && SINGLE_BYTE.has(declared.encoding)) {
+    return { encoding: declared.encoding, confidence: 0.95, source: 'declaration' };
+  }
+
+  // Bytes 0x80-0x9F are control characters in ISO-8859-1 but punctuation in Windows-1252
+  const encoding = stats.c1 > 0 ? 'cp1252' : 'latin1';
+  const confidence = Number((0.6 + 0.35 * (stats.letters / stats.highBytes)).toFixed(2));
+  return { encoding, confidence, source: 'heuristic' };
+}
+
+/**
+ * Count likely double-encoded UTF-8 sequences such as "Ã©" for "é"
+ * @param {string} text - Decoded text
+ * @returns {number}
+ */
+export function countMojibake(text) {
+  const matches = text.match(MOJIBAKE);
+  return matches ? matches.filter(match => decodeMojibake(match) !== null).length : 0;
+}
+
+function decodeMojibake(sequence) {
+  try {
+    const bytes = Array.from(sequence, char => CP1252_BYTES.get(char) ?? char.charCodeAt(0));
+    return strictUtf8.decode(Buffer.from(bytes));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Repair double-encoded UTF-8. Text that was encoded twice or more is
+ * repaired one layer per pass.
+ * @param {string} text - Decoded text
+ * @returns {{ text: string, repaired: number }}
+ */
+export function repairMojibake(text) {
+  let repaired = 0;
+
+  for (let pass = 0; pass < 3; pass++) {
+    let changed = 0;
+    text = text.replace(MOJIBAKE, sequence => {
+      const decoded = decodeMojibake(sequence);
+      if (decoded === null) {
+        return sequence;
+      }
+      changed++;
+      return decoded;
+    });
+
+    repaired += changed;
+    if (changed === 0) break;
+  }
+
+  return { text, repaired };
+}
+
+/**
+ * Decode raw bytes with the given encoding, skipping a byte order mark
+ * @param {Buffer} buffer - Raw content
+ * @param {string} encoding - iconv-lite encoding name
+ * @returns {string}
+ */
+export function decode(buffer, encoding) {
+  return iconv.decode(buffer, encoding, { stripBOM: true });
+}
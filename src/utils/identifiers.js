@@ -0,0 +1,124 @@
+/**
+ * Table and column names for imported CSV and JSON data. Headers and JSON
+ * keys can hold anything, so they are turned into identifiers that work in
+ * any database: letters, digits and underscores, within the length limit
+ * and distinct from each other.
+ */
+
+export const IDENTIFIER_STYLES = ['snake', 'preserve'];
+export const RESERVED_WORD_HANDLING = ['keep', 'suffix'];
+
+// Longest identifiers MySQL and PostgreSQL accept
+export const MAX_IDENTIFIER_LENGTH = { mysql: 64, postgresql: 63 };
+
+// Letters that Unicode normalization does not take apart
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', Æ: 'AE', ø: 'o', Ø: 'O', œ: 'oe', Œ: 'OE', þ: 'th', Þ: 'TH',
+  ð: 'd', Ð: 'D', đ: 'd', Đ: 'D', ł: 'l', Ł: 'L', ı: 'i', ħ: 'h', Ħ: 'H'
+};
+
+// Reserved words of MySQL 8 and PostgreSQL that are likely column names
+const RESERVED_WORDS = new Set([
+  'accessible', 'add', 'all', 'alter', 'analyze', 'and', 'array', 'as', 'asc', 'asensitive', 'before',
+  'between', 'bigint', 'binary', 'blob', 'both', 'by', 'call', 'cascade', 'case', 'change', 'char',
+  'character', 'check', 'collate', 'column', 'condition', 'constraint', 'continue', 'convert', 'create',
+  'cross', 'cube', 'cume_dist', 'current_date', 'current_time', 'current_timestamp', 'current_user',
+  'cursor', 'database', 'databases', 'day_hour', 'day_microsecond', 'day_minute', 'day_second', 'dec',
+  'decimal', 'declare', 'default', 'delayed', 'delete', 'dense_rank', 'desc', 'describe',
+  'deterministic', 'distinct', 'distinctrow', 'div', 'do', 'double', 'drop', 'dual', 'each', 'else',
+  'elseif', 'empty', 'enclosed', 'end', 'escaped', 'except', 'exists', 'exit', 'explain', 'false',
+  'fetch', 'first_value', 'float', 'for', 'force', 'foreign', 'from', 'fulltext', 'function', 'generated',
+  'get', 'grant', 'group', 'grouping', 'groups', 'having', 'high_priority', 'hour_microsecond',
+  'hour_minute', 'hour_second', 'if', 'ignore', 'in', 'index', 'infile', 'inner', 'inout', 'insensitive',
+  'insert', 'int', 'integer', 'intersect', 'interval', 'into', 'is', 'iterate', 'join', 'json_table',
+  'key', 'keys', 'kill', 'lag', 'last_value', 'lateral', 'lead', 'leading', 'leave', 'left', 'like',
+  'limit', 'linear', 'lines', 'load', 'localtime', 'localtimestamp', 'lock', 'long', 'longblob',
+  'longtext', 'loop', 'low_priority', 'match', 'maxvalue', 'mediumblob', 'mediumint', 'mediumtext',
+  'minute_microsecond', 'minute_second', 'mod', 'modifies', 'natural', 'not', 'no_write_to_binlog',
+  'nth_value', 'ntile', 'null', 'numeric', 'of', 'offset', 'on', 'only', 'optimize', 'option',
+  'optionally', 'or', 'order', 'out', 'outer', 'outfile', 'over', 'partition', 'percent_rank',
+  'placing', 'precision', 'primary', 'procedure', 'purge', 'range', 'rank', 'read', 'reads', 'real',
+  'recursive', 'references', 'regexp', 'release', 'rename', 'repeat', 'replace', 'require', 'resignal',
+  'restrict', 'return', 'returning', 'revoke', 'right', 'rlike', 'row', 'row_number', 'rows', 'schema',
+  'schemas', 'second_microsecond', 'select', 'sensitive', 'separator', 'session_user', 'set', 'show',
+  'signal', 'smallint', 'some', 'spatial', 'specific', 'sql', 'sqlexception', 'sqlstate', 'sqlwarning',
+  'ssl', 'starting', 'stored', 'straight_join', 'symmetric', 'system', 'table', 'terminated', 'then',
+  'tinyblob', 'tinyint', 'tinytext', 'to', 'trailing', 'trigger', 'true', 'undo', 'union', 'unique',
+  'unlock', 'unsigned', 'update', 'usage', 'use', 'user', 'using', 'utc_date', 'utc_time',
+  'utc_timestamp', 'values', 'varbinary', 'varchar', 'varcharacter', 'variadic', 'varying', 'virtual',
+  'when', 'where', 'while', 'window', 'with', 'write', 'xor', 'year_month', 'zerofill'
+]);
+
+export class IdentifierNormalizer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.style] - snake (customer_name) or preserve (Customer_Name)
+   * @param {boolean} [options.transliterate] - Write accented and other
+   *   non-ASCII letters in ASCII, e.g. ü as u and ß as ss
+   * @param {string} [options.reservedWords] - keep reserved words, which are
+   *   quoted in the output anyway, or suffix them with an underscore
+   * @param {number} [options.maxLength] - Longest identifier
+   */
+  constructor({ style = 'snake', transliterate = true, reservedWords = 'keep', maxLength = MAX_IDENTIFIER_LENGTH.mysql } = {}) {
+    this.style = style;
+    this.transliterate = transliterate;
+    this.reservedWords = reservedWords;
+    this.maxLength = maxLength;
+  }
+
+  /**
+   * Turn a name into an identifier
+   * @param {string} name - Header, JSON key or file name
+   * @returns {string} - Empty when nothing of the name is left
+   */
+  normalize(name) {
+    let text = String(name).trim();
+    if (this.transliterate) {
+      text = text
+        .replace(/[^\x00-\x7f]/g, char => TRANSLITERATIONS[char] || char)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '');
+    }
+    if (this.style === 'snake') {
+      text = text
+        .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1_$2')
+        .replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, '$1_$2')
+        .toLowerCase();
+    }
+
+    const allowed = this.transliterate ? /[^A-Za-z0-9_]+/g : /[^\p{L}\p{N}_]+/gu;
+    text = text.replace(allowed, '_').replace(/_{2,}/g, '_').replace(/^_+|_+$/g, '');
+    if (/^\p{N}/u.test(text)) {
+      text = `_${text}`;
+    }
+    if (this.reservedWords === 'suffix' && RESERVED_WORDS.has(text.toLowerCase())) {
+      text = `${text}_`;
+    }
+    return text.slice(0, this.maxLength);
+  }
+
+  /**
+   * Identifiers for a list of names, distinct from each other ignoring case.
+   * Names that normalize to nothing get <fallback>_<position>, and names that
+   * collide are numbered, shortened as far as the number needs.
+   * @param {string[]} names - Names in order
+   * @param {string} [fallback] - Base for names with nothing left
+   * @returns {Map<string, string>} - Identifier by name
+   */
+  assign(names, fallback = 'column') {
+    const identifiers = new Map();
+    const taken = new Set();
+
+    names.forEach((name, i) => {
+      const base = this.normalize(name) || `${fallback}_${i + 1}`;
+      let identifier = base;
+      for (let n = 2; taken.has(identifier.toLowerCase()); n++) {
+        const suffix = `_${n}`;
+        identifier = `${base.slice(0, this.maxLength - suffix.length)}${suffix}`;
+      }
+      taken.add(identifier.toLowerCase());
+      identifiers.set(name, identifier);
+    });
+    return identifiers;
+  }
+}
@@ -0,0 +1,171 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+import { writeFileAtomic } from './output-writer.js';
+
+/**
+ * Moves watched inputs out of the input directory once they are done with:
+ * failed ones to the failed directory, next to an error sidecar saying what
+ * went wrong, and converted ones to the archive directory if asked to.
+ * Sidecar configs travel with their file.
+ */
+
+export const ERROR_EXTENSION = '.error.json';
+
+// Errors that may go away when the conversion is tried again a bit later
+const TRANSIENT_ERROR_CODES = new Set(['EBUSY', 'EAGAIN', 'EACCES', 'EPERM', 'EMFILE', 'ENFILE', 'ETXTBSY']);
+
+const STATEMENT_EXCERPT_CHARS = 500;
+
+/**
+ * Whether an error, or the error that caused it, is worth a retry
+ * @param {Error} error - Conversion error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (TRANSIENT_ERROR_CODES.has(cause.code)) return true;
+  }
+  return false;
+}
+
+/**
+ * A free path for a file name in a directory: report.sql, then report-1.sql, ...
+ */
+async function freePath(dir, name) {
+  const extension = path.extname(name);
+  const base = path.basename(name, extension);
+  for (let i = 0; ; i++) {
+    const candidate = path.join(dir, i === 0 ? name : `${base}-${i}${extension}`);
+    try {
+      await fs.access(candidate);
+    } catch {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Move a file, copying it when the target is on another file system
+ */
+async function moveFile(source, target) {
+  try {
+    await fs.rename(source, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(source, target);
+    await fs.rm(source);
+  }
+}
+
+export class InputArchive {
+  /**
+   * @param {Object} options
+   * @param {string} options.failedDir - Where failed inputs go
+   * @param {string} options.archiveDir - Where converted inputs go
+   * @param {string[]} options.sidecarExtensions - Extensions of sidecar configs
+   */
+  constructor({ failedDir, archiveDir, sidecarExtensions }) {
+    this.failedDir = failedDir;
+    this.archiveDir = archiveDir;
+    this.sidecarExtensions = sidecarExtensions;
+  }
+
+  /**
+   * Whether a path is inside one of the directories inputs are moved to
+   * @param {string} filePath - Path to check
+   * @returns {boolean}
+   */
+  contains(filePath) {
+    const resolved = path.resolve(filePath);
+    return [this.failedDir, this.archiveDir].some(dir =>
+      resolved === dir || resolved.startsWith(`${dir}${path.sep}`));
+  }
+
+  /**
+   * Move inputs that could not be converted to the failed directory and
+   * write an error sidecar for each
+   * @param {string[]} filePaths - Inputs of the failed conversion
+   * @param {Error} error - Why it failed
+   * @param {Object} details
+   * @param {number} details.attempts - How often the conversion was tried
+   * @param {Object} details.config - Configuration used, from config.describe()
+   * @returns {Promise<void>}
+   */
+  async moveToFailed(filePaths, error, { attempts, config }) {
+    const failedAt = new Date().toISOString();
+
+    for (const filePath of filePaths) {
+      try {
+        const target = await this.move(filePath, this.failedDir);
+        await writeFileAtomic(`${target}${ERROR_EXTENSION}`, `${JSON.stringify({
+          input: filePath,
+          movedTo: target,
+          failedAt,
+          attempts,
+          error: {
+            name: error.name,
+            message: error.message,
+            code: error.code || null,
+            stack: error.stack || null
+          },
+          location: this.describeLocation(error.location),
+          batch: filePaths.length > 1 ? filePaths : null,
+          config
+        }, null, 2)}\n`);
+        logger.warn(`Moved failed input ${filePath} to ${target}`);
+      } catch (moveError) {
+        logger.error(`Could not move failed input ${filePath} to ${this.failedDir}: ${moveError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Move converted inputs to the archive directory
+   * @param {string[]} filePaths - Inputs of the conversion
+   * @returns {Promise<void>}
+   */
+  async moveToArchive(filePaths) {
+    for (const filePath of filePaths) {
+      try {
+        const target = await this.move(filePath, this.archiveDir);
+        logger.info(`Archived ${filePath} to ${target}`);
+      } catch (error) {
+        logger.error(`Could not archive ${filePath} to ${this.archiveDir}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Move a file and its sidecar configs to a directory, without overwriting
+   * anything there
+   * @returns {Promise<string>} - New path of the file
+   */
+  async move(filePath, dir) {
+    await fs.mkdir(dir, { recursive: true });
+    const target = await freePath(dir, path.basename(filePath));
+    await moveFile(filePath, target);
+
+    for (const extension of this.sidecarExtensions) {
+      try {
+        await moveFile(`${filePath}${extension}`, `${target}${extension}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return target;
+  }
+
+  /**
+   * Where in the input the conversion failed, as noted by the processor
+   */
+  describeLocation(location) {
+    if (!location) return null;
+    const { text, ...rest } = location;
+    if (typeof text !== 'string') return rest;
+    return {
+      ...rest,
+      text: text.length > STATEMENT_EXCERPT_CHARS ? `${text.slice(0, STATEMENT_EXCERPT_CHARS)}...` : text
+    };
+  }
+}
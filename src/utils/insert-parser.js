@@ -0,0 +1,350 @@
+/**
+ * Scanner for MySQL INSERT ... VALUES statements.
+ *
+ * node-sql-parser leaves most backslash escapes inside string values and is
+ * slow on large extended inserts, so row data is read with this scanner.
+ */
+
+const INSERT_PREFIX = /^\s*(INSERT|REPLACE)\s+((?:(?:LOW_PRIORITY|DELAYED|HIGH_PRIORITY|IGNORE)\s+)*)(?:INTO\s+)?/i;
+
+const ESCAPES = {
+  '0': '\0',
+  b: '\b',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  Z: '\x1a',
+  '%': '\\%',
+  _: '\\_'
+};
+
+/**
+ * Decode the body of a MySQL string literal (without the surrounding quotes)
+ * @param {string} body - Raw literal body as it appears in the dump
+ * @param {string} [quote] - Quote character that delimited the literal
+ * @returns {string} - Decoded string value
+ */
+export function decodeMysqlString(body, quote = "'") {
+  let result = '';
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+
+    if (char === '\\' && i + 1 < body.length) {
+      const next = body[++i];
+      result += next in ESCAPES ? ESCAPES[next] : next;
+    } else if (char === quote && body[i + 1] === quote) {
+      result += quote;
+      i++;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Encode a string as a MySQL single-quoted literal
+ * @param {string} value - Value to quote
+ * @returns {string} - Quoted literal
+ */
+export function encodeMysqlString(value) {
+  const escaped = String(value).replace(/[\0\b\n\r\t\x1a'\\]/g, char => {
+    switch (char) {
+      case '\0': return '\\0';
+      case '\b': return '\\b';
+      case '\n': return '\\n';
+      case '\r': return '\\r';
+      case '\t': return '\\t';
+      case '\x1a': return '\\Z';
+      default: return `\\${char}`;
+    }
+  });
+  return `'${escaped}'`;
+}
+
+class InsertScanner {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  error(message) {
+    return new Error(`${message} at offset ${this.pos} of INSERT statement`);
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  peek() {
+    this.skipWhitespace();
+    return this.text[this.pos];
+  }
+
+  expect(char) {
+    if (this.peek() !== char) {
+      throw this.error(`Expected "${char}"`);
+    }
+    this.pos++;
+  }
+
+  matchKeyword(keyword) {
+    this.skipWhitespace();
+    const candidate = this.text.substr(this.pos, keyword.length);
+    const after = this.text[this.pos + keyword.length];
+    if (candidate.toUpperCase() === keyword && !/[\w$]/.test(after || '')) {
+      this.pos += keyword.length;
+      return true;
+    }
+    return false;
+  }
+
+  readIdentifier() {
+    this.skipWhitespace();
+    const quote = this.text[this.pos];
+
+    if (quote === '`' || quote === '"') {
+      let name = '';
+      this.pos++;
+      while (this.pos < this.text.length) {
+        const char = this.text[this.pos++];
+        if (char === quote) {
+          if (this.text[this.pos] === quote) {
+            name += quote;
+            this.pos++;
+            continue;
+          }
+          return name;
+        }
+        name += char;
+      }
+      throw this.error('Unterminated identifier');
+    }
+
+    const match = /^[\w$]+/.exec(this.text.slice(this.pos, this.pos + 256));
+    if (!match) {
+      throw this.error('Expected identifier');
+    }
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  readTableName() {
+    const first = this.readIdentifier();
+    if (this.text[this.pos] === '.') {
+      this.pos++;
+      return { db: first, table: this.readIdentifier() };
+    }
+    return { db: null, table: first };
+  }
+
+  readString(quote) {
+    const start = ++this.pos;
+
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      if (char === '\\') {
+        this.pos += 2;
+      } else if (char === quote) {
+        if (this.text[this.pos + 1] === quote) {
+          this.pos += 2;
+        } else {
+          const body = this.text.slice(start, this.pos++);
+          return decodeMysqlString(body, quote);
+        }
+      } else {
+        this.pos++;
+      }
+    }
+
+    throw this.error('Unterminated string literal');
+  }
+
+  readValue() {
+    this.skipWhitespace();
+    const rest = this.text.slice(this.pos, this.pos + 64);
+    let match;
+
+    // Charset introducers such as _binary'...' or _utf8mb4 '...'
+    let introducer = null;
+    if ((match = /^_(\w+)\s*(?=['"])/.exec(rest))) {
+      introducer = match[1].toLowerCase();
+      this.pos += match[0].length;
+    }
+
+    const char = this.text[this.pos];
+    if (char === "'" || char === '"') {
+      const value = this.readString(char);
+      return { type: 'string', value, binary: introducer === 'binary' };
+    }
+
+    if ((match = /^0x([0-9a-f]*)/i.exec(rest)) || (match = /^x'([0-9a-f]*)'/i.exec(rest))) {
+      this.pos += match[0].length;
+      return { type: 'hex', value: match[1].toUpperCase() };
+    }
+
+    if ((match = /^0b([01]+)/.exec(rest)) || (match = /^b'([01]*)'/i.exec(rest))) {
+      this.pos += match[0].length;
+      return { type: 'bit', value: match[1] };
+    }
+
+    if ((match = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?(?![\w$])/i.exec(rest))) {
+      this.pos += match[0].length;
+      return { type: 'number', value: match[0] };
+    }
+
+    if (this.matchKeyword('NULL')) {
+      return { type: 'null', value: null };
+    }
+    if (this.matchKeyword('TRUE')) {
+      return { type: 'bool', value: true };
+    }
+    if (this.matchKeyword('FALSE')) {
+      return { type: 'bool', value: false };
+    }
+
+    return { type: 'expression', value: this.readExpression() };
+  }
+
+  readExpression() {
+    const start = this.pos;
+    let depth = 0;
+
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      if (char === "'" || char === '"') {
+        this.readString(char);
+        continue;
+      }
+      if (char === '(') depth++;
+      if (char === ')') {
+        if (depth === 0) break;
+        depth--;
+      }
+      if (char === ',' && depth === 0) break;
+      this.pos++;
+    }
+
+    const expression = this.text.slice(start, this.pos).trim();
+    if (!expression) {
+      throw this.error('Expected value');
+    }
+    return expression;
+  }
+
+  readRow() {
+    this.expect('(');
+    const row = [];
+
+    if (this.peek() === ')') {
+      this.pos++;
+      return row;
+    }
+
+    for (;;) {
+      row.push(this.readValue());
+      const next = this.peek();
+      this.pos++;
+      if (next === ')') return row;
+      if (next !== ',') {
+        this.pos--;
+        throw this.error('Expected "," or ")"');
+      }
+    }
+  }
+}
+
+/**
+ * Parse an INSERT or REPLACE statement with a VALUES list.
+ * Each value is returned as `{ type, value }` where type is one of
+ * string, number, hex, bit, bool, null or expression.
+ * @param {string} statement - Statement text, with or without trailing delimiter
+ * @returns {Object|null} - Parsed insert, or null for other statements
+ */
+export function parseInsertStatement(statement) {
+  const prefix = INSERT_PREFIX.exec(statement);
+  if (!prefix) {
+    return null;
+  }
+
+  const scanner = new InsertScanner(statement);
+  scanner.pos = prefix[0].length;
+
+  const { db, table } = scanner.readTableName();
+
+  let columns = null;
+  if (scanner.peek() === '(') {
+    scanner.pos++;
+    columns = [];
+    do {
+      columns.push(scanner.readIdentifier());
+    } while (scanner.peek() === ',' && scanner.pos++);
+    scanner.expect(')');
+  }
+
+  if (!scanner.matchKeyword('VALUES') && !scanner.matchKeyword('VALUE')) {
+    return null;
+  }
+
+  const rows = [];
+  do {
+    rows.push(scanner.readRow());
+  } while (scanner.peek() === ',' && scanner.pos++);
+
+  const suffix = statement.slice(scanner.pos).trim().replace(/;$/, '').trim();
+
+  return {
+    verb: prefix[1].toUpperCase(),
+    modifiers: prefix[2].trim().toUpperCase().split(/\s+/).filter(Boolean),
+    db,
+    table,
+    columns,
+    rows,
+    suffix
+  };
+}
+
+function quoteIdentifier(name) {
+  return `\`${name.replace(/`/g, '``')}\``;
+}
+
+/**
+ * Render a value from parseInsertStatement() as a MySQL literal
+ * @param {{ type: string, value: *, binary?: boolean }} value - Parsed value
+ * @returns {string}
+ */
+export function formatValue(value) {
+  switch (value.type) {
+    case 'string':
+      return (value.binary ? '_binary ' : '') + encodeMysqlString(value.value);
+    case 'hex':
+      return `0x${value.value}`;
+    case 'bit':
+      return `b'${value.value}'`;
+    case 'bool':
+      return value.value ? 'TRUE' : 'FALSE';
+    case 'null':
+      return 'NULL';
+    default:
+      return String(value.value);
+  }
+}
+
+/**
+ * Render an insert from parseInsertStatement() back to a statement, without
+ * trailing delimiter
+ * @param {Object} insert - Parsed insert
+ * @returns {string}
+ */
+export function formatInsertStatement(insert) {
+  const verb = [insert.verb, ...insert.modifiers].join(' ');
+  const table = (insert.db ? `${quoteIdentifier(insert.db)}.` : '') + quoteIdentifier(insert.table);
+  const columns = insert.columns ? ` (${insert.columns.map(quoteIdentifier).join(', ')})` : '';
+  const rows = insert.rows.map(row => `(${row.map(formatValue).join(',')})`).join(',');
+  const suffix = insert.suffix ? ` ${insert.suffix}` : '';
+  return `${verb} INTO ${table}${columns} VALUES ${rows}${suffix}`;
+}
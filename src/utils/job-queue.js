@@ -0,0 +1,127 @@
+import logger from './logger.js';
+
+/**
+ * Runs jobs with a bounded number of workers. Waiting jobs start by priority
+ * (lower numbers first), then in the order they were added. Each job gets an
+ * AbortSignal that is aborted when it is cancelled. Jobs with the same id
+ * never run at the same time.
+ */
+
+export class JobCancelledError extends Error {
+  /**
+   * @param {string} id - Job that was cancelled
+   * @param {string} [reason] - Why
+   */
+  constructor(id, reason = 'cancelled') {
+    super(`Job ${id} ${reason}`);
+    this.name = 'JobCancelledError';
+    this.id = id;
+  }
+}
+
+export class JobQueue {
+  /**
+   * @param {number} concurrency - Jobs allowed to run at the same time
+   */
+  constructor(concurrency) {
+    this.concurrency = concurrency;
+    this.waiting = []; // { id, run, priority, resolve, reject }, in start order
+    this.running = new Map(); // id -> { controller, promise }
+    this.closed = false;
+  }
+
+  /**
+   * Add a job
+   * @param {string} id - Job id, e.g. the input path. A job for an id that is
+   *   already waiting is not added again; one for an id that is running waits
+   *   for it to finish.
+   * @param {Function} run - Does the work, gets an AbortSignal
+   * @param {Object} [options]
+   * @param {number} [options.priority] - Lower runs first (default: 0)
+   * @returns {Promise<*>} - What run resolves to; rejects with a
+   *   JobCancelledError when the job is cancelled
+   */
+  add(id, run, { priority = 0 } = {}) {
+    if (this.closed) {
+      return Promise.reject(new JobCancelledError(id, 'not started, the queue is shutting down'));
+    }
+    if (this.waiting.some(job => job.id === id)) {
+      return Promise.reject(new JobCancelledError(id, 'is already waiting'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = { id, run, priority, resolve, reject };
+      const index = this.waiting.findIndex(other => other.priority > priority);
+      this.waiting.splice(index === -1 ? this.waiting.length : index, 0, job);
+      logger.debug(`Queued job ${id} (priority ${priority}, ${this.waiting.length} waiting)`);
+      this.next();
+    });
+  }
+
+  /**
+   * Cancel the jobs for an id. A waiting job is dropped; a running one has
+   * its signal aborted and stops at the next point where it checks it.
+   * @param {string} id - Job id
+   * @returns {boolean} - Whether there was such a job
+   */
+  cancel(id) {
+    let found = false;
+
+    const index = this.waiting.findIndex(job => job.id === id);
+    if (index !== -1) {
+      const [job] = this.waiting.splice(index, 1);
+      job.reject(new JobCancelledError(id));
+      found = true;
+    }
+
+    const running = this.running.get(id);
+    if (running) {
+      running.controller.abort(new JobCancelledError(id));
+      found = true;
+    }
+    return found;
+  }
+
+  /**
+   * Stop taking jobs, drop the waiting ones and wait for the running ones
+   * to finish
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    this.closed = true;
+    for (const job of this.waiting.splice(0)) {
+      job.reject(new JobCancelledError(job.id, 'not started, the queue is shutting down'));
+    }
+
+    if (this.running.size > 0) {
+      logger.info(`Waiting for ${this.running.size} running job(s) to finish`);
+    }
+    await Promise.allSettled([...this.running.values()].map(({ promise }) => promise));
+  }
+
+  /**
+   * Start waiting jobs while workers are free
+   */
+  next() {
+    while (this.running.size < this.concurrency) {
+      const index = this.waiting.findIndex(job => !this.running.has(job.id));
+      if (index === -1) return;
+
+      const [job] = this.waiting.splice(index, 1);
+      const controller = new AbortController();
+
+      const promise = (async () => {
+        try {
+          job.resolve(await job.run(controller.signal));
+        } catch (error) {
+          job.reject(error);
+        } finally {
+          this.running.delete(job.id);
+          this.next();
+        }
+      })();
+
+      this.running.set(job.id, { controller, promise });
+    }
+  }
+}
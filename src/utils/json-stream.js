@@ -0,0 +1,249 @@
+/**
+ * Incremental splitting of JSON input into documents, so large files are
+ * parsed one record at a time. Each piece is the text of one document and the
+ * line it starts on; parsing it is left to JSON.parse, so a malformed record
+ * can be reported and skipped without losing the rest of the file.
+ */
+
+// Characters that end a plain value (number, true, false, null)
+const VALUE_END = /[\s,\]}]/;
+
+// Characters of interest inside a string
+const STRING_SPECIAL = /["\\\n]/g;
+
+/**
+ * Splits a JSON file into the elements of its top-level array. Top-level
+ * values outside an array, such as a single object or objects one after the
+ * other, are documents of their own.
+ *
+ * With collections, a top-level object is taken apart instead: the elements
+ * of an array under one of its keys come with the key as their collection,
+ * and the values of other keys come with the key as key.
+ */
+export class JsonValueSplitter {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.collections] - Split top-level objects into
+   *   the arrays under their keys
+   */
+  constructor({ collections = false } = {}) {
+    this.collections = collections;
+    this.buffer = '';
+    this.pos = 0;
+    this.line = 1; // Line at pos
+    this.inArray = false; // Inside a top-level array, or one under a top-level key
+    this.inObject = false; // Inside the top-level object, with collections
+    this.key = null; // Key whose value comes next
+    this.collection = null; // Key of the array being read
+    this.value = null; // Value being read: { start, line, depth, string, plain, role }
+  }
+
+  /**
+   * Add text and take the documents completed by it
+   * @param {string} chunk - Next piece of the file
+   * @returns {{ text: string, line: number, collection: string|null, key?: string }[]}
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const values = this.scan();
+
+    // Keep only the value being read
+    const keep = this.value ? this.value.start : Math.min(this.pos, this.buffer.length);
+    this.buffer = this.buffer.slice(keep);
+    this.pos -= keep;
+    if (this.value) {
+      this.value.start = 0;
+    }
+    return values;
+  }
+
+  /**
+   * Take the remaining documents at the end of the file. A value cut off by
+   * the end is returned as it is, so parsing it reports the problem.
+   * @returns {{ text: string, line: number, collection: string|null, error?: string }[]}
+   */
+  end() {
+    const values = this.scan();
+    if (this.value) {
+      values.push({ text: this.buffer.slice(this.value.start), line: this.value.line, collection: this.collection });
+      this.value = null;
+    }
+    if (this.inArray || this.inObject) {
+      const error = `Unexpected end of input, the top-level ${this.inArray ? 'array' : 'object'} is not closed`;
+      values.push({ text: null, line: this.line, collection: this.collection, error });
+      this.inArray = false;
+      this.inObject = false;
+    }
+    this.buffer = '';
+    this.pos = 0;
+    return values;
+  }
+
+  scan() {
+    const values = [];
+    const text = this.buffer;
+    while (this.pos < text.length) {
+      if (this.value) {
+        if (!this.scanValue(values)) break;
+        continue;
+      }
+
+      const char = text[this.pos];
+      if (char === '\n') {
+        this.line++;
+        this.pos++;
+      } else if (char === ' ' || char === '\t' || char === '\r' || ((this.inArray || this.inObject) && char === ',')) {
+        this.pos++;
+      } else if (this.inArray && char === ']') {
+        this.inArray = false;
+        this.collection = null;
+        this.pos++;
+      } else if (this.collections && !this.inArray && !this.inObject && char === '{') {
+        this.inObject = true;
+        this.pos++;
+      } else if (this.inObject && !this.inArray && this.key === null && char === '}') {
+        this.inObject = false;
+        this.pos++;
+      } else if (this.inObject && !this.inArray && this.key !== null && char === ':') {
+        this.pos++;
+      } else if (!this.inArray && char === '[' && (!this.inObject || this.key !== null)) {
+        this.inArray = true;
+        this.collection = this.key;
+        this.key = null;
+        this.pos++;
+      } else {
+        const plain = char !== '{' && char !== '[' && char !== '"';
+        const role = this.inObject && !this.inArray ? (this.key === null ? 'key' : 'field') : 'document';
+        this.value = { start: this.pos, line: this.line, depth: 0, string: false, plain, role };
+        if (plain) {
+          // Always take the first character, even one that cannot start a value
+          this.pos++;
+        }
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Read on in the current value
+   * @returns {boolean} - Whether the value is complete
+   */
+  scanValue(values) {
+    const value = this.value;
+    const text = this.buffer;
+    while (this.pos < text.length) {
+      const char = text[this.pos];
+
+      if (value.string) {
+        STRING_SPECIAL.lastIndex = this.pos;
+        const match = STRING_SPECIAL.exec(text);
+        if (!match) {
+          this.pos = text.length;
+          break;
+        }
+        this.pos = match.index;
+        if (match[0] === '\\') {
+          // May step past the end; the escaped character comes with the next chunk
+          this.pos += 2;
+        } else if (match[0] === '\n') {
+          this.line++;
+          this.pos++;
+        } else {
+          value.string = false;
+          this.pos++;
+          if (value.depth === 0) {
+            return this.complete(values);
+          }
+        }
+        continue;
+      }
+
+      if (value.plain) {
+        if (VALUE_END.test(char)) {
+          return this.complete(values);
+        }
+        this.pos++;
+        continue;
+      }
+
+      if (char === '"') {
+        value.string = true;
+      } else if (char === '{' || char === '[') {
+        value.depth++;
+      } else if (char === '}' || char === ']') {
+        value.depth--;
+        if (value.depth === 0) {
+          this.pos++;
+          return this.complete(values);
+        }
+      } else if (char === '\n') {
+        this.line++;
+      }
+      this.pos++;
+    }
+    return false;
+  }
+
+  complete(values) {
+    const { start, line, role } = this.value;
+    const text = this.buffer.slice(start, this.pos);
+    this.value = null;
+
+    if (role === 'key') {
+      try {
+        this.key = String(JSON.parse(text));
+      } catch (error) {
+        this.key = text;
+      }
+    } else if (role === 'field') {
+      values.push({ text, line, collection: null, key: this.key });
+      this.key = null;
+    } else {
+      values.push({ text, line, collection: this.collection });
+    }
+    return true;
+  }
+}
+
+/**
+ * Splits newline-delimited JSON (NDJSON, JSON Lines) into its lines, leaving
+ * out blank ones. Lines are never taken apart into collections.
+ */
+export class JsonLineSplitter {
+  constructor() {
+    this.pending = '';
+    this.line = 1;
+  }
+
+  /**
+   * Add text and take the lines completed by it
+   * @param {string} chunk - Next piece of the file
+   * @returns {{ text: string, line: number, collection: null }[]}
+   */
+  push(chunk) {
+    const lines = (this.pending + chunk).split('\n');
+    this.pending = lines.pop();
+    return this.collect(lines);
+  }
+
+  /**
+   * Take the last line at the end of the file
+   * @returns {{ text: string, line: number, collection: null }[]}
+   */
+  end() {
+    const lines = this.pending ? [this.pending] : [];
+    this.pending = '';
+    return this.collect(lines);
+  }
+
+  collect(lines) {
+    const values = [];
+    for (const text of lines) {
+      if (text.trim() !== '') {
+        values.push({ text, line: this.line, collection: null });
+      }
+      this.line++;
+    }
+    return values;
+  }
+}
@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+import { hashFile } from './conversion-report.js';
+import { writeFileAtomic } from './output-writer.js';
+
+/**
+ * Persistent record of finished conversions, so the watcher does not convert
+ * a file again after a restart or a change event that left its content as
+ * it was. An entry is keyed by the name and content hash of the input, as
+ * output names come from input names, and the options that affect the
+ * output; it only counts while its outputs still exist.
+ */
+
+export const LEDGER_FILE = '.blender-ledger.json';
+
+const LEDGER_VERSION = 1;
+
+export class Ledger {
+  /**
+   * @param {string} filePath - Where the ledger is kept
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entries = new Map(); // key -> { inputs, outputs, convertedAt }
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Read the ledger from disk. A missing file is an empty ledger; an
+   * unreadable one is started over.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read ledger ${this.filePath}, starting a new one: ${error.message}`);
+      }
+      return;
+    }
+
+    if (!data || data.version !== LEDGER_VERSION || typeof data.entries !== 'object') {
+      logger.warn(`Ledger ${this.filePath} has an unknown format, starting a new one`);
+      return;
+    }
+    this.entries = new Map(Object.entries(data.entries));
+    logger.info(`Loaded ${this.entries.size} ledger entries from ${this.filePath}`);
+  }
+
+  /**
+   * Key for converting some inputs with a configuration
+   * @param {string[]} inputPaths - Input files, converted together
+   * @param {string} fingerprint - From config.fingerprint()
+   * @returns {Promise<string>}
+   */
+  async key(inputPaths, fingerprint) {
+    const hash = crypto.createHash('sha256');
+    for (const inputPath of inputPaths) {
+      hash.update(`${path.basename(inputPath)}\0${await hashFile(inputPath)}\n`);
+    }
+    hash.update(fingerprint);
+    return hash.digest('hex');
+  }
+
+  /**
+   * The entry for a key, if the conversion was done and its outputs are
+   * still there
+   * @param {string} key - From key()
+   * @returns {Promise<Object|null>}
+   */
+  async lookup(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    for (const outputPath of entry.outputs) {
+      try {
+        await fs.access(outputPath);
+      } catch {
+        return null;
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Record a finished conversion and save the ledger
+   * @param {string} key - From key()
+   * @param {string[]} inputPaths - Converted files
+   * @param {string[]} outputPaths - Files written
+   * @returns {Promise<void>}
+   */
+  async record(key, inputPaths, outputPaths) {
+    this.entries.set(key, {
+      inputs: inputPaths,
+      outputs: outputPaths,
+      convertedAt: new Date().toISOString()
+    });
+
+    // Saves run one after another, each writing the entries as they are then
+    this.saving = this.saving.then(() => this.save());
+    await this.saving;
+  }
+
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const data = { version: LEDGER_VERSION, entries: Object.fromEntries(this.entries) };
+      await writeFileAtomic(this.filePath, `${JSON.stringify(data, null, 2)}\n`);
+    } catch (error) {
+      logger.error(`Could not save ledger ${this.filePath}: ${error.message}`);
+    }
+  }
+}
@@ -1,8 +1,23 @@
 import winston from 'winston';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVEL = Symbol.for('level');
+
+const captures = new AsyncLocalStorage();
+
+// Hands warnings and errors to the capture of the code that logged them
+const capture = winston.format(info => {
+  const sink = captures.getStore();
+  if (sink && (info[LEVEL] === 'warn' || info[LEVEL] === 'error')) {
+    sink({ level: info[LEVEL], message: String(info.message) });
+  }
+  return info;
+});
 
 const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
+    capture(),
     winston.format.timestamp(),
     winston.format.colorize(),
     winston.format.printf(({ level, message, timestamp }) => {
@@ -23,4 +38,42 @@ const logger = winston.createLogger({
   ]
 });
 
+/**
+ * Counts log entries by level, e.g. to tell whether a conversion had warnings
+ */
+export class LevelCounter extends winston.Transport {
+  constructor() {
+    super({ level: 'warn' });
+    this.counts = { error: 0, warn: 0 };
+  }
+
+  log(info, callback) {
+    // info.level carries color codes, the symbol holds the plain level
+    this.counts[info[LEVEL]] = (this.counts[info[LEVEL]] || 0) + 1;
+    callback();
+  }
+}
+
+/**
+ * Send all console output to stderr, so stdout can carry converted data
+ */
+export function logToStderr() {
+  for (const transport of logger.transports) {
+    if (transport instanceof winston.transports.Console) {
+      transport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+    }
+  }
+}
+
+/**
+ * Run a function and pass every warning and error it logs, including from
+ * asynchronous work it starts, to a sink
+ * @param {Function} sink - Receives { level, message }
+ * @param {Function} fn - Function to run
+ * @returns {*} - What fn returns
+ */
+export function captureLogs(sink, fn) {
+  return captures.run(sink, fn);
+}
+
 export default logger;
@@ -0,0 +1,126 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { once } from 'events';
+import iconv from 'iconv-lite';
+
+// Marker written next to a finished output, e.g. orders.sql.done
+export const DONE_EXTENSION = '.done';
+
+/**
+ * Hidden path next to a file to write it under before renaming it into
+ * place, so nobody sees the file half-written. Dotfiles are ignored by the
+ * watcher and by convert.
+ * @param {string} filePath - Final path
+ * @returns {string}
+ */
+export function temporaryPath(filePath) {
+  const suffix = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${suffix}.tmp`);
+}
+
+/**
+ * Write a whole file through a temporary file and a rename
+ * @param {string} filePath - Path of the file
+ * @param {string|Buffer} data - Content
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(filePath, data) {
+  const tempPath = temporaryPath(filePath);
+  try {
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Tell consumers an output and its report are complete
+ * @param {string} outputPath - Finished output
+ * @returns {Promise<void>}
+ */
+export async function markDone(outputPath) {
+  await fs.promises.writeFile(`${outputPath}${DONE_EXTENSION}`, '');
+}
+
+/**
+ * Incremental writer for output files. Text is encoded with the target
+ * charset and written as it is produced, honouring stream backpressure.
+ * The file is written under a temporary name and appears under its own
+ * name only once it is complete.
+ */
+export class OutputWriter {
+  /**
+   * @param {string} outputPath - Path of the file to write
+   * @param {string} encoding - iconv-lite encoding for the output
+   */
+  constructor(outputPath, encoding) {
+    this.outputPath = outputPath;
+    this.tempPath = temporaryPath(outputPath);
+    this.encoding = encoding;
+    this.bytesWritten = 0;
+    this.closed = false;
+    this.stream = fs.createWriteStream(this.tempPath);
+    this.error = null;
+    this.stream.on('error', error => {
+      this.error = error;
+    });
+  }
+
+  /**
+   * Write a piece of text
+   * @param {string} text - Text to append
+   * @returns {Promise<void>}
+   */
+  async write(text) {
+    if (this.error) throw this.error;
+    if (!text) return;
+
+    const buffer = iconv.encode(text, this.encoding);
+    this.bytesWritten += buffer.length;
+    if (!this.stream.write(buffer)) {
+      // once() rejects if the stream emits 'error' while waiting
+      await once(this.stream, 'drain');
+    }
+  }
+
+  /**
+   * Copy an already encoded file to the end of the output
+   * @param {string} filePath - File to append
+   * @returns {Promise<void>}
+   */
+  async append(filePath) {
+    for await (const chunk of fs.createReadStream(filePath)) {
+      this.bytesWritten += chunk.length;
+      if (!this.stream.write(chunk)) {
+        await once(this.stream, 'drain');
+      }
+    }
+  }
+
+  /**
+   * Flush and close the file and move it into place. A marker left by an
+   * earlier run that wrote the same path is removed first.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.error) throw this.error;
+    this.stream.end();
+    await once(this.stream, 'close');
+    await fs.promises.rm(`${this.outputPath}${DONE_EXTENSION}`, { force: true });
+    await fs.promises.rename(this.tempPath, this.outputPath);
+    this.closed = true;
+  }
+
+  /**
+   * Close the stream and remove the partial file after a failure, or the
+   * finished one if the conversion failed after it was closed
+   * @returns {Promise<void>}
+   */
+  async abort() {
+    this.stream.destroy();
+    await fs.promises.rm(this.closed ? this.outputPath : this.tempPath, { force: true });
+  }
+}
@@ -0,0 +1,889 @@
+import logger from './logger.js';
+import { formatInsertStatement } from './insert-parser.js';
+import { formatCreateTable } from './database-source.js';
+import { PostgresTypeMapper } from './postgres-types.js';
+
+/**
+ * Reads pg_dump plain-format files as a stream of MySQL dump statements, so
+ * they go through the same conversion as a MySQL dump. pg_dump writes the
+ * columns of a table first, its primary key, foreign keys and indexes after
+ * the data, so the file is read twice: once for the schema, once to write a
+ * complete CREATE TABLE per table and its COPY data as extended inserts.
+ *
+ * Functions, views, triggers and other objects without a MySQL counterpart
+ * are left out and counted.
+ */
+
+// Rows per INSERT statement
+const INSERT_ROWS = 1000;
+
+// Lines only pg_dump writes, looked for at the start of a file
+const PG_DUMP_MARKERS = [
+  /^-- PostgreSQL database (?:cluster )?dump/m,
+  /^SET standard_conforming_strings = /m,
+  /^SELECT pg_catalog\.set_config\('search_path'/m,
+  /^COPY [^\n;]+ FROM stdin;$/m
+];
+
+const IDENTIFIER = '(?:"(?:[^"]|"")*"|[A-Za-z_\\u0080-\\uffff][\\w$\\u0080-\\uffff]*)';
+const QUALIFIED_NAME = `${IDENTIFIER}(?:\\s*\\.\\s*${IDENTIFIER})*`;
+
+const COPY_FROM_STDIN = /^COPY\s[\s\S]*\sFROM\s+stdin$/i;
+const DOLLAR_TAG = /\$(?:[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)?\$/y;
+const CODE_SPECIAL = /[-'"$;/]/g;
+const QUOTE_PATTERNS = { "'": /'/g, '"': /"/g, E: /['\\]/g };
+const BLOCK_COMMENT = /\/\*|\*\//g;
+
+const CREATE_TABLE = new RegExp(`^CREATE\\s+(?:(?:UNLOGGED|TEMP|TEMPORARY)\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${QUALIFIED_NAME})\\s*\\(`, 'i');
+const CREATE_TYPE_ENUM = new RegExp(`^CREATE\\s+TYPE\\s+(${QUALIFIED_NAME})\\s+AS\\s+ENUM\\s*\\(([\\s\\S]*)\\)$`, 'i');
+const CREATE_SEQUENCE = new RegExp(`^CREATE\\s+SEQUENCE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${QUALIFIED_NAME})([\\s\\S]*)$`, 'i');
+const SEQUENCE_OWNER = new RegExp(`^ALTER\\s+SEQUENCE\\s+(${QUALIFIED_NAME})\\s+OWNED\\s+BY\\s+(${QUALIFIED_NAME})$`, 'i');
+const SET_VALUE = /^SELECT\s+(?:pg_catalog\.)?setval\(\s*'((?:[^']|'')*)'(?:::regclass)?\s*,\s*(\d+)\s*(?:,\s*(true|false)\s*)?\)$/i;
+const ALTER_TABLE = new RegExp(`^ALTER\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?(?:ONLY\\s+)?(${QUALIFIED_NAME})\\s+([\\s\\S]+)$`, 'i');
+const ADD_CONSTRAINT = new RegExp(`^ADD\\s+CONSTRAINT\\s+(${IDENTIFIER})\\s+([\\s\\S]+)$`, 'i');
+const SET_DEFAULT = new RegExp(`^ALTER\\s+COLUMN\\s+(${IDENTIFIER})\\s+SET\\s+DEFAULT\\s+([\\s\\S]+)$`, 'i');
+const ADD_IDENTITY = new RegExp(`^ALTER\\s+COLUMN\\s+(${IDENTIFIER})\\s+ADD\\s+GENERATED\\s+(?:ALWAYS|BY\\s+DEFAULT)\\s+AS\\s+IDENTITY\\b([\\s\\S]*)$`, 'i');
+const CREATE_INDEX = new RegExp(`^CREATE\\s+(UNIQUE\\s+)?INDEX\\s+(?:CONCURRENTLY\\s+)?(?:IF\\s+NOT\\s+EXISTS\\s+)?(${IDENTIFIER})\\s+ON\\s+(?:ONLY\\s+)?(${QUALIFIED_NAME})\\s*(?:USING\\s+(\\w+)\\s*)?\\(`, 'i');
+const COPY = new RegExp(`^COPY\\s+(${QUALIFIED_NAME})\\s*(?:\\(([\\s\\S]*?)\\))?\\s+FROM\\s+stdin$`, 'i');
+
+// Statements about the session, ownership and privileges, which need no counterpart
+const IGNORED_STATEMENT = /^(?:SET|RESET|GRANT|REVOKE|CREATE\s+SCHEMA|COMMENT\s+ON\s+(?:SCHEMA|EXTENSION)|ALTER\s+DEFAULT\s+PRIVILEGES)\b|^SELECT\s+pg_catalog\.set_config\(|\bOWNER\s+TO\s+\S+$/i;
+
+// Clauses of a column definition after its type
+const COLUMN_CLAUSE = /\b(?:COLLATE|DEFAULT|NOT\s+NULL|(?<!(?:DEFAULT|NOT)\s+)NULL|CONSTRAINT|GENERATED|CHECK|PRIMARY\s+KEY|UNIQUE|REFERENCES)\b/gi;
+
+const INDEX_ELEMENT = new RegExp(`^(${IDENTIFIER})(?:\\s+COLLATE\\s+${QUALIFIED_NAME})?(?:\\s+(?!ASC\\b|DESC\\b|NULLS\\b)${QUALIFIED_NAME})?(?:\\s+(ASC|DESC))?(?:\\s+NULLS\\s+(?:FIRST|LAST))?$`, 'i');
+
+const COPY_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+
+/**
+ * Whether the start of a SQL file looks like pg_dump output
+ * @param {string} sample - Leading text of the file
+ * @returns {boolean}
+ */
+export function isPgDump(sample) {
+  return PG_DUMP_MARKERS.some(marker => marker.test(sample));
+}
+
+function unquoteIdentifier(identifier) {
+  return identifier.startsWith('"') ? identifier.slice(1, -1).replace(/""/g, '"') : identifier;
+}
+
+function quoteColumn(name) {
+  return `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+/**
+ * Parts of a possibly schema-qualified name, unquoted
+ */
+function splitName(name) {
+  return (name.match(new RegExp(IDENTIFIER, 'g')) || [name]).map(unquoteIdentifier);
+}
+
+/**
+ * Name without its schema, as used in the MySQL output
+ */
+function bareName(name) {
+  const parts = splitName(name);
+  return parts[parts.length - 1];
+}
+
+/**
+ * The text with the insides of strings, quoted identifiers and nested
+ * parentheses blanked out, so clauses and commas can be found by position
+ */
+function maskNested(text) {
+  let masked = '';
+  let quote = null;
+  let escapes = false; // Inside an E'...' string, where a backslash escapes
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (escapes && char === '\\') {
+        masked += '  ';
+        i++;
+        continue;
+      }
+      masked += char === quote ? char : ' ';
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      escapes = char === "'" && /(?:^|[^\w$])[Ee]$/.test(text.slice(Math.max(i - 2, 0), i));
+      masked += char;
+    } else if (char === '(') {
+      depth++;
+      masked += depth === 1 ? char : ' ';
+    } else if (char === ')') {
+      masked += depth === 1 ? char : ' ';
+      depth--;
+    } else {
+      masked += depth > 0 ? ' ' : char;
+    }
+  }
+  return masked;
+}
+
+/**
+ * Split text at commas outside strings and parentheses
+ */
+function splitList(text) {
+  const masked = maskNested(text);
+  const items = [];
+  let start = 0;
+  for (let i = masked.indexOf(','); i !== -1; i = masked.indexOf(',', i + 1)) {
+    items.push(text.slice(start, i).trim());
+    start = i + 1;
+  }
+  items.push(text.slice(start).trim());
+  return items.filter(Boolean);
+}
+
+/**
+ * The text inside the parentheses that open at a position, and what follows
+ * @returns {{ inside: string, rest: string }|null} - null when they do not close
+ */
+function enclosed(text, open) {
+  const masked = maskNested(text.slice(open));
+  const close = masked.indexOf(')');
+  if (close === -1) return null;
+  return { inside: text.slice(open + 1, open + close), rest: text.slice(open + close + 1).trim() };
+}
+
+/**
+ * Column names of a list such as (a, "B")
+ */
+function nameList(text) {
+  return splitList(text).map(unquoteIdentifier);
+}
+
+/**
+ * A column type as pg_dump writes it, described like information_schema
+ */
+function describeType(text, enums) {
+  const type = text.trim().replace(/\s+/g, ' ');
+  const plain = type.replace(/^pg_catalog\./i, '').toLowerCase();
+  let match;
+
+  if (/\[\]$|\bARRAY$/i.test(type)) {
+    return { data_type: 'ARRAY', udt_name: type };
+  }
+  if ((match = /^(character varying|varchar|character|char|bpchar)(?:\((\d+)\))?$/.exec(plain))) {
+    const varying = match[1] === 'character varying' || match[1] === 'varchar';
+    return {
+      data_type: varying ? 'character varying' : 'character',
+      udt_name: varying ? 'varchar' : 'bpchar',
+      character_maximum_length: match[2] ? Number(match[2]) : null
+    };
+  }
+  if ((match = /^(?:numeric|decimal)(?:\((\d+)(?:,\s*(\d+))?\))?$/.exec(plain))) {
+    return {
+      data_type: 'numeric',
+      udt_name: 'numeric',
+      numeric_precision: match[1] ? Number(match[1]) : null,
+      numeric_scale: match[2] ? Number(match[2]) : null
+    };
+  }
+  if ((match = /^(timestamp|time)(?:\((\d)\))? ?(with|without)? ?(?:time zone)?$/.exec(plain))) {
+    return {
+      data_type: `${match[1]} ${match[3] === 'with' ? 'with' : 'without'} time zone`,
+      udt_name: match[1],
+      // information_schema gives 6 for columns declared without a precision
+      datetime_precision: match[2] ? Number(match[2]) : 6
+    };
+  }
+  if (/^interval\b/.test(plain)) {
+    return { data_type: 'interval', udt_name: 'interval' };
+  }
+
+  const name = bareName(type);
+  if (enums.has(name)) {
+    return { data_type: 'USER-DEFINED', udt_name: name };
+  }
+  return { data_type: plain, udt_name: type };
+}
+
+/**
+ * Splits a pg_dump file into its statements and the rows of its COPY data.
+ * Knows standard and escape strings, quoted identifiers, dollar quoting,
+ * both comment forms and psql meta-commands such as \connect.
+ */
+export class PgDumpSplitter {
+  constructor() {
+    this.buffer = '';
+    this.pos = 0;
+    this.start = -1; // Start of the statement being read, -1 between statements
+    this.quote = null; // ', ", E (escape string), --, /* or a dollar-quote tag
+    this.depth = 0; // Nesting of block comments
+    this.copy = null; // opening (rest of the COPY line) or rows, while reading COPY data
+    this.rows = [];
+  }
+
+  /**
+   * Add text and take the statements and COPY rows completed by it
+   * @param {string} chunk - Next piece of the file
+   * @returns {Array<{ type: 'statement', text: string }|{ type: 'rows', rows: string[] }>}
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const items = this.scan(false);
+    this.takeRows(items);
+
+    const keep = this.start === -1 ? this.pos : this.start;
+    this.buffer = this.buffer.slice(keep);
+    this.pos -= keep;
+    if (this.start !== -1) {
+      this.start = 0;
+    }
+    return items;
+  }
+
+  /**
+   * Take the rest at the end of the file
+   * @returns {Array<Object>} - Like push(); COPY data cut off by the end of
+   *   the file comes with truncated: true
+   */
+  end() {
+    const items = this.scan(true);
+    if (this.copy) {
+      const last = this.buffer.slice(this.pos);
+      if (this.copy === 'rows' && last !== '' && last !== '\\.') {
+        this.rows.push(last.replace(/\r$/, ''));
+      }
+      this.takeRows(items);
+      if (last !== '\\.') {
+        items.push({ type: 'rows', rows: [], truncated: true });
+      }
+    } else if (this.start !== -1) {
+      const text = this.buffer.slice(this.start).trim();
+      if (text) {
+        items.push({ type: 'statement', text });
+      }
+    }
+
+    this.buffer = '';
+    this.pos = 0;
+    this.start = -1;
+    this.quote = null;
+    this.copy = null;
+    return items;
+  }
+
+  takeRows(items) {
+    if (this.rows.length > 0) {
+      items.push({ type: 'rows', rows: this.rows });
+      this.rows = [];
+    }
+  }
+
+  scan(final) {
+    const items = [];
+    const text = this.buffer;
+
+    while (this.pos < text.length) {
+      if (this.copy) {
+        const end = text.indexOf('\n', this.pos);
+        if (end === -1) break;
+        const row = text.slice(this.pos, text[end - 1] === '\r' ? end - 1 : end);
+        this.pos = end + 1;
+        if (this.copy === 'opening') {
+          this.copy = 'rows';
+        } else if (row === '\\.') {
+          this.copy = null;
+          this.takeRows(items);
+        } else {
+          this.rows.push(row);
+        }
+        continue;
+      }
+
+      if (this.quote) {
+        if (!this.scanQuoted(final)) break;
+        continue;
+      }
+
+      const char = text[this.pos];
+      const next = text[this.pos + 1];
+      if (this.start === -1) {
+        if (/\s/.test(char)) {
+          this.pos++;
+          continue;
+        }
+        if (char === '\\') {
+          // psql meta-command, up to the end of the line
+          const end = text.indexOf('\n', this.pos);
+          if (end === -1 && !final) break;
+          this.pos = end === -1 ? text.length : end + 1;
+          continue;
+        }
+        if ((char === '-' || char === '/') && next === undefined && !final) break;
+        if (!(char === '-' && next === '-') && !(char === '/' && next === '*')) {
+          this.start = this.pos;
+        }
+      }
+
+      CODE_SPECIAL.lastIndex = this.pos;
+      const match = CODE_SPECIAL.exec(text);
+      if (!match) {
+        this.pos = text.length;
+        break;
+      }
+      this.pos = match.index;
+      const special = match[0];
+      const following = text[this.pos + 1];
+
+      if (special === ';') {
+        const statement = text.slice(this.start, this.pos).trim();
+        this.pos++;
+        this.start = -1;
+        items.push({ type: 'statement', text: statement });
+        if (COPY_FROM_STDIN.test(statement)) {
+          this.copy = 'opening';
+        }
+      } else if (special === "'") {
+        const before = text.slice(Math.max(this.pos - 2, 0), this.pos);
+        this.quote = /(?:^|[^\w$])[Ee]$/.test(before) ? 'E' : "'";
+        this.pos++;
+      } else if (special === '"') {
+        this.quote = '"';
+        this.pos++;
+      } else if (special === '$') {
+        if (this.pos > 0 && /[\w$]/.test(text[this.pos - 1])) {
+          this.pos++;
+          continue;
+        }
+        DOLLAR_TAG.lastIndex = this.pos;
+        const tag = DOLLAR_TAG.exec(text);
+        if (tag) {
+          this.quote = tag[0];
+          this.pos += tag[0].length;
+        } else if (!final && text.length - this.pos < 64 && !/[^\w$\u0080-\uffff]/.test(text.slice(this.pos + 1))) {
+          // The tag may go on in the next chunk
+          break;
+        } else {
+          this.pos++;
+        }
+      } else if (following === undefined && !final) {
+        // - or / at the end of the chunk may start a comment
+        break;
+      } else if (special === '-' && following === '-') {
+        this.quote = '--';
+        this.pos += 2;
+      } else if (special === '/' && following === '*') {
+        this.quote = '/*';
+        this.depth = 1;
+        this.pos += 2;
+      } else {
+        this.pos++;
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Read on in a string, quoted identifier, comment or dollar-quoted body
+   * @returns {boolean} - Whether it ended
+   */
+  scanQuoted(final) {
+    const text = this.buffer;
+
+    if (this.quote === '--') {
+      const end = text.indexOf('\n', this.pos);
+      this.pos = end === -1 ? text.length : end + 1;
+      if (end === -1 && !final) return false;
+      this.quote = null;
+      return true;
+    }
+
+    if (this.quote === '/*') {
+      BLOCK_COMMENT.lastIndex = this.pos;
+      for (let match = BLOCK_COMMENT.exec(text); match; match = BLOCK_COMMENT.exec(text)) {
+        this.depth += match[0] === '/*' ? 1 : -1;
+        if (this.depth === 0) {
+          this.pos = BLOCK_COMMENT.lastIndex;
+          this.quote = null;
+          return true;
+        }
+      }
+      // Keep the last character, it may start */ or /*
+      this.pos = Math.max(this.pos, text.length - 1);
+      return false;
+    }
+
+    if (this.quote.startsWith('$')) {
+      const end = text.indexOf(this.quote, this.pos);
+      if (end === -1) {
+        this.pos = Math.max(this.pos, text.length - this.quote.length + 1);
+        return false;
+      }
+      this.pos = end + this.quote.length;
+      this.quote = null;
+      return true;
+    }
+
+    const pattern = QUOTE_PATTERNS[this.quote];
+    pattern.lastIndex = this.pos;
+    for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+      if (match[0] === '\\') {
+        if (match.index + 2 > text.length) {
+          // The escaped character comes with the next chunk
+          this.pos = match.index + 2;
+          return false;
+        }
+        pattern.lastIndex = match.index + 2;
+        continue;
+      }
+      this.pos = match.index + 1;
+      this.quote = null;
+      return true;
+    }
+    this.pos = text.length;
+    return false;
+  }
+}
+
+/**
+ * Values of a row of COPY data in text format
+ * @param {string} row - Line of COPY data
+ * @returns {Array<string|null>} - null for \N
+ */
+export function parseCopyRow(row) {
+  return row.split('\t').map(field => {
+    if (field === '\\N') return null;
+    if (!field.includes('\\')) return field;
+    return field.replace(/\\(?:([0-7]{1,3})|x([0-9A-Fa-f]{1,2})|([\s\S]))/g, (escape, octal, hex, char) => {
+      if (octal) return String.fromCharCode(parseInt(octal, 8));
+      if (hex) return String.fromCharCode(parseInt(hex, 16));
+      return COPY_ESCAPES[char] || char;
+    });
+  });
+}
+
+export class PgDumpReader {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.label] - Name of the file, for the log
+   */
+  constructor({ label = 'pg_dump file' } = {}) {
+    this.label = label;
+    this.types = new PostgresTypeMapper();
+    this.tables = new Map(); // qualified name -> table
+    this.names = new Map(); // name without schema -> table
+    this.enums = new Map(); // type name -> labels
+    this.sequences = new Map(); // qualified name -> { table, column, value }
+    this.leftOut = new Map(); // statement kind -> count
+  }
+
+  /**
+   * Read the schema from a first pass over the file
+   * @param {AsyncIterable<string>} chunks - Decoded text of the file
+   * @param {ProgressReporter} [progress] - Counts the statements
+   */
+  async readSchema(chunks, progress = null) {
+    const splitter = new PgDumpSplitter();
+    const define = item => {
+      if (item.type !== 'statement') return;
+      this.define(item.text);
+      if (progress) progress.addItems();
+    };
+    for await (const chunk of chunks) {
+      splitter.push(chunk).forEach(define);
+    }
+    splitter.end().forEach(define);
+    this.finishSchema();
+  }
+
+  /**
+   * The file as MySQL dump statements, from a second pass over it: a
+   * CREATE TABLE where pg_dump creates the table, and the COPY data as
+   * extended inserts. readSchema() must have read the file before.
+   * @param {AsyncIterable<string>} chunks - Decoded text of the file
+   * @returns {AsyncGenerator<string>}
+   */
+  async *statements(chunks) {
+    const splitter = new PgDumpSplitter();
+    const state = { copy: null };
+    for await (const chunk of chunks) {
+      for (const item of splitter.push(chunk)) {
+        yield* this.convert(item, state);
+      }
+    }
+    for (const item of splitter.end()) {
+      yield* this.convert(item, state);
+    }
+    yield* this.flushCopy(state);
+  }
+
+  *convert(item, state) {
+    if (item.type === 'rows') {
+      if (item.truncated) {
+        logger.warn(`The COPY data of ${state.copy ? state.copy.table.name : 'a table'} in ${this.label} is cut off by the end of the file`);
+        return;
+      }
+      if (!state.copy) return;
+      for (const row of item.rows) {
+        state.copy.rows.push(row);
+        if (state.copy.rows.length >= INSERT_ROWS) {
+          yield this.insertStatement(state.copy);
+          state.copy.rows = [];
+        }
+      }
+      return;
+    }
+
+    yield* this.flushCopy(state);
+    state.copy = null;
+
+    const create = CREATE_TABLE.exec(item.text);
+    if (create) {
+      const table = this.tables.get(splitName(create[1]).join('.'));
+      if (table && !table.skipped) {
+        yield formatCreateTable(table);
+      }
+      return;
+    }
+
+    const copy = COPY.exec(item.text);
+    if (copy) {
+      state.copy = this.startCopy(copy[1], copy[2]);
+    }
+  }
+
+  *flushCopy(state) {
+    if (state.copy && state.copy.rows.length > 0) {
+      yield this.insertStatement(state.copy);
+      state.copy.rows = [];
+    }
+  }
+
+  startCopy(name, columnList) {
+    const table = this.tables.get(splitName(name).join('.'));
+    if (!table || table.skipped) {
+      logger.warn(`Skipping the COPY data of ${splitName(name).join('.')} in ${this.label}, its table is not converted`);
+      return null;
+    }
+
+    const names = columnList ? nameList(columnList) : table.columns.map(column => column.name);
+    const columns = names.map(columnName => {
+      const column = table.columns.find(candidate => candidate.name === columnName);
+      if (!column) {
+        throw new Error(`COPY data of ${table.name} in ${this.label} has column ${columnName}, which its CREATE TABLE does not`);
+      }
+      return column;
+    });
+    return { table, columns, rows: [] };
+  }
+
+  insertStatement({ table, columns, rows }) {
+    return formatInsertStatement({
+      verb: 'INSERT',
+      modifiers: [],
+      db: null,
+      table: table.name,
+      columns: columns.map(column => column.name),
+      rows: rows.map(row => {
+        const values = parseCopyRow(row);
+        if (values.length !== columns.length) {
+          throw new Error(`COPY row of ${table.name} in ${this.label} has ${values.length} values for ${columns.length} columns`);
+        }
+        return values.map((value, i) => this.types.toValue(value, columns[i]));
+      }),
+      suffix: ''
+    });
+  }
+
+  /**
+   * Take in one statement of the schema pass
+   */
+  define(statement) {
+    let match;
+    if ((match = CREATE_TABLE.exec(statement))) {
+      this.defineTable(statement, match);
+    } else if ((match = CREATE_TYPE_ENUM.exec(statement))) {
+      const labels = splitList(match[2]).map(label => label.slice(1, -1).replace(/''/g, "'"));
+      this.enums.set(bareName(match[1]), labels);
+    } else if ((match = CREATE_SEQUENCE.exec(statement))) {
+      const start = /\bSTART\s+WITH\s+(\d+)/i.exec(match[2]);
+      this.sequence(match[1]).start = start ? start[1] : null;
+    } else if ((match = SEQUENCE_OWNER.exec(statement))) {
+      const owner = splitName(match[2]);
+      if (owner.length > 1) {
+        Object.assign(this.sequence(match[1]), { table: owner.slice(0, -1).join('.'), column: owner[owner.length - 1] });
+      }
+    } else if ((match = SET_VALUE.exec(statement))) {
+      const value = BigInt(match[2]);
+      this.sequence(splitName(match[1].replace(/''/g, "'")).join('.')).value = match[3] === 'false' ? value : value + 1n;
+    } else if ((match = ALTER_TABLE.exec(statement)) && this.tables.has(splitName(match[1]).join('.'))) {
+      this.alterTable(this.tables.get(splitName(match[1]).join('.')), match[2].trim(), statement);
+    } else if ((match = CREATE_INDEX.exec(statement))) {
+      this.defineIndex(statement, match);
+    } else if (!COPY.test(statement) && !IGNORED_STATEMENT.test(statement)) {
+      this.leaveOut(statement);
+    }
+  }
+
+  defineTable(statement, match) {
+    const qualified = splitName(match[1]).join('.');
+    const name = bareName(match[1]);
+    const body = enclosed(statement, match[0].length - 1);
+    if (!body) {
+      this.leaveOut(statement);
+      return;
+    }
+
+    const table = {
+      name,
+      columns: [],
+      primaryKey: [],
+      indexes: [],
+      foreignKeys: [],
+      options: '',
+      skipped: false
+    };
+    if (this.names.has(name)) {
+      logger.warn(`${qualified} has the same name as a table of another schema in ${this.label}, it is left out`);
+      table.skipped = true;
+    } else if (/^(?:INHERITS|PARTITION\s+BY)\b/i.test(body.rest)) {
+      logger.warn(`${name} uses table inheritance or partitioning, which is not carried over`);
+    }
+    this.tables.set(qualified, table);
+    if (!table.skipped) {
+      this.names.set(name, table);
+    }
+
+    for (const definition of splitList(body.inside)) {
+      if (/^(?:CONSTRAINT|PRIMARY\s+KEY|UNIQUE|FOREIGN\s+KEY|CHECK|EXCLUDE)\b/i.test(definition)) {
+        const constraint = new RegExp(`^CONSTRAINT\\s+(${IDENTIFIER})\\s+([\\s\\S]+)$`, 'i').exec(definition);
+        this.addConstraint(table, constraint ? unquoteIdentifier(constraint[1]) : null, constraint ? constraint[2] : definition);
+      } else {
+        this.addColumn(table, definition);
+      }
+    }
+  }
+
+  addColumn(table, definition) {
+    const match = new RegExp(`^(${IDENTIFIER})\\s+([\\s\\S]+)$`).exec(definition);
+    if (!match) {
+      throw new Error(`Cannot read the column definition "${definition}" of ${table.name} in ${this.label}`);
+    }
+    const rest = match[2];
+    const clauses = [...maskNested(rest).matchAll(COLUMN_CLAUSE)].map(clause => clause.index);
+    const clauseAt = i => rest.slice(clauses[i], i + 1 < clauses.length ? clauses[i + 1] : rest.length).trim();
+
+    const column = {
+      name: unquoteIdentifier(match[1]),
+      pgType: rest.slice(0, clauses.length > 0 ? clauses[0] : rest.length).trim(),
+      pgDefault: null,
+      nullable: true,
+      autoIncrement: false,
+      onUpdate: null,
+      charset: null,
+      generated: null,
+      comment: null
+    };
+    clauses.forEach((clauseStart, i) => {
+      const clause = clauseAt(i);
+      if (/^NOT\s+NULL$/i.test(clause)) {
+        column.nullable = false;
+      } else if (/^DEFAULT\b/i.test(clause)) {
+        column.pgDefault = clause.replace(/^DEFAULT\s+/i, '');
+      } else if (/^GENERATED\s+(?:ALWAYS|BY\s+DEFAULT)\s+AS\s+IDENTITY\b/i.test(clause)) {
+        column.autoIncrement = true;
+      } else if (/^GENERATED\b/i.test(clause)) {
+        this.types.warnOnce(`generated ${table.name}.${column.name}`,
+          `${table.name}.${column.name} is a generated column, pg_dump leaves out its values and the expression is not carried over`);
+      } else if (/^PRIMARY\s+KEY$/i.test(clause)) {
+        table.primaryKey = [column.name];
+        column.nullable = false;
+      } else if (/^UNIQUE$/i.test(clause)) {
+        table.indexes.push({ name: `${table.name}_${column.name}_key`, kind: 'UNIQUE', columns: [quoteColumn(column.name)] });
+      } else if (/^REFERENCES\b/i.test(clause)) {
+        this.addConstraint(table, null, `FOREIGN KEY (${match[1]}) ${clause}`);
+      } else if (/^CHECK\b/i.test(clause)) {
+        this.count('CHECK constraint');
+      }
+    });
+    table.columns.push(column);
+  }
+
+  alterTable(table, action, statement) {
+    let match;
+    if ((match = ADD_CONSTRAINT.exec(action))) {
+      this.addConstraint(table, unquoteIdentifier(match[1]), match[2]);
+    } else if ((match = SET_DEFAULT.exec(action))) {
+      const column = this.column(table, match[1]);
+      column.pgDefault = match[2].trim();
+    } else if ((match = ADD_IDENTITY.exec(action))) {
+      const column = this.column(table, match[1]);
+      column.autoIncrement = true;
+      const sequence = new RegExp(`\\bSEQUENCE\\s+NAME\\s+(${QUALIFIED_NAME})`, 'i').exec(match[2]);
+      if (sequence) {
+        Object.assign(this.sequence(sequence[1]), { table: this.qualifiedName(table), column: column.name });
+      }
+    } else if (!IGNORED_STATEMENT.test(statement) &&
+      !/^(?:ALTER\s+COLUMN\s+\S+\s+SET\s+(?:STATISTICS|STORAGE)|CLUSTER\s+ON|REPLICA\s+IDENTITY|(?:ENABLE|DISABLE)\s+(?:ALWAYS\s+|REPLICA\s+)?TRIGGER)\b/i.test(action)) {
+      this.leaveOut(statement);
+    }
+  }
+
+  /**
+   * Add a table constraint; CHECK and EXCLUDE constraints are left out
+   */
+  addConstraint(table, name, definition) {
+    let match;
+    if ((match = /^PRIMARY\s+KEY\s*\(([^)]*)\)/i.exec(definition))) {
+      table.primaryKey = nameList(match[1]);
+    } else if ((match = /^UNIQUE\s*(?:NULLS\s+(?:NOT\s+)?DISTINCT\s*)?\(([^)]*)\)/i.exec(definition))) {
+      const columns = nameList(match[1]);
+      table.indexes.push({ name: name || `${table.name}_${columns.join('_')}_key`, kind: 'UNIQUE', columns: columns.map(quoteColumn) });
+    } else if ((match = new RegExp(`^FOREIGN\\s+KEY\\s*\\(([^)]*)\\)\\s*REFERENCES\\s+(${QUALIFIED_NAME})\\s*(?:\\(([^)]*)\\))?([\\s\\S]*)$`, 'i').exec(definition))) {
+      const columns = nameList(match[1]);
+      const rule = event => {
+        const action = new RegExp(`\\bON\\s+${event}\\s+(CASCADE|RESTRICT|NO\\s+ACTION|SET\\s+NULL|SET\\s+DEFAULT)`, 'i').exec(match[4]);
+        return action ? action[1].toUpperCase().replace(/\s+/g, ' ') : null;
+      };
+      table.foreignKeys.push({
+        name: name || `${table.name}_${columns.join('_')}_fkey`,
+        columns,
+        table: bareName(match[2]),
+        target: splitName(match[2]).join('.'),
+        references: match[3] ? nameList(match[3]) : null,
+        onUpdate: rule('UPDATE'),
+        onDelete: rule('DELETE')
+      });
+    } else {
+      const kind = /^(\w+)/.exec(definition);
+      this.count(`${kind ? kind[1].toUpperCase() : 'other'} constraint`);
+    }
+  }
+
+  defineIndex(statement, match) {
+    const table = this.tables.get(splitName(match[3]).join('.'));
+    const name = unquoteIdentifier(match[2]);
+    const method = (match[4] || 'btree').toLowerCase();
+    const body = enclosed(statement, match[0].length - 1);
+    if (!table || !body) {
+      this.leaveOut(statement);
+      return;
+    }
+
+    const elements = splitList(body.inside).map(element => INDEX_ELEMENT.exec(element));
+    let reason = null;
+    if (method !== 'btree' && method !== 'hash') {
+      reason = `it is a ${method} index`;
+    } else if (elements.some(element => !element)) {
+      reason = 'it indexes an expression';
+    } else if (/\bWHERE\b/i.test(maskNested(body.rest))) {
+      reason = 'it is a partial index';
+    }
+    if (reason) {
+      logger.warn(`Leaving out index ${name} of ${table.name}, ${reason}`);
+      return;
+    }
+
+    table.indexes.push({
+      name,
+      kind: match[1] ? 'UNIQUE' : '',
+      columns: elements.map(element => `${quoteColumn(unquoteIdentifier(element[1]))}${element[2] && element[2].toUpperCase() === 'DESC' ? ' DESC' : ''}`)
+    });
+  }
+
+  /**
+   * Map column types and defaults once every enum, default and sequence is known
+   */
+  finishSchema() {
+    for (const [qualified, table] of this.tables) {
+      let serial = null;
+      for (const column of table.columns) {
+        const description = {
+          ...describeType(column.pgType, this.enums),
+          table_name: table.name,
+          column_name: column.name,
+          column_default: column.pgDefault
+        };
+        const sequence = /^nextval\('((?:[^']|'')*)'(?:::regclass)?\)$/i.exec(column.pgDefault || '');
+        if (sequence) {
+          Object.assign(this.sequence(splitName(sequence[1].replace(/''/g, "'")).join('.')), { table: qualified, column: column.name });
+          column.autoIncrement = true;
+        }
+
+        column.kind = this.types.kindOf(description.data_type);
+        column.type = this.types.mysqlType(description, this.enums);
+        column.default = column.autoIncrement ? null : this.types.defaultOf(description, column.kind);
+        if (column.autoIncrement && serial) {
+          // MySQL allows a single AUTO_INCREMENT column per table
+          logger.warn(`${table.name}.${column.name} takes its values from a sequence too, only ${serial.name} is AUTO_INCREMENT`);
+          column.autoIncrement = false;
+        }
+        if (column.autoIncrement) {
+          serial = column;
+        }
+      }
+
+      for (const key of table.foreignKeys) {
+        const target = this.tables.get(key.target);
+        if (!key.references) {
+          key.references = target ? target.primaryKey : key.columns;
+        }
+      }
+
+      // MySQL wants an AUTO_INCREMENT column at the start of a key
+      if (serial && table.primaryKey[0] !== serial.name &&
+        !table.indexes.some(index => index.columns[0] === quoteColumn(serial.name))) {
+        table.indexes.push({ name: serial.name, kind: '', columns: [quoteColumn(serial.name)] });
+      }
+    }
+
+    for (const [name, sequence] of this.sequences) {
+      const table = sequence.table && this.tables.get(sequence.table);
+      const value = sequence.value !== null ? sequence.value : sequence.start;
+      if (!table || value === null) continue;
+      const column = table.columns.find(candidate => candidate.name === sequence.column);
+      if (column && column.autoIncrement) {
+        table.options = `AUTO_INCREMENT=${value}`;
+      } else {
+        logger.debug(`Sequence ${name} of ${sequence.table}.${sequence.column} is not carried over`);
+      }
+    }
+
+    const converted = [...this.tables.values()].filter(table => !table.skipped).length;
+    logger.info(`Read the schema of ${converted} table(s) from ${this.label}`);
+    if (this.leftOut.size > 0) {
+      const kinds = [...this.leftOut].map(([kind, count]) => `${kind} (${count})`).join(', ');
+      logger.warn(`Left out PostgreSQL statements without a MySQL counterpart in ${this.label}: ${kinds}`);
+    }
+  }
+
+  column(table, identifier) {
+    const name = unquoteIdentifier(identifier);
+    const column = table.columns.find(candidate => candidate.name === name);
+    if (!column) {
+      throw new Error(`${table.name} in ${this.label} has no column ${name}`);
+    }
+    return column;
+  }
+
+  sequence(name) {
+    const qualified = splitName(name).join('.');
+    if (!this.sequences.has(qualified)) {
+      this.sequences.set(qualified, { table: null, column: null, start: null, value: null });
+    }
+    return this.sequences.get(qualified);
+  }
+
+  qualifiedName(table) {
+    for (const [qualified, candidate] of this.tables) {
+      if (candidate === table) return qualified;
+    }
+    return table.name;
+  }
+
+  leaveOut(statement) {
+    const words = statement.replace(/^CREATE\s+OR\s+REPLACE\s+/i, 'CREATE ').match(/^\w+(?:\s+(?:UNIQUE\s+)?\w+)?/);
+    this.count(words ? words[0].toUpperCase().replace(/\s+/g, ' ') : 'other');
+  }
+
+  count(kind) {
+    this.leftOut.set(kind, (this.leftOut.get(kind) || 0) + 1);
+  }
+}
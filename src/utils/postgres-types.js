@@ -0,0 +1,174 @@
+import logger from './logger.js';
+import { encodeMysqlString } from './insert-parser.js';
+
+/**
+ * PostgreSQL column types, defaults and values in MySQL terms, shared by the
+ * live database source and the pg_dump reader. Columns are described the way
+ * information_schema.columns does (data_type, udt_name,
+ * character_maximum_length, ...), values as the text PostgreSQL writes them.
+ */
+
+// PostgreSQL types without a direct MySQL counterpart of the same name
+const POSTGRES_TYPES = {
+  smallint: 'SMALLINT',
+  integer: 'INT',
+  bigint: 'BIGINT',
+  real: 'FLOAT',
+  'double precision': 'DOUBLE',
+  boolean: 'TINYINT(1)',
+  text: 'LONGTEXT',
+  bytea: 'LONGBLOB',
+  date: 'DATE',
+  json: 'JSON',
+  jsonb: 'JSON',
+  uuid: 'CHAR(36)',
+  interval: 'VARCHAR(64)',
+  inet: 'VARCHAR(43)',
+  cidr: 'VARCHAR(43)',
+  macaddr: 'VARCHAR(17)',
+  money: 'DECIMAL(19,2)',
+  xml: 'LONGTEXT'
+};
+
+const POSTGRES_KINDS = {
+  smallint: 'number',
+  integer: 'number',
+  bigint: 'number',
+  numeric: 'number',
+  real: 'number',
+  'double precision': 'number',
+  boolean: 'bool',
+  bytea: 'binary',
+  'timestamp with time zone': 'zoned',
+  'time with time zone': 'zoned'
+};
+
+const ZONED_VALUE = /^(?:(\d{4})-(\d\d)-(\d\d) )?(\d\d):(\d\d):(\d\d)(\.\d+)?([+-])(\d\d)(?::?(\d\d))?(?::?(\d\d))?$/;
+
+/**
+ * A time or timestamp with a UTC offset as UTC, without the offset. Values
+ * outside four-digit years, infinity and BC dates are kept as they are.
+ */
+function toUtc(value) {
+  const match = ZONED_VALUE.exec(value);
+  if (!match) return value;
+
+  const [, year, month, day, hour, minute, second, fraction = '', sign, hours, minutes = '0', seconds = '0'] = match;
+  const offset = (sign === '-' ? -1 : 1) * (Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds));
+  if (offset === 0) return value.replace(/[+-][\d:]+$/, '');
+
+  const local = new Date(Date.UTC(2000, 0, 1, Number(hour), Number(minute), Number(second)));
+  if (year) {
+    local.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+  }
+  const utc = new Date(local.getTime() - offset * 1000);
+  const iso = utc.toISOString();
+  const time = `${iso.slice(11, 19)}${fraction}`;
+  return year ? `${iso.slice(0, 10)} ${time}` : time;
+}
+
+export class PostgresTypeMapper {
+  constructor() {
+    this.warned = new Set();
+  }
+
+  /**
+   * Kind of value a PostgreSQL column holds, for toValue()
+   * @param {string} dataType - information_schema data_type
+   * @returns {string} - number, bool, binary, zoned or text
+   */
+  kindOf(dataType) {
+    return POSTGRES_KINDS[dataType] || 'text';
+  }
+
+  /**
+   * MySQL column type for a PostgreSQL column
+   * @param {Object} column - Column as information_schema.columns describes it
+   * @param {Map<string, string[]>} enums - Labels by enum type name
+   * @returns {string}
+   */
+  mysqlType(column, enums) {
+    const { data_type: type, character_maximum_length: length } = column;
+    if (POSTGRES_TYPES[type]) return POSTGRES_TYPES[type];
+
+    switch (type) {
+      case 'character varying':
+        return length ? `VARCHAR(${length})` : 'LONGTEXT';
+      case 'character':
+        return `CHAR(${length || 1})`;
+      case 'numeric':
+        return column.numeric_precision ? `DECIMAL(${column.numeric_precision},${column.numeric_scale || 0})` : 'DECIMAL(65,30)';
+      case 'timestamp without time zone':
+      case 'timestamp with time zone':
+        return column.datetime_precision > 0 ? `DATETIME(${Math.min(column.datetime_precision, 6)})` : 'DATETIME';
+      case 'time without time zone':
+      case 'time with time zone':
+        return column.datetime_precision > 0 ? `TIME(${Math.min(column.datetime_precision, 6)})` : 'TIME';
+      case 'USER-DEFINED':
+        if (enums.has(column.udt_name)) {
+          return `ENUM(${enums.get(column.udt_name).map(label => encodeMysqlString(label)).join(',')})`;
+        }
+        break;
+      default:
+        break;
+    }
+
+    this.warnOnce(`type ${column.udt_name}`, `PostgreSQL type ${column.udt_name} has no MySQL counterpart, its values are copied as text`);
+    return 'LONGTEXT';
+  }
+
+  /**
+   * MySQL column default for a PostgreSQL default expression. Expressions
+   * other than literals and the current time are left out.
+   * @param {Object} column - Column as information_schema.columns describes it
+   * @param {string} kind - Kind from kindOf()
+   * @returns {string|null} - SQL text, null for no default
+   */
+  defaultOf(column, kind) {
+    const text = column.column_default;
+    if (text === null || /^NULL\b/i.test(text)) return null;
+
+    const literal = /^'((?:[^']|'')*)'(?:::[\w\s"[\].]+)*$/.exec(text);
+    if (literal) return encodeMysqlString(literal[1].replace(/''/g, "'"));
+    const number = /^\(?(-?\d+(?:\.\d+)?)\)?(?:::[\w\s]+)*$/.exec(text);
+    if (number) return number[1];
+    if (/^(?:true|false)$/i.test(text)) return /^true$/i.test(text) ? '1' : '0';
+    if (/^(?:now\(\)|CURRENT_TIMESTAMP|LOCALTIMESTAMP|transaction_timestamp\(\))$/i.test(text)) {
+      // MySQL wants the precision of the column here
+      return column.datetime_precision > 0 ? `CURRENT_TIMESTAMP(${Math.min(column.datetime_precision, 6)})` : 'CURRENT_TIMESTAMP';
+    }
+
+    logger.debug(`Leaving out the default of ${column.table_name}.${column.column_name}: ${text}`);
+    return null;
+  }
+
+  /**
+   * A value as PostgreSQL writes it, as a value for formatInsertStatement()
+   * @param {string|null} value - Value text, null for NULL
+   * @param {{ kind: string }} column - Column with its kind from kindOf()
+   * @returns {Object}
+   */
+  toValue(value, column) {
+    if (value === null) return { type: 'null' };
+    switch (column.kind) {
+      case 'bool':
+        return { type: 'number', value: value === 't' ? '1' : '0' };
+      case 'number':
+        // NaN and Infinity have no MySQL literal
+        return /^-?\d/.test(value) ? { type: 'number', value } : { type: 'string', value };
+      case 'binary':
+        return value.length > 2 ? { type: 'hex', value: value.slice(2) } : { type: 'string', value: '' };
+      case 'zoned':
+        return { type: 'string', value: toUtc(value) };
+      default:
+        return { type: 'string', value };
+    }
+  }
+
+  warnOnce(key, message) {
+    if (!this.warned.has(key)) {
+      this.warned.add(key);
+      logger.warn(message);
+    }
+  }
+}
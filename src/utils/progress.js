@@ -0,0 +1,88 @@
+import logger from './logger.js';
+
+const UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Format a byte count for log messages
+ * @param {number} bytes - Byte count
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${UNITS[unit]}`;
+}
+
+/**
+ * Throttled progress logging for long-running file processing
+ */
+export class ProgressReporter {
+  /**
+   * @param {string} label - Prefix for log lines, usually the file name
+   * @param {number} totalBytes - Size of the input, 0 if unknown
+   * @param {string} [itemName] - What is being counted, e.g. statements or records
+   * @param {number} [intervalMs] - Minimum time between log lines
+   */
+  constructor(label, totalBytes, itemName = 'records', intervalMs = 5000) {
+    this.label = label;
+    this.totalBytes = totalBytes;
+    this.itemName = itemName;
+    this.intervalMs = intervalMs;
+    this.bytes = 0;
+    this.items = 0;
+    this.startedAt = Date.now();
+    this.lastReport = this.startedAt;
+  }
+
+  addBytes(count) {
+    this.bytes += count;
+    this.maybeReport();
+  }
+
+  addItems(count = 1) {
+    this.items += count;
+    this.maybeReport();
+  }
+
+  maybeReport() {
+    const now = Date.now();
+    if (now - this.lastReport >= this.intervalMs) {
+      this.lastReport = now;
+      logger.info(`${this.label}: ${this.describe()}`);
+    }
+  }
+
+  /**
+   * Current counts, e.g. for a status API
+   * @returns {{ bytes: number, totalBytes: number, percent: number|null, items: number, itemName: string }}
+   */
+  snapshot() {
+    return {
+      bytes: this.bytes,
+      totalBytes: this.totalBytes,
+      percent: this.totalBytes > 0 ? Math.min(100, Math.floor((this.bytes / this.totalBytes) * 100)) : null,
+      items: this.items,
+      itemName: this.itemName
+    };
+  }
+
+  describe() {
+    const percent = this.totalBytes > 0
+      ? ` (${Math.min(100, Math.floor((this.bytes / this.totalBytes) * 100))}%)`
+      : '';
+    const total = this.totalBytes > 0 ? ` of ${formatBytes(this.totalBytes)}` : '';
+    return `${formatBytes(this.bytes)}${total}${percent}, ${this.items} ${this.itemName}`;
+  }
+
+  /**
+   * Log the final totals
+   */
+  finish() {
+    const seconds = ((Date.now() - this.startedAt) / 1000).toFixed(1);
+    logger.info(`${this.label}: finished ${this.describe()} in ${seconds}s`);
+  }
+}
@@ -0,0 +1,64 @@
+import { stringify } from 'csv-stringify/sync';
+
+/**
+ * Incremental CSV or JSON writer for records, on top of an OutputWriter.
+ *
+ * JSON output is an array of objects. CSV output has a header row and
+ * quotes strings, so an empty string (`""`) stays distinguishable from
+ * NULL (an empty field).
+ */
+export class RecordWriter {
+  /**
+   * @param {OutputWriter} output - Output file writer
+   * @param {string} format - csv or json
+   * @param {string[]} [columns] - Column order, required for CSV
+   */
+  constructor(output, format, columns = []) {
+    if (format !== 'csv' && format !== 'json') {
+      throw new Error(`Unsupported record format: ${format}`);
+    }
+    this.output = output;
+    this.format = format;
+    this.columns = columns;
+    this.count = 0;
+  }
+
+  /**
+   * Write one record
+   * @param {Object} record - Values keyed by column name
+   * @returns {Promise<void>}
+   */
+  async write(record) {
+    if (this.format === 'json') {
+      const json = JSON.stringify(record, null, 2).replace(/^/gm, '  ');
+      await this.output.write(`${this.count === 0 ? '[\n' : ',\n'}${json}`);
+    } else {
+      await this.output.write(stringify([record], this.csvOptions(this.count === 0)));
+    }
+    this.count++;
+  }
+
+  /**
+   * Write what follows the last record. The output itself is left open.
+   * @returns {Promise<void>}
+   */
+  async finish() {
+    if (this.format === 'json') {
+      await this.output.write(this.count === 0 ? '[]\n' : '\n]\n');
+    } else if (this.count === 0 && this.columns.length > 0) {
+      await this.output.write(stringify([], this.csvOptions(true)));
+    }
+  }
+
+  csvOptions(header) {
+    return {
+      header,
+      columns: this.columns,
+      quoted_string: true,
+      cast: {
+        boolean: value => (value ? '1' : '0'),
+        object: value => JSON.stringify(value)
+      }
+    };
+  }
+}
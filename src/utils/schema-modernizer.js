@@ -0,0 +1,420 @@
+import { parseInsertStatement, formatInsertStatement } from './insert-parser.js';
+
+/**
+ * Modernization of legacy MySQL schemas.
+ *
+ * Each rule has a name and can be switched on or off. Rules that node-sql-parser
+ * cannot parse the input for (TYPE=, FLOAT(M,D)) work on the CREATE TABLE text
+ * before parsing; the others work on the parsed table. Rules that change what
+ * values a column accepts (zero dates, YEAR(2)) also fix the rows inserted into
+ * it. Every change is recorded for the report.
+ */
+
+export const MODERNIZATION_RULES = {
+  'table-type': 'Replace the TYPE= table option with ENGINE=',
+  'float-precision': 'Convert FLOAT(M,D) and DOUBLE(M,D) to DECIMAL(M,D)',
+  innodb: 'Convert MyISAM tables to InnoDB',
+  utf8mb4: 'Convert utf8/utf8mb3 to utf8mb4 and shorten index prefixes that become too long',
+  'zero-dates': 'Replace 0000-00-00 dates and defaults',
+  'integer-display-width': 'Drop integer display widths and ZEROFILL',
+  year2: 'Convert YEAR(2) to YEAR and expand two-digit years',
+  tinytext: 'Convert TINYTEXT to VARCHAR(255)'
+};
+
+const CREATE_TABLE = /^\s*CREATE\s+(?:TEMPORARY\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:`(?:[^`]|``)+`|[\w$]+)\s*\.?\s*(`(?:[^`]|``)+`|[\w$]+)?/i;
+
+const INSERT_TABLE = /^\s*(?:INSERT|REPLACE)\s+(?:(?:LOW_PRIORITY|DELAYED|HIGH_PRIORITY|IGNORE)\s+)*(?:INTO\s+)?(?:(?:`(?:[^`]|``)+`|[\w$]+)\s*\.\s*)?(`(?:[^`]|``)+`|[\w$]+)/i;
+
+const FLOAT_PRECISION = /(`(?:[^`]|``)+`|\b[\w$]+)(\s+)(FLOAT|DOUBLE(?:\s+PRECISION)?|REAL)\s*\(\s*(\d+)\s*,\s*(\d+)\s*\)/gi;
+
+const INTEGER_TYPES = ['TINYINT', 'SMALLINT', 'MEDIUMINT', 'INT', 'INTEGER', 'BIGINT'];
+const DATE_TYPES = ['DATE', 'DATETIME', 'TIMESTAMP'];
+const TEXT_TYPES = ['CHAR', 'VARCHAR', 'TINYTEXT', 'TEXT', 'MEDIUMTEXT', 'LONGTEXT', 'ENUM', 'SET'];
+
+// Smallest valid values, for zero dates in columns that cannot be NULL
+const MINIMUM_DATES = {
+  DATE: '1000-01-01',
+  DATETIME: '1000-01-01 00:00:00',
+  TIMESTAMP: '1970-01-01 00:00:01'
+};
+
+// Approximate key bytes of non-text index parts
+const KEY_BYTES = { TINYINT: 1, SMALLINT: 2, MEDIUMINT: 3, INT: 4, INTEGER: 4, DATE: 3, TIMESTAMP: 4, YEAR: 1 };
+
+// InnoDB index limits: per column prefix for COMPACT/REDUNDANT rows, and overall
+const COMPACT_PREFIX_BYTES = 767;
+const MAX_KEY_BYTES = 3072;
+
+const ZERO_DATE = /^0000-00-00/;
+
+function unquote(name) {
+  return name.startsWith('`') ? name.slice(1, -1).replace(/``/g, '`') : name;
+}
+
+/**
+ * Apply a replacement to the parts of a statement outside string literals
+ */
+function replaceOutsideStrings(text, pattern, replacer) {
+  return text
+    .split(/('(?:[^'\\]|\\[\s\S]|'')*'|"(?:[^"\\]|\\[\s\S]|"")*")/)
+    .map((part, i) => (i % 2 === 1 ? part : part.replace(pattern, replacer)))
+    .join('');
+}
+
+/**
+ * Index of the parenthesis that closes the column list of a CREATE TABLE
+ */
+function findTableBodyEnd(statement) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < statement.length; i++) {
+    const char = statement[i];
+    if (quote) {
+      if (char === '\\' && quote !== '`') i++;
+      else if (char === quote) quote = null;
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function isUtf8(charset) {
+  return /^utf8(mb3)?$/i.test(String(charset));
+}
+
+function toUtf8mb4Collation(collation) {
+  return String(collation).replace(/^utf8(mb3)?_/i, 'utf8mb4_');
+}
+
+export class SchemaModernizer {
+  /**
+   * @param {string[]} [rules] - Names of the enabled rules, all by default
+   */
+  constructor(rules = Object.keys(MODERNIZATION_RULES)) {
+    this.rules = new Set(rules);
+    this.changes = []; // { table, column, rule, description }
+    this.rowFixes = new Map(); // table -> Map(column -> { rule, fix, count })
+    this.tableColumns = new Map(); // table -> column names in order
+  }
+
+  enabled(rule) {
+    return this.rules.has(rule);
+  }
+
+  record(rule, table, column, description) {
+    this.changes.push({ table, column, rule, description });
+  }
+
+  /**
+   * Fix CREATE TABLE text that node-sql-parser cannot parse
+   * @param {string} statement - Statement text
+   * @returns {string}
+   */
+  prepare(statement) {
+    const match = CREATE_TABLE.exec(statement);
+    if (!match) {
+      return statement;
+    }
+
+    // The optional second group is the table name of db.table
+    const table = unquote(match[1] || /(`(?:[^`]|``)+`|[\w$]+)\s*$/.exec(match[0])[1]);
+    const end = findTableBodyEnd(statement);
+    if (end === -1) {
+      return statement;
+    }
+
+    let body = statement.slice(0, end);
+    let options = statement.slice(end);
+
+    if (this.enabled('float-precision')) {
+      body = replaceOutsideStrings(body, FLOAT_PRECISION, (text, name, space, type, precision, scale) => {
+        this.record('float-precision', table, unquote(name), `${type.toUpperCase()}(${precision},${scale}) -> DECIMAL(${precision},${scale})`);
+        return `${name}${space}DECIMAL(${precision},${scale})`;
+      });
+    }
+
+    if (this.enabled('table-type')) {
+      options = replaceOutsideStrings(options, /\bTYPE(\s*=\s*)(\w+)/gi, (text, equals, engine) => {
+        this.record('table-type', table, null, `TYPE=${engine} -> ENGINE=${engine}`);
+        return `ENGINE${equals}${engine}`;
+      });
+    }
+
+    return body + options;
+  }
+
+  /**
+   * Modernize a parsed CREATE TABLE statement in place
+   * @param {Object} ast - node-sql-parser AST of the statement
+   */
+  modernizeTable(ast) {
+    const table = ast.table[0].table;
+    const definitions = ast.create_definitions || [];
+    const columns = definitions.filter(def => def.resource === 'column');
+
+    this.tableColumns.set(table, columns.map(def => def.column.column));
+    this.rowFixes.delete(table);
+
+    const options = ast.table_options || [];
+    this.modernizeEngine(table, options);
+    const converted = this.modernizeTableCharset(table, options);
+
+    for (const def of columns) {
+      this.modernizeColumn(table, def, converted);
+    }
+
+    if (converted.size > 0) {
+      this.limitIndexLengths(table, definitions, converted, options);
+    }
+  }
+
+  modernizeEngine(table, options) {
+    if (!this.enabled('innodb')) return;
+
+    const engine = options.find(option => option.keyword === 'engine');
+    if (engine && String(engine.value).toUpperCase() === 'MYISAM') {
+      engine.value = 'InnoDB';
+      this.record('innodb', table, null, 'ENGINE MyISAM -> InnoDB');
+    }
+  }
+
+  /**
+   * Convert the table default charset and collation
+   * @returns {Set<string>} - Names of columns stored as utf8mb4 because of
+   *   this rule, used to check index lengths; the table default is ''
+   */
+  modernizeTableCharset(table, options) {
+    const converted = new Set();
+    if (!this.enabled('utf8mb4')) return converted;
+
+    for (const option of options) {
+      if (/charset|character set/.test(option.keyword) && isUtf8(option.value)) {
+        this.record('utf8mb4', table, null, `DEFAULT CHARSET ${option.value} -> utf8mb4`);
+        option.value = 'utf8mb4';
+        converted.add('');
+      } else if (option.keyword === 'collate' && /^utf8(mb3)?_/i.test(option.value)) {
+        const collation = toUtf8mb4Collation(option.value);
+        this.record('utf8mb4', table, null, `COLLATE ${option.value} -> ${collation}`);
+        option.value = collation;
+      }
+    }
+
+    return converted;
+  }
+
+  modernizeColumn(table, def, converted) {
+    const name = def.column.column;
+    const definition = def.definition;
+    const type = String(definition.dataType).toUpperCase();
+
+    if (this.enabled('integer-display-width') && INTEGER_TYPES.includes(type)) {
+      // TINYINT(1) keeps its width, it marks a boolean
+      if (definition.length != null && !(type === 'TINYINT' && Number(definition.length) === 1)) {
+        this.record('integer-display-width', table, name, `${type}(${definition.length}) -> ${type}`);
+        definition.length = null;
+        definition.parentheses = false;
+      }
+      const suffix = (definition.suffix || []).map(s => String(s).toUpperCase());
+      if (suffix.includes('ZEROFILL')) {
+        // ZEROFILL implies UNSIGNED, which has to stay
+        definition.suffix = suffix.includes('UNSIGNED') ? suffix.filter(s => s !== 'ZEROFILL') : ['UNSIGNED'];
+        this.record('integer-display-width', table, name, 'dropped ZEROFILL, values are no longer zero-padded');
+      }
+    }
+
+    if (this.enabled('year2') && type === 'YEAR' && definition.length != null) {
+      this.record('year2', table, name, `YEAR(${definition.length}) -> YEAR`);
+      if (Number(definition.length) === 2) {
+        this.addRowFix(table, name, 'year2', expandYear);
+      }
+      definition.length = null;
+      definition.parentheses = false;
+    }
+
+    if (this.enabled('tinytext') && type === 'TINYTEXT') {
+      this.record('tinytext', table, name, 'TINYTEXT -> VARCHAR(255)');
+      definition.dataType = 'VARCHAR';
+      definition.length = 255;
+      definition.parentheses = true;
+    }
+
+    if (this.enabled('zero-dates') && DATE_TYPES.includes(type)) {
+      this.modernizeZeroDates(table, def, type);
+    }
+
+    if (this.enabled('utf8mb4') && TEXT_TYPES.includes(String(definition.dataType).toUpperCase())) {
+      if (def.character_set && isUtf8(def.character_set.value)) {
+        this.record('utf8mb4', table, name, `CHARACTER SET ${def.character_set.value} -> utf8mb4`);
+        def.character_set.value = 'utf8mb4';
+        converted.add(name);
+      } else if (!def.character_set && converted.has('')) {
+        converted.add(name);
+      }
+      if (def.collate && /^utf8(mb3)?_/i.test(def.collate.value)) {
+        const collation = toUtf8mb4Collation(def.collate.value);
+        this.record('utf8mb4', table, name, `COLLATE ${def.collate.value} -> ${collation}`);
+        def.collate.value = collation;
+      }
+    }
+  }
+
+  modernizeZeroDates(table, def, type) {
+    const name = def.column.column;
+    const value = def.default_val && def.default_val.value;
+
+    if (value && /_string$/.test(value.type) && ZERO_DATE.test(value.value)) {
+      // A zero default meant "no date", which is what NULL is for
+      def.default_val.value = { type: 'null', value: null };
+      if (def.nullable && def.nullable.type === 'not null') {
+        def.nullable = { type: 'null', value: 'null' };
+        this.record('zero-dates', table, name, `DEFAULT '${value.value}' -> NULL, column made nullable`);
+      } else {
+        this.record('zero-dates', table, name, `DEFAULT '${value.value}' -> NULL`);
+      }
+    }
+
+    const nullable = !def.nullable || def.nullable.type !== 'not null';
+    const replacement = nullable ? null : MINIMUM_DATES[type];
+    this.addRowFix(table, name, 'zero-dates', cell => {
+      if (cell.type !== 'string' || !ZERO_DATE.test(cell.value)) return cell;
+      return replacement === null ? { type: 'null', value: null } : { type: 'string', value: replacement };
+    }, nullable ? 'NULL' : `'${replacement}'`);
+  }
+
+  /**
+   * Shorten index prefixes on columns that now take four bytes per character
+   */
+  limitIndexLengths(table, definitions, converted, options) {
+    const rowFormat = options.find(option => option.keyword === 'row_format');
+    const compact = rowFormat && /^(COMPACT|REDUNDANT)$/i.test(rowFormat.value);
+    const partLimit = compact ? COMPACT_PREFIX_BYTES : MAX_KEY_BYTES;
+
+    const columns = new Map(definitions
+      .filter(def => def.resource === 'column')
+      .map(def => [def.column.column, def]));
+
+    for (const def of definitions) {
+      const isKey = def.resource === 'index' ||
+        (def.resource === 'constraint' && /^(primary key|unique)/i.test(def.constraint_type || ''));
+      if (!isKey || /fulltext|spatial/i.test(def.keyword || '')) continue;
+
+      const parts = def.definition.map(part => {
+        const column = columns.get(part.column);
+        const type = column ? String(column.definition.dataType).toUpperCase() : null;
+        const prefix = part.suffix ? Number(/\d+/.exec(part.suffix)[0]) : null;
+        if (column && TEXT_TYPES.includes(type) && converted.has(part.column)) {
+          const chars = prefix || column.definition.length || 0;
+          return { part, text: true, chars, bytes: chars * 4 };
+        }
+        return { part, text: false, bytes: KEY_BYTES[type] || 8 };
+      });
+
+      const keyName = def.index || def.constraint || def.constraint_type;
+      const shorten = (entry, bytes) => {
+        const chars = Math.floor(bytes / 4);
+        entry.part.suffix = `(${chars})`;
+        entry.chars = chars;
+        entry.bytes = chars * 4;
+        const unique = def.resource === 'constraint' ? ', uniqueness now only covers the prefix' : '';
+        this.record('utf8mb4', table, entry.part.column,
+          `index ${keyName} uses a prefix of ${chars} characters to stay within ${partLimit} bytes${unique}`);
+      };
+
+      for (const entry of parts) {
+        if (entry.text && entry.bytes > partLimit) {
+          shorten(entry, partLimit);
+        }
+      }
+
+      let total = parts.reduce((sum, entry) => sum + entry.bytes, 0);
+      while (total > MAX_KEY_BYTES) {
+        const longest = parts.filter(entry => entry.text).sort((a, b) => b.bytes - a.bytes)[0];
+        if (!longest || longest.bytes <= 4) break;
+        shorten(longest, Math.max(4, longest.bytes - (total - MAX_KEY_BYTES)));
+        total = parts.reduce((sum, entry) => sum + entry.bytes, 0);
+      }
+    }
+  }
+
+  addRowFix(table, column, rule, fix, replacement = null) {
+    if (!this.rowFixes.has(table)) {
+      this.rowFixes.set(table, new Map());
+    }
+    this.rowFixes.get(table).set(column, { rule, fix, replacement, count: 0 });
+  }
+
+  /**
+   * Fix the values of an INSERT statement for columns whose type changed
+   * @param {string} statement - Statement text
+   * @returns {string}
+   */
+  modernizeRows(statement) {
+    if (this.rowFixes.size === 0) return statement;
+
+    const match = INSERT_TABLE.exec(statement.slice(0, 1024));
+    const fixes = match && this.rowFixes.get(unquote(match[1]));
+    if (!fixes) return statement;
+
+    let insert;
+    try {
+      insert = parseInsertStatement(statement);
+    } catch {
+      return statement;
+    }
+    if (!insert) return statement;
+
+    const names = insert.columns || this.tableColumns.get(insert.table) || [];
+    const columnFixes = names.map(name => fixes.get(name));
+    let changed = false;
+
+    for (const row of insert.rows) {
+      row.forEach((cell, i) => {
+        const fix = columnFixes[i];
+        if (!fix) return;
+        const fixed = fix.fix(cell);
+        if (fixed !== cell) {
+          row[i] = fixed;
+          fix.count++;
+          changed = true;
+        }
+      });
+    }
+
+    return changed ? formatInsertStatement(insert) : statement;
+  }
+
+  /**
+   * Every change made so far, including counts of fixed values
+   * @returns {Array<{ table: string, column: string|null, rule: string, description: string }>}
+   */
+  getChanges() {
+    const changes = [...this.changes];
+    for (const [table, fixes] of this.rowFixes) {
+      for (const [column, { rule, count, replacement }] of fixes) {
+        if (count === 0) continue;
+        const description = rule === 'year2'
+          ? `expanded ${count} two-digit years`
+          : `replaced ${count} zero dates with ${replacement}`;
+        changes.push({ table, column, rule, description });
+      }
+    }
+    return changes;
+  }
+}
+
+/**
+ * YEAR(2) stores 70-99 as 1970-1999 and 00-69 as 2000-2069
+ */
+function expandYear(cell) {
+  if (cell.type !== 'number' && cell.type !== 'string') return cell;
+  const text = String(cell.value).trim();
+  if (!/^\d{1,2}$/.test(text)) return cell;
+  const year = Number(text);
+  return { type: 'number', value: String(year < 70 ? 2000 + year : 1900 + year) };
+}
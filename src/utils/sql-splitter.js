@@ -0,0 +1,336 @@
+/**
+ * Incremental SQL statement splitter for MySQL dumps.
+ *
+ * Understands quoted strings and identifiers with their escapes, the three
+ * comment forms, executable comments (`/*! ... *\/`, `/*!40101 ... *\/`) and
+ * optimizer hints (`/*+ ... *\/`), and `DELIMITER` changes. Regular comments
+ * are removed; executable comments are kept as part of the statement text.
+ */
+
+const DELIMITER_COMMAND = /^DELIMITER[ \t]+(\S+)[ \t]*\r?(?:\n|$)/i;
+
+const LEADING_WHITESPACE = /\s*/y;
+
+const STRING_PATTERNS = {
+  "'": /['\\]/g,
+  '"': /["\\]/g,
+  '`': /`/g
+};
+
+// Without backslash escapes, as in PostgreSQL with standard_conforming_strings
+const STANDARD_STRING_PATTERNS = {
+  "'": /'/g,
+  '"': /"/g,
+  '`': /`/g
+};
+
+const COMPOUND_STATEMENT = /^\s*CREATE\b[\s\S]*?\b(PROCEDURE|FUNCTION|TRIGGER|EVENT)\b/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Remove executable comment markers so the statement inside can be inspected
+ * @param {string} statement - Statement text
+ * @returns {string}
+ */
+export function unwrapExecutableComments(statement) {
+  return statement.replace(/\/\*[!+]\d*/g, ' ').replace(/\*\//g, ' ');
+}
+
+/**
+ * Whether a statement consists only of executable comments, e.g.
+ * `/*!40101 SET NAMES utf8 *\/`
+ * @param {string} statement - Statement text
+ * @returns {boolean}
+ */
+export function isExecutableComment(statement) {
+  return /^(\s*\/\*![\s\S]*?\*\/)+\s*$/.test(statement);
+}
+
+/**
+ * Whether a statement is a stored program body (procedure, function, trigger
+ * or event) that needs a custom delimiter when written back out
+ * @param {string} statement - Statement text
+ * @returns {boolean}
+ */
+export function isCompoundStatement(statement) {
+  return COMPOUND_STATEMENT.test(unwrapExecutableComments(statement));
+}
+
+export class StatementSplitter {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.backslashEscapes] - Whether a backslash escapes
+   *   the next character in strings, as in MySQL (default: true)
+   */
+  constructor({ backslashEscapes = true } = {}) {
+    this.stringPatterns = backslashEscapes ? STRING_PATTERNS : STANDARD_STRING_PATTERNS;
+    this.delimiter = ';';
+    this.mode = 'code';
+    this.buffer = '';
+    this.current = '';
+    this.hasContent = false;
+    this.setDelimiter(';');
+  }
+
+  setDelimiter(delimiter) {
+    this.delimiter = delimiter;
+    this.codePattern = new RegExp(`['"\`#/-]|${escapeRegExp(delimiter[0])}`, 'g');
+  }
+
+  /**
+   * Add text and return the statements it completes
+   * @param {string} chunk - Next piece of SQL text
+   * @returns {string[]} - Complete statements, without delimiters
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    return this.scan(false);
+  }
+
+  /**
+   * Signal the end of input and return any remaining statement
+   * @returns {string[]}
+   */
+  end() {
+    const statements = this.scan(true);
+    const rest = this.current.trim();
+    if (rest) {
+      statements.push(rest);
+    }
+    this.current = '';
+    this.hasContent = false;
+    return statements;
+  }
+
+  scan(final) {
+    this.text = this.buffer;
+    this.final = final;
+    this.statements = [];
+    this.pos = 0;
+    this.copyFrom = 0;
+
+    // Each handler returns true when it needs more input to go on
+    while (this.pos < this.text.length) {
+      let wait;
+      switch (this.mode) {
+        case 'code':
+          wait = this.scanCode();
+          break;
+        case 'block':
+          wait = this.scanBlockComment();
+          break;
+        case 'exec':
+          wait = this.scanExecutableComment();
+          break;
+        default:
+          wait = this.scanString();
+      }
+      if (wait) break;
+    }
+
+    if (this.mode !== 'block') {
+      this.current += this.text.slice(this.copyFrom, this.pos);
+    }
+    this.buffer = this.text.slice(this.pos);
+    this.text = '';
+    return this.statements;
+  }
+
+  scanCode() {
+    const { text, final } = this;
+
+    if (!this.hasContent) {
+      // Only whitespace so far: look for a DELIMITER command
+      LEADING_WHITESPACE.lastIndex = this.pos;
+      LEADING_WHITESPACE.exec(text);
+      this.pos = LEADING_WHITESPACE.lastIndex;
+      if (this.pos >= text.length) {
+        return false;
+      }
+
+      const rest = text.slice(this.pos, this.pos + 256);
+      if (/^delimiter\b/i.test(rest) || (!final && 'delimiter'.startsWith(rest.toLowerCase()))) {
+        const lineEnd = text.indexOf('\n', this.pos);
+        if (lineEnd === -1 && !final) {
+          return true;
+        }
+        const match = DELIMITER_COMMAND.exec(text.slice(this.pos, lineEnd === -1 ? text.length : lineEnd + 1));
+        if (match) {
+          this.setDelimiter(match[1]);
+          this.current = '';
+          this.pos += match[0].length;
+          this.copyFrom = this.pos;
+          return false;
+        }
+      }
+    }
+
+    this.codePattern.lastIndex = this.pos;
+    const match = this.codePattern.exec(text);
+    const i = match ? match.index : text.length;
+
+    if (!this.hasContent && /\S/.test(text.slice(this.pos, i))) {
+      this.hasContent = true;
+    }
+
+    if (!match) {
+      // Hold back a possible partial multi-character delimiter
+      let hold = 0;
+      for (let n = Math.min(this.delimiter.length - 1, text.length - this.pos); n > 0 && !final; n--) {
+        if (this.delimiter.startsWith(text.slice(text.length - n))) {
+          hold = n;
+          break;
+        }
+      }
+      this.pos = text.length - hold;
+      return hold > 0;
+    }
+
+    this.pos = i;
+    const char = text[i];
+    const remaining = text.length - i;
+
+    if (text.startsWith(this.delimiter, i)) {
+      this.current += text.slice(this.copyFrom, i);
+      const statement = this.current.trim();
+      if (statement) {
+        this.statements.push(statement);
+      }
+      this.current = '';
+      this.hasContent = false;
+      this.pos = i + this.delimiter.length;
+      this.copyFrom = this.pos;
+      return false;
+    }
+
+    if (char === this.delimiter[0] && remaining < this.delimiter.length && !final &&
+        this.delimiter.startsWith(text.slice(i))) {
+      return true;
+    }
+
+    if (char in this.stringPatterns) {
+      this.hasContent = true;
+      this.mode = char;
+      this.pos = i + 1;
+      return false;
+    }
+
+    if (char === '#' || (char === '-' && text[i + 1] === '-')) {
+      // MySQL only treats "--" as a comment when followed by whitespace
+      if (char === '-') {
+        if (remaining < 3 && !final) return true;
+        if (remaining >= 3 && !/\s/.test(text[i + 2])) {
+          this.hasContent = true;
+          this.pos = i + 2;
+          return false;
+        }
+      }
+      const lineEnd = text.indexOf('\n', i);
+      if (lineEnd === -1 && !final) {
+        return true;
+      }
+      this.current += text.slice(this.copyFrom, i);
+      this.pos = lineEnd === -1 ? text.length : lineEnd;
+      this.copyFrom = this.pos;
+      return false;
+    }
+
+    if (char === '-' && remaining < 2 && !final) {
+      return true;
+    }
+
+    if (char === '/' && text[i + 1] === '*') {
+      if (remaining < 3 && !final) return true;
+      if (text[i + 2] === '!' || text[i + 2] === '+') {
+        this.hasContent = true;
+        this.mode = 'exec';
+        this.pos = i + 3;
+        return false;
+      }
+      this.current += text.slice(this.copyFrom, i) + ' ';
+      this.mode = 'block';
+      this.pos = i + 2;
+      this.copyFrom = this.pos;
+      return false;
+    }
+
+    if (char === '/' && remaining < 2 && !final) {
+      return true;
+    }
+
+    this.hasContent = true;
+    this.pos = i + 1;
+    return false;
+  }
+
+  scanString() {
+    const { text, final } = this;
+    const quote = this.mode;
+    const pattern = this.stringPatterns[quote];
+
+    pattern.lastIndex = this.pos;
+    const match = pattern.exec(text);
+    if (!match) {
+      this.pos = text.length;
+      return false;
+    }
+
+    const i = match.index;
+    if (text[i] === '\\') {
+      if (i + 1 >= text.length && !final) {
+        this.pos = i;
+        return true;
+      }
+      this.pos = i + 2;
+      return false;
+    }
+
+    if (i + 1 >= text.length && !final) {
+      // Could be the first half of a doubled quote
+      this.pos = i;
+      return true;
+    }
+    if (text[i + 1] === quote) {
+      this.pos = i + 2;
+      return false;
+    }
+
+    this.mode = 'code';
+    this.pos = i + 1;
+    return false;
+  }
+
+  scanBlockComment() {
+    const { text } = this;
+    const end = text.indexOf('*/', this.pos);
+
+    if (end === -1) {
+      // Keep a trailing "*" in case the next chunk starts with "/"
+      this.pos = text.endsWith('*') ? text.length - 1 : text.length;
+      this.copyFrom = this.pos;
+      return this.pos < text.length;
+    }
+
+    this.mode = 'code';
+    this.pos = end + 2;
+    this.copyFrom = this.pos;
+    return false;
+  }
+
+  scanExecutableComment() {
+    const { text } = this;
+    const end = text.indexOf('*/', this.pos);
+
+    if (end === -1) {
+      this.pos = text.endsWith('*') ? text.length - 1 : text.length;
+      return this.pos < text.length;
+    }
+
+    this.mode = 'code';
+    this.pos = end + 2;
+    return false;
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Table renaming for SQL statements.
+ *
+ * Names are resolved from an explicit map, regex rules and a prefix to strip,
+ * and rewritten wherever a statement refers to a table: CREATE, DROP, ALTER,
+ * RENAME, INSERT, LOCK TABLES, foreign key REFERENCES, CREATE/DROP INDEX ... ON,
+ * FROM/JOIN in views and trigger bodies, and `table.column` qualifiers. The statement text is
+ * rewritten in place, so everything else, including executable comments, is
+ * left untouched.
+ */
+
+// Keywords after which a table name follows
+const TABLE_KEYWORDS = new Set(['FROM', 'JOIN', 'INTO', 'UPDATE', 'TABLE', 'TABLES', 'REFERENCES', 'VIEW']);
+
+// Keywords that may come between a table keyword and the name
+const NAME_MODIFIERS = new Set([
+  'IF', 'NOT', 'EXISTS', 'ONLY', 'IGNORE', 'LOW_PRIORITY', 'HIGH_PRIORITY', 'DELAYED', 'QUICK', 'TEMPORARY'
+]);
+
+// Keywords that keep a comma-separated list of tables going
+const LIST_KEYWORDS = new Set(['AS', 'READ', 'WRITE', 'LOCAL', 'LOW_PRIORITY', 'TO']);
+
+// Words that are never table names, even where a name could follow
+const RESERVED = new Set([
+  'ADD', 'AFTER', 'ALGORITHM', 'ALL', 'ALTER', 'AND', 'AS', 'BEFORE', 'BEGIN', 'BY', 'CASE', 'CHANGE',
+  'CHARACTER', 'CHARSET', 'CHECK', 'COLLATE', 'COLUMN', 'COMMENT', 'CONSTRAINT', 'CREATE', 'CROSS',
+  'DEFAULT', 'DEFINER', 'DELETE', 'DISTINCT', 'DROP', 'DUAL', 'DUMPFILE', 'EACH', 'ELSE', 'END',
+  'ENGINE', 'FOR', 'FOREIGN', 'FROM', 'FULLTEXT', 'GROUP', 'HAVING', 'INDEX', 'INNER', 'INSERT',
+  'INTO', 'JOIN', 'KEY', 'LATERAL', 'LEFT', 'LIKE', 'LIMIT', 'LOCK', 'MODIFY', 'NATURAL', 'NULL',
+  'ON', 'OR', 'ORDER', 'OUTER', 'OUTFILE', 'PARTITION', 'PRIMARY', 'REFERENCES', 'RENAME', 'REPLACE',
+  'RIGHT', 'ROW', 'SECURITY', 'SELECT', 'SET', 'SPATIAL', 'SQL', 'STRAIGHT_JOIN', 'TABLE', 'TABLES',
+  'THEN', 'TRIGGER', 'UNION', 'UNIQUE', 'UNLOCK', 'UPDATE', 'USING', 'VALUE', 'VALUES', 'VIEW',
+  'WHEN', 'WHERE', 'WITH',
+  ...NAME_MODIFIERS,
+  ...LIST_KEYWORDS
+]);
+
+const TOKEN = new RegExp([
+  '(?<space>\\s+|\\/\\*[!+]\\d*|\\*\\/)',
+  '(?<comment>(?:--\\s|#)[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/)',
+  "(?<string>'(?:[^'\\\\]|\\\\[\\s\\S]|'')*'|\"(?:[^\"\\\\]|\\\\[\\s\\S]|\"\")*\")",
+  '(?<quoted>`(?:[^`]|``)*`)',
+  '(?<variable>@@?(?:[\\w$.]+|`(?:[^`]|``)*`|\'(?:[^\'\\\\]|\\\\[\\s\\S])*\')?)',
+  '(?<word>[\\w$]+)',
+  '(?<other>[\\s\\S])'
+].join('|'), 'gy');
+
+/**
+ * Split a statement into its significant tokens
+ * @param {string} statement - Statement text
+ * @returns {Array<{ type: string, text: string, start: number, name?: string, upper?: string }>}
+ */
+function tokenize(statement) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  const isInsert = /^\s*(?:INSERT|REPLACE)\b/i.test(statement);
+
+  let match;
+  while (TOKEN.lastIndex < statement.length && (match = TOKEN.exec(statement))) {
+    const type = Object.keys(match.groups).find(group => match.groups[group] !== undefined);
+    if (type === 'space' || type === 'comment') continue;
+
+    const token = { type, text: match[0], start: match.index };
+    if (type === 'word') {
+      token.name = token.text;
+      token.upper = token.text.toUpperCase();
+      // Row data of inserts holds no table names and can be megabytes long
+      if (isInsert && (token.upper === 'VALUES' || token.upper === 'VALUE')) break;
+    } else if (type === 'quoted') {
+      token.name = token.text.slice(1, -1).replace(/``/g, '`');
+    }
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+function isIdentifier(token) {
+  return token && (token.type === 'quoted' || (token.type === 'word' && !RESERVED.has(token.upper)));
+}
+
+export class TableRenamer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.stripPrefix] - Prefix to remove from table names
+   * @param {Object<string, string>} [options.renames] - Explicit old to new names
+   * @param {Array<{ pattern: RegExp, replacement: string }>} [options.rules] - Regex rules,
+   *   the first matching rule applies
+   */
+  constructor({ stripPrefix = null, renames = {}, rules = [] } = {}) {
+    this.stripPrefix = stripPrefix;
+    this.renames = new Map(Object.entries(renames));
+    this.rules = rules;
+    this.active = Boolean(stripPrefix) || this.renames.size > 0 || rules.length > 0;
+
+    this.resolved = new Map(); // original name -> { name, reason }
+    this.targets = new Map(); // final name -> original name
+  }
+
+  /**
+   * Final name of a table
+   * @param {string} name - Table name as found in the input
+   * @returns {{ name: string, reason: string|null }} - reason is map, rule or prefix
+   */
+  resolve(name) {
+    if (this.resolved.has(name)) {
+      return this.resolved.get(name);
+    }
+
+    let result = { name, reason: null };
+    if (this.renames.has(name)) {
+      result = { name: this.renames.get(name), reason: 'map' };
+    } else {
+      const rule = this.rules.find(({ pattern }) => pattern.test(name));
+      if (rule) {
+        result = { name: name.replace(rule.pattern, rule.replacement), reason: 'rule' };
+      } else if (this.stripPrefix && name.startsWith(this.stripPrefix) && name.length > this.stripPrefix.length) {
+        result = { name: name.slice(this.stripPrefix.length), reason: 'prefix' };
+      }
+    }
+
+    const other = this.targets.get(result.name);
+    if (other !== undefined && other !== name) {
+      throw new Error(`Table name collision: \`${other}\` and \`${name}\` would both be named \`${result.name}\``);
+    }
+    this.targets.set(result.name, name);
+    this.resolved.set(name, result);
+    return result;
+  }
+
+  /**
+   * Rewrite every table reference in a statement
+   * @param {string} statement - Statement text
+   * @returns {string}
+   */
+  rewrite(statement) {
+    if (!this.active) {
+      return statement;
+    }
+
+    const tokens = tokenize(statement);
+    const first = tokens[0] && tokens[0].upper;
+    const createsTable = first === 'CREATE' && tokens.slice(1, 3).some(token => token.upper === 'TABLE');
+    const indexes = (first === 'CREATE' && tokens.slice(1, 3).some(token => token.upper === 'INDEX')) ||
+      (first === 'DROP' && tokens[1] && tokens[1].upper === 'INDEX');
+    const tableNames = new Set();
+    const edits = [];
+    const qualifiers = [];
+
+    let expectTable = false;
+    let inList = false;
+    let renaming = false;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const upper = token.upper;
+
+      if (token.type === 'word' && RESERVED.has(upper)) {
+        if (expectTable && NAME_MODIFIERS.has(upper)) continue;
+
+        const previous = tokens[i - 1] && tokens[i - 1].upper;
+        if (upper === 'RENAME') renaming = true;
+
+        if (upper === 'ON' && ['INSERT', 'UPDATE', 'DELETE'].includes(previous)) {
+          // Trigger event: BEFORE INSERT ON table
+          expectTable = true;
+        } else if (upper === 'ON' && indexes) {
+          // CREATE [UNIQUE] INDEX name ON table, DROP INDEX name ON table
+          expectTable = true;
+        } else if ((upper === 'TO' && renaming) || (upper === 'LIKE' && createsTable)) {
+          expectTable = true;
+        } else if (TABLE_KEYWORDS.has(upper) &&
+          !(upper === 'UPDATE' && (previous === 'KEY' || previous === 'ON'))) {
+          // ON DUPLICATE KEY UPDATE, ON UPDATE CURRENT_TIMESTAMP and ON UPDATE CASCADE name no table
+          expectTable = true;
+          inList = upper === 'FROM' || upper === 'TABLES' || upper === 'UPDATE' ||
+            (upper === 'TABLE' && (first === 'DROP' || first === 'RENAME'));
+        } else {
+          expectTable = false;
+          if (!LIST_KEYWORDS.has(upper)) inList = false;
+        }
+        continue;
+      }
+
+      if (token.text === ',') {
+        expectTable = inList;
+        continue;
+      }
+
+      if (!isIdentifier(token)) {
+        // FROM (a JOIN b ...) still names tables; a subquery starts with SELECT
+        if (token.text === '(' && expectTable) continue;
+        expectTable = false;
+        if (token.text === '(' || token.text === ';') inList = false;
+        continue;
+      }
+
+      // Collect a dotted name such as db.table or table.column
+      const chain = [token];
+      while (tokens[i + 1] && tokens[i + 1].text === '.' && isIdentifier(tokens[i + 2])) {
+        chain.push(tokens[i + 2]);
+        i += 2;
+      }
+
+      if (expectTable) {
+        // A table position: table or db.table
+        const table = chain.length > 1 ? chain[1] : chain[0];
+        tableNames.add(table.name);
+        edits.push(table);
+        expectTable = false;
+      } else if (chain.length > 1) {
+        // An expression: table.column or db.table.column
+        qualifiers.push(chain[chain.length - 2]);
+      }
+    }
+
+    // Qualifiers are only renamed when they name a table, not an alias or NEW/OLD
+    for (const token of qualifiers) {
+      if (tableNames.has(token.name) || this.resolved.has(token.name)) {
+        edits.push(token);
+      }
+    }
+
+    edits.sort((a, b) => b.start - a.start);
+    let result = statement;
+    for (const token of edits) {
+      const { name, reason } = this.resolve(token.name);
+      if (!reason || name === token.name) continue;
+      const quoted = token.type === 'quoted' || !/^[A-Za-z_$][\w$]*$/.test(name) || RESERVED.has(name.toUpperCase());
+      const text = quoted ? `\`${name.replace(/`/g, '``')}\`` : name;
+      result = result.slice(0, token.start) + text + result.slice(token.start + token.text.length);
+    }
+
+    return result;
+  }
+
+  /**
+   * Every table that was renamed so far
+   * @returns {Array<{ from: string, to: string, reason: string }>}
+   */
+  getRenames() {
+    const renames = [];
+    for (const [from, { name, reason }] of this.resolved) {
+      if (reason && name !== from) {
+        renames.push({ from, to: name, reason });
+      }
+    }
+    return renames;
+  }
+}
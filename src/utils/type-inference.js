@@ -0,0 +1,405 @@
+import { encodeMysqlString } from './insert-parser.js';
+
+/**
+ * SQL column types for flat records, e.g. from CSV or JSON files. Each value
+ * narrows down what its column can be; once every record has been seen, the
+ * narrowest type that holds all values is chosen. Values that lose
+ * information in a numeric type, such as zip codes with leading zeros, keep
+ * their column a string type.
+ */
+
+// Column types by output dialect. Integers take the first type that holds
+// every value, text the first type whose characters (at 4 bytes each) do.
+const DIALECT_TYPES = {
+  mysql: {
+    integers: [
+      { type: 'TINYINT', min: -128n, max: 127n },
+      { type: 'SMALLINT', min: -32768n, max: 32767n },
+      { type: 'MEDIUMINT', min: -8388608n, max: 8388607n },
+      { type: 'INT', min: -2147483648n, max: 2147483647n },
+      { type: 'BIGINT', min: -9223372036854775808n, max: 9223372036854775807n }
+    ],
+    maxPrecision: 65,
+    maxScale: 30,
+    double: 'DOUBLE',
+    datetime: 'DATETIME',
+    uuid: 'CHAR(36)',
+    json: 'JSON',
+    texts: [
+      { type: 'TEXT', max: 16383 },
+      { type: 'MEDIUMTEXT', max: 4194303 }
+    ],
+    longText: 'LONGTEXT'
+  },
+  postgresql: {
+    integers: [
+      { type: 'SMALLINT', min: -32768n, max: 32767n },
+      { type: 'INTEGER', min: -2147483648n, max: 2147483647n },
+      { type: 'BIGINT', min: -9223372036854775808n, max: 9223372036854775807n }
+    ],
+    maxPrecision: 1000,
+    maxScale: 1000,
+    double: 'DOUBLE PRECISION',
+    datetime: 'TIMESTAMP',
+    uuid: 'UUID',
+    json: 'JSONB',
+    texts: [],
+    longText: 'TEXT'
+  }
+};
+
+// Longest VARCHAR before a text type
+const MAX_VARCHAR = 255;
+
+// Distinct values remembered per integer or UUID column to find key candidates
+const MAX_DISTINCT = 1000000;
+
+const INTEGER = /^[-+]?\d+$/;
+const DECIMAL = /^[-+]?(\d*)\.(\d+)$/;
+const FLOAT = /^[-+]?(?:\d+\.?\d*|\.\d+)[eE][-+]?\d+$/;
+const LEADING_ZERO = /^[-+]?0\d/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TRUE_WORDS = ['true', 'yes', 'y', 't', 'on'];
+const FALSE_WORDS = ['false', 'no', 'n', 'f', 'off'];
+
+const TIME = '(\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.(\\d{1,6})\\d*)?)?';
+const ZONE = '(Z|[-+]\\d{2}:?\\d{2})?';
+
+/**
+ * Date formats, each with the order of year, month and day in its match
+ */
+const DATE_FORMATS = {
+  iso: { pattern: new RegExp(`^(\\d{4})-(\\d{1,2})-(\\d{1,2})(?:[T ]${TIME}${ZONE})?$`), order: ['year', 'month', 'day'] },
+  'dd.mm.yyyy': { pattern: new RegExp(`^(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4})(?: ${TIME})?$`), order: ['day', 'month', 'year'] },
+  'mm/dd/yyyy': { pattern: new RegExp(`^(\\d{1,2})/(\\d{1,2})/(\\d{4})(?: ${TIME})?$`), order: ['month', 'day', 'year'] },
+  'dd/mm/yyyy': { pattern: new RegExp(`^(\\d{1,2})/(\\d{1,2})/(\\d{4})(?: ${TIME})?$`), order: ['day', 'month', 'year'] }
+};
+
+const TIME_ONLY = new RegExp(`^${TIME}$`);
+
+// Kinds a column can still be, from most to least specific
+const KINDS = ['boolean', 'integer', 'decimal', 'float', 'date', 'time', 'uuid', 'json'];
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+/**
+ * Parse a date in one of the formats
+ * @returns {Object|null} - year, month, day, time parts and zone, or null
+ *   when the text is not a valid date in that format
+ */
+function parseDate(text, format) {
+  const { pattern, order } = DATE_FORMATS[format];
+  const match = pattern.exec(text);
+  if (!match) return null;
+
+  const parts = {};
+  order.forEach((part, i) => {
+    parts[part] = Number(match[i + 1]);
+  });
+  const [hour, minute, second, fraction, zone] = match.slice(4);
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  if (date.getUTCMonth() !== parts.month - 1 || date.getUTCDate() !== parts.day) return null;
+  if (hour !== undefined && (Number(hour) > 23 || Number(minute) > 59 || Number(second || 0) > 59)) return null;
+
+  return { ...parts, hour, minute, second, fraction, zone };
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const word = String(value).toLowerCase();
+  if (TRUE_WORDS.includes(word)) return true;
+  if (FALSE_WORDS.includes(word)) return false;
+  return null;
+}
+
+function isTextual(type) {
+  return /CHAR|TEXT|ENUM|\bSET\b/i.test(type);
+}
+
+/**
+ * What is known about one column while records are read
+ */
+class ColumnStats {
+  constructor(name) {
+    this.name = name;
+    this.kinds = new Set(KINDS);
+    this.dateFormats = new Set(Object.keys(DATE_FORMATS));
+    this.present = 0;
+    this.nulls = 0;
+    this.maxLength = 0;
+    this.min = null;
+    this.max = null;
+    this.digits = 0; // before the decimal point
+    this.scale = 0;
+    this.hasTime = false;
+    this.fraction = 0;
+    this.distinct = new Set();
+    this.unique = true;
+  }
+
+  add(value) {
+    this.present++;
+    if (value === null || value === undefined || value === '') {
+      this.nulls++;
+      return;
+    }
+
+    if (typeof value === 'object') {
+      this.kinds = new Set(this.kinds.has('json') ? ['json'] : []);
+      this.maxLength = Math.max(this.maxLength, JSON.stringify(value).length);
+      this.unique = false;
+      return;
+    }
+
+    const text = String(value);
+    this.maxLength = Math.max(this.maxLength, text.length);
+
+    if (this.kinds.has('boolean') && parseBoolean(value) === null) this.kinds.delete('boolean');
+    if (typeof value === 'boolean') {
+      this.keepOnly(['boolean']);
+      return;
+    }
+
+    this.checkNumber(text);
+    this.checkDate(text);
+    if (this.kinds.has('time') && !TIME_ONLY.test(text)) this.kinds.delete('time');
+    if (this.kinds.has('uuid') && !UUID.test(text)) this.kinds.delete('uuid');
+    if (this.kinds.has('json') && !this.isJsonText(text)) this.kinds.delete('json');
+    this.trackUnique(text);
+  }
+
+  keepOnly(kinds) {
+    this.kinds = new Set(kinds.filter(kind => this.kinds.has(kind)));
+  }
+
+  trackUnique(text) {
+    if (!this.unique) return;
+    const keyKind = this.kinds.has('integer') || this.kinds.has('uuid');
+    if (!keyKind || this.distinct.has(text) || this.distinct.size >= MAX_DISTINCT) {
+      this.unique = false;
+      this.distinct = new Set();
+      return;
+    }
+    this.distinct.add(text);
+  }
+
+  checkNumber(text) {
+    if (!this.kinds.has('integer') && !this.kinds.has('decimal') && !this.kinds.has('float')) return;
+
+    // Leading zeros are part of the value, e.g. in zip codes and phone numbers
+    if (LEADING_ZERO.test(text)) {
+      this.kinds.delete('integer');
+      this.kinds.delete('decimal');
+      this.kinds.delete('float');
+      return;
+    }
+
+    if (INTEGER.test(text)) {
+      const number = BigInt(text);
+      if (this.min === null || number < this.min) this.min = number;
+      if (this.max === null || number > this.max) this.max = number;
+      this.digits = Math.max(this.digits, text.replace(/^[-+]/, '').length);
+      return;
+    }
+
+    this.kinds.delete('integer');
+    const decimal = DECIMAL.exec(text);
+    if (decimal) {
+      this.digits = Math.max(this.digits, decimal[1].replace(/^0+/, '').length);
+      this.scale = Math.max(this.scale, decimal[2].length);
+    } else if (FLOAT.test(text)) {
+      this.kinds.delete('decimal');
+    } else {
+      this.kinds.delete('decimal');
+      this.kinds.delete('float');
+    }
+  }
+
+  checkDate(text) {
+    if (!this.kinds.has('date')) return;
+
+    for (const format of this.dateFormats) {
+      const date = parseDate(text, format);
+      if (!date) {
+        this.dateFormats.delete(format);
+        continue;
+      }
+      if (date.hour !== undefined) this.hasTime = true;
+      if (date.fraction) this.fraction = Math.max(this.fraction, date.fraction.length);
+    }
+    if (this.dateFormats.size === 0) this.kinds.delete('date');
+  }
+
+  isJsonText(text) {
+    if (!/^\s*[[{]/.test(text)) return false;
+    try {
+      JSON.parse(text);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * The kind of values the column holds, or text
+   */
+  get kind() {
+    if (this.present === this.nulls) return 'text';
+    return KINDS.find(kind => this.kinds.has(kind)) || 'text';
+  }
+
+  sqlType(kind, dialect) {
+    const types = DIALECT_TYPES[dialect];
+    switch (kind) {
+      case 'boolean':
+        return 'BOOLEAN';
+      case 'integer': {
+        const fit = types.integers.find(({ min, max }) => this.min >= min && this.max <= max);
+        if (fit) return fit.type;
+        return this.digits <= types.maxPrecision ? `DECIMAL(${this.digits},0)` : this.sqlType('text', dialect);
+      }
+      case 'decimal': {
+        const scale = Math.min(this.scale, types.maxScale);
+        const precision = Math.max(this.digits, 1) + scale;
+        return precision > types.maxPrecision ? types.double : `DECIMAL(${precision},${scale})`;
+      }
+      case 'float':
+        return types.double;
+      case 'date':
+        if (!this.hasTime) return 'DATE';
+        return this.fraction > 0 ? `${types.datetime}(${this.fraction})` : types.datetime;
+      case 'time':
+        return 'TIME';
+      case 'uuid':
+        return types.uuid;
+      case 'json':
+        return types.json;
+      default: {
+        if (this.maxLength <= MAX_VARCHAR) return `VARCHAR(${Math.max(this.maxLength, 1)})`;
+        const text = types.texts.find(({ max }) => this.maxLength <= max);
+        return text ? text.type : types.longText;
+      }
+    }
+  }
+}
+
+export class TypeInference {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, string>} [options.overrides] - SQL type by column
+   *   name, used instead of the inferred one
+   * @param {string} [options.dialect] - mysql or postgresql, the SQL dialect
+   *   whose types are chosen
+   */
+  constructor({ overrides = {}, dialect = 'mysql' } = {}) {
+    this.overrides = overrides;
+    this.dialect = dialect;
+    this.columns = new Map(); // name -> ColumnStats, in order of appearance
+    this.records = 0;
+  }
+
+  /**
+   * Take the values of one record into account. Columns may appear in any
+   * record; a column missing from a record counts as null there.
+   * @param {Object} record - Column values by name
+   */
+  add(record) {
+    this.records++;
+    for (const [name, value] of Object.entries(record)) {
+      if (!this.columns.has(name)) {
+        const stats = new ColumnStats(name);
+        // Missing from the records before
+        stats.present = this.records - 1;
+        stats.nulls = this.records - 1;
+        this.columns.set(name, stats);
+      }
+      this.columns.get(name).add(value);
+    }
+    for (const stats of this.columns.values()) {
+      if (stats.present < this.records) {
+        stats.present++;
+        stats.nulls++;
+      }
+    }
+  }
+
+  /**
+   * The inferred columns. A primary key is chosen among the integer and UUID
+   * columns whose values are all present and distinct, preferring one
+   * named id.
+   * @returns {Object<string, { type: string, kind: string, nullable: boolean, primaryKey: boolean,
+   *   candidateKey: boolean, dateFormat: string|null, textual: boolean }>}
+   */
+  result() {
+    const columns = {};
+    for (const [name, stats] of this.columns) {
+      const kind = stats.kind;
+      const override = this.overrides[name];
+      columns[name] = {
+        type: override || stats.sqlType(kind, this.dialect),
+        kind: override ? 'override' : kind,
+        nullable: stats.nulls > 0 || this.records === 0,
+        primaryKey: false,
+        candidateKey: this.records > 1 && stats.nulls === 0 && stats.unique,
+        dateFormat: kind === 'date' ? [...stats.dateFormats][0] : null,
+        textual: override ? isTextual(override) : ['text', 'uuid'].includes(kind)
+      };
+    }
+
+    // An overridden type does not change what the values are
+    const keys = Object.keys(columns).filter(name =>
+      columns[name].candidateKey && ['integer', 'uuid'].includes(this.columns.get(name).kind));
+    const key = keys.find(name => name.toLowerCase() === 'id') || keys[0];
+    if (key) {
+      columns[key].primaryKey = true;
+    }
+    return columns;
+  }
+}
+
+/**
+ * A value as it goes into a column of the inferred type: booleans as 1 and
+ * 0, dates in ISO order and converted to UTC if they had a zone, JSON as text
+ * @param {*} value - Value from the record
+ * @param {Object} column - Column from TypeInference.result()
+ * @returns {string|null} - null for NULL
+ */
+export function sqlValue(value, column) {
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (column.kind) {
+    case 'boolean':
+      return parseBoolean(value) ? '1' : '0';
+    case 'date': {
+      const date = parseDate(String(value), column.dateFormat);
+      if (!date) return String(value);
+      if (date.hour === undefined) return `${pad(date.year, 4)}-${pad(date.month)}-${pad(date.day)}`;
+
+      let time = Date.UTC(date.year, date.month - 1, date.day, Number(date.hour), Number(date.minute), Number(date.second || 0));
+      if (date.zone && date.zone !== 'Z') {
+        const [, sign, hours, minutes] = /([-+])(\d{2}):?(\d{2})/.exec(date.zone);
+        time -= (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60000;
+      }
+      const fraction = date.fraction ? `.${date.fraction}` : '';
+      return `${new Date(time).toISOString().slice(0, 19).replace('T', ' ')}${fraction}`;
+    }
+    default:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+/**
+ * A value as an SQL literal for a column of the inferred type. Booleans are
+ * TRUE and FALSE in PostgreSQL, everything else is a string literal, with
+ * MySQL's backslash escapes or PostgreSQL's standard ones.
+ * @param {*} value - Value from the record
+ * @param {Object} column - Column from TypeInference.result()
+ * @param {string} [dialect] - mysql or postgresql
+ * @returns {string}
+ */
+export function sqlLiteral(value, column, dialect = 'mysql') {
+  const text = sqlValue(value, column);
+  if (text === null) return 'NULL';
+  if (column.kind === 'boolean' && dialect === 'postgresql') return text === '1' ? 'TRUE' : 'FALSE';
+  return dialect === 'postgresql' ? `'${text.replace(/'/g, "''")}'` : encodeMysqlString(text);
+}
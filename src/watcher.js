@@ -1,44 +1,295 @@
 import chokidar from 'chokidar';
+import fs from 'fs/promises';
 import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
 import logger from './utils/logger.js';
-import config from './utils/config.js';
+import config, { SIDECAR_EXTENSIONS } from './utils/config.js';
+import { Ledger, LEDGER_FILE } from './utils/ledger.js';
+import { InputArchive, isTransientError } from './utils/input-archive.js';
+import { JobQueue, JobCancelledError } from './utils/job-queue.js';
+
+// Schema files are converted before data files, so tables exist before their rows
+const PRIORITY = { schema: 0, data: 1 };
+const SCHEMA_NAME = /(^|[^a-z])(schema|structure|ddl)([^a-z]|$)/i;
+const SNIFF_BYTES = 64 * 1024;
+
+const MERGE_JOB = 'merge';
+
+/**
+ * Whether a file holds table definitions rather than rows: a SQL file named
+ * like one (schema.sql, shop_structure.sql) or without INSERTs near its start
+ */
+async function isSchemaFile(filePath) {
+  if (path.extname(filePath).toLowerCase() !== '.sql') return false;
+  if (SCHEMA_NAME.test(path.basename(filePath, path.extname(filePath)))) return true;
+
+  const handle = await fs.open(filePath);
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    const text = buffer.toString('latin1', 0, bytesRead);
+    return /\bCREATE\s+TABLE\b/i.test(text) && !/\bINSERT\s+INTO\b/i.test(text);
+  } finally {
+    await handle.close();
+  }
+}
 
 class FileWatcher {
   constructor() {
-    this.config = config.getConfig();
+    this.config = null;
     this.watcher = null;
-    this.processors = new Map();
+    this.queue = null;
+    this.ledger = null;
+    this.inputArchive = null;
+    this.processors = new Map(); // extension -> processor class
+    this.pendingMerge = new Set();
+    this.mergeTimer = null;
+    this.merging = Promise.resolve();
   }
 
-  registerProcessor(extension, processor) {
-    this.processors.set(extension.toLowerCase(), processor);
+  /**
+   * Register the processor class for a file extension. Every conversion
+   * gets its own instance, so no state is shared between files.
+   * @param {string} extension - File extension with the dot
+   * @param {typeof BaseProcessor} Processor - Processor class
+   */
+  registerProcessor(extension, Processor) {
+    this.processors.set(extension.toLowerCase(), Processor);
     logger.info(`Registered processor for ${extension} files`);
   }
 
+  /**
+   * Whether a processor is registered for a file's extension
+   * @param {string} filePath - File name or path
+   * @returns {boolean}
+   */
+  hasProcessor(filePath) {
+    return this.processors.has(path.extname(filePath).toLowerCase());
+  }
+
   async handleFile(filePath) {
     try {
       const extension = path.extname(filePath).toLowerCase();
-      const processor = this.processors.get(extension);
+      const Processor = this.processors.get(extension);
+
+      if (config.isConfigFile(filePath)) {
+        logger.debug(`Skipping config file ${filePath}`);
+        return;
+      }
 
-      if (!processor) {
+      if (!Processor) {
         logger.warn(`No processor registered for ${extension} files. Skipping ${filePath}`);
         return;
       }
 
-      logger.info(`Processing file: ${filePath}`);
-      await processor.process(filePath);
-      logger.info(`Successfully processed file: ${filePath}`);
+      // In merge mode SQL dumps are collected and merged as one batch
+      if (this.config.mergeSql && Processor.prototype.processBatch) {
+        this.queueForMerge(filePath, Processor);
+        return;
+      }
+
+      const priority = await this.priorityOf(filePath);
+      const converted = await this.queue.add(filePath, signal => {
+        logger.info(`Processing file: ${filePath}`);
+        const processor = new Processor({ signal });
+        return this.convertInputs([filePath], () => processor.process(filePath));
+      }, { priority });
+
+      if (converted) {
+        logger.info(`Successfully processed file: ${filePath}`);
+      }
     } catch (error) {
+      if (error instanceof JobCancelledError) {
+        logger.info(`Not converting ${filePath}: ${error.message}`);
+        return;
+      }
       logger.error(`Error processing file ${filePath}:`, error);
     }
   }
 
+  /**
+   * Convert a file from outside the input directory, e.g. one uploaded to
+   * the HTTP API, with the same processors, queue and retries as watched
+   * files. The input stays where it is and the ledger is not used.
+   * @param {string} id - Job id, distinct from input paths
+   * @param {string} filePath - Input file
+   * @param {Object} options
+   * @param {string} options.exportDir - Directory for the outputs
+   * @param {Function} [options.onStart] - Gets the processor when an attempt starts
+   * @returns {Promise<string[]>} - Paths of the outputs
+   * @throws {JobCancelledError} - When the job is cancelled
+   */
+  async submit(id, filePath, { exportDir, onStart }) {
+    const Processor = this.processors.get(path.extname(filePath).toLowerCase());
+    if (!Processor) {
+      throw new Error(`No processor registered for ${path.extname(filePath) || 'extensionless'} files`);
+    }
+
+    const priority = await this.priorityOf(filePath);
+    return this.queue.add(id, signal => this.retry(() => {
+      const processor = new Processor({ signal, exportDir });
+      if (onStart) {
+        onStart(processor);
+      }
+      return processor.process(filePath);
+    }), { priority });
+  }
+
+  /**
+   * Queue position class of a file, from PRIORITY
+   */
+  async priorityOf(filePath) {
+    try {
+      return await isSchemaFile(filePath) ? PRIORITY.schema : PRIORITY.data;
+    } catch {
+      // The conversion will report why the file cannot be read
+      return PRIORITY.data;
+    }
+  }
+
+  /**
+   * Cancel the conversion of a file, whether it is waiting or running
+   * @param {string} filePath - Input file
+   * @returns {boolean} - Whether there was a conversion to cancel
+   */
+  cancel(filePath) {
+    const merging = this.pendingMerge.delete(filePath);
+    return (this.queue !== null && this.queue.cancel(filePath)) || merging;
+  }
+
+  /**
+   * Add a file to the next merge batch. The batch is written once no new
+   * file has arrived for the configured wait time.
+   */
+  queueForMerge(filePath, Processor) {
+    this.pendingMerge.add(filePath);
+    logger.info(`Queued ${filePath} for merging (${this.pendingMerge.size} file(s) pending)`);
+
+    clearTimeout(this.mergeTimer);
+    this.mergeTimer = setTimeout(() => {
+      this.mergeTimer = null;
+      // Batches run one after another; files arriving meanwhile form the next one
+      this.merging = this.merging.then(() => this.processMerge(Processor));
+    }, this.config.mergeWait * 1000);
+  }
+
+  async processMerge(Processor) {
+    const files = [...this.pendingMerge].sort();
+    this.pendingMerge.clear();
+    if (files.length === 0) return;
+
+    try {
+      const converted = await this.queue.add(MERGE_JOB, signal => {
+        const processor = new Processor({ signal });
+        return this.convertInputs(files, () => processor.processBatch(files));
+      });
+
+      if (converted) {
+        logger.info(`Successfully merged ${files.length} file(s)`);
+      }
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        logger.info(`Not merging ${files.join(', ')}: ${error.message}`);
+        return;
+      }
+      logger.error(`Error merging files ${files.join(', ')}:`, error);
+    }
+  }
+
+  /**
+   * Convert inputs unless the ledger says it was done already, retrying
+   * transient failures. Afterwards failed inputs are moved to the failed
+   * directory and, if configured, converted ones to the archive directory.
+   * @param {string[]} filePaths - Inputs, converted together
+   * @param {Function} run - Runs the conversion, resolving to the output paths
+   * @returns {Promise<boolean>} - Whether a conversion ran
+   */
+  async convertInputs(filePaths, run) {
+    let options = this.config;
+    let converted;
+
+    try {
+      // Sidecar configs only apply to a file converted on its own
+      if (filePaths.length === 1) {
+        options = await config.forFile(filePaths[0]);
+      }
+
+      converted = await this.retry(async () => {
+        const key = await this.ledgerKey(filePaths, options);
+        if (key && await this.ledger.lookup(key)) {
+          logger.info(`Skipping ${filePaths.join(', ')}, already converted with the same settings`);
+          return false;
+        }
+
+        const outputs = await run();
+        if (key) {
+          await this.ledger.record(key, filePaths, outputs);
+        }
+        return true;
+      });
+    } catch (error) {
+      if (error instanceof JobCancelledError) throw error;
+      await this.inputArchive.moveToFailed(filePaths, error, {
+        attempts: error.attempts || 1,
+        config: config.describe(options)
+      });
+      throw error;
+    }
+
+    if (this.config.archive) {
+      await this.inputArchive.moveToArchive(filePaths);
+    }
+    return converted;
+  }
+
+  /**
+   * Run work, trying again after failures that may be transient, e.g. a
+   * file that is still locked. The delay doubles with each retry. The error
+   * that ends the retries is given the number of attempts as error.attempts.
+   */
+  async retry(work) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await work();
+      } catch (error) {
+        if (attempt > this.config.retries || !isTransientError(error)) {
+          error.attempts = attempt;
+          throw error;
+        }
+        const delay = this.config.retryDelay * 2 ** (attempt - 1);
+        logger.warn(`Attempt ${attempt} failed: ${error.message}. Retrying in ${delay}s`);
+        await sleep(delay * 1000);
+      }
+    }
+  }
+
+  /**
+   * Ledger key for converting files with a configuration, or null when the
+   * ledger is switched off
+   */
+  async ledgerKey(filePaths, options) {
+    if (!this.ledger) return null;
+    return this.ledger.key(filePaths, config.fingerprint(options));
+  }
+
   async start() {
     try {
+      this.config = config.getConfig();
+      await fs.mkdir(this.config.exportDir, { recursive: true });
+      this.queue = new JobQueue(this.config.workers);
+      this.inputArchive = new InputArchive({
+        failedDir: this.config.failedDir,
+        archiveDir: this.config.archiveDir,
+        sidecarExtensions: SIDECAR_EXTENSIONS
+      });
+      if (this.config.ledger) {
+        this.ledger = new Ledger(path.join(this.config.exportDir, LEDGER_FILE));
+        await this.ledger.load();
+      }
       logger.info(`Starting file watcher on ${this.config.inputDir}`);
 
       this.watcher = chokidar.watch(this.config.inputDir, {
-        ignored: /(^|[\/\\])\../, // ignore dotfiles
+        // Ignore dotfiles and the inputs already moved out of the way
+        ignored: [/(^|[\/\\])\../, filePath => this.inputArchive.contains(filePath)],
         persistent: true,
         awaitWriteFinish: {
           stabilityThreshold: 2000,
@@ -57,6 +308,9 @@ class FileWatcher {
         })
         .on('unlink', (filePath) => {
           logger.info(`File removed: ${filePath}`);
+          if (this.cancel(filePath)) {
+            logger.info(`Cancelled conversion of ${filePath}`);
+          }
         })
         .on('error', (error) => {
           logger.error('Watcher error:', error);
@@ -69,9 +323,20 @@ class FileWatcher {
     }
   }
 
+  /**
+   * Stop watching and let running conversions finish. Waiting ones are
+   * dropped; the ledger skips what was finished when the watcher starts again.
+   */
   async stop() {
     if (this.watcher) {
       await this.watcher.close();
+    }
+    clearTimeout(this.mergeTimer);
+    if (this.queue) {
+      await this.queue.drain();
+    }
+    await this.merging;
+    if (this.watcher) {
       logger.info('File watcher stopped');
     }
   }
@@ -0,0 +1,46 @@
+import { describeCsvDialect, detectCsvDialect } from '../src/utils/csv-dialect.js';
+
+function detect(sample, options = {}) {
+  const { detected, ...dialect } = detectCsvDialect(sample, { complete: true, ...options });
+  return dialect;
+}
+
+describe('detectCsvDialect', () => {
+  test('finds the delimiter and quote', () => {
+    expect(detect('id,name,joined\n1,Ann,2024-01-31\n2,"Smith, Bob",2024-02-01\n'))
+      .toEqual({ delimiter: ',', quote: '"', escape: '"', lineEnding: 'lf', header: true });
+    expect(detect('id;name;price\r\n1;Ann;1,5\r\n2;Bob;2,25\r\n'))
+      .toMatchObject({ delimiter: ';', lineEnding: 'crlf' });
+    expect(detect('a\tb\tc\n1\t2\t3\n4\t5\t6\n')).toMatchObject({ delimiter: '\t' });
+    expect(detect("1|'x|y'|3\n4|'z'|6\n")).toMatchObject({ delimiter: '|', quote: "'" });
+  });
+
+  test('tells backslash escapes from doubled quotes', () => {
+    expect(detect('id,text\n1,"say \\"hi\\""\n2,"plain"\n').escape).toBe('\\');
+    expect(detect('id,text\n1,"say ""hi"""\n2,"plain"\n').escape).toBe('"');
+  });
+
+  test('detects whether the first row is a header', () => {
+    expect(detect('id,name,joined\n1,Ann,2024-01-31\n2,Bob,2024-02-01\n').header).toBe(true);
+    expect(detect('1,Ann,2024-01-31\n2,Bob,2024-02-01\n').header).toBe(false);
+  });
+
+  test('keeps configured settings and names the detected ones', () => {
+    const dialect = detectCsvDialect('1,Ann\n2,Bob\n', { delimiter: 'semicolon', header: 'yes', complete: true });
+    expect(dialect).toMatchObject({ delimiter: ';', header: true });
+    expect(dialect.detected).toEqual(['quote', 'escape', 'lineEnding']);
+  });
+
+  test('falls back to the configured delimiter for a single column', () => {
+    expect(detect('name\nAnn\nBob\n', { fallbackDelimiter: '\t' }).delimiter).toBe('\t');
+  });
+});
+
+describe('describeCsvDialect', () => {
+  test('describes a dialect in words', () => {
+    expect(describeCsvDialect(detect('id,text\n1,"say \\"hi\\""\n2,"plain"\n')))
+      .toBe('delimiter comma, quote double-quote, escape backslash, header row, LF line endings');
+    expect(describeCsvDialect({ delimiter: '|', quote: false, escape: '\\', header: false, lineEnding: 'crlf' }))
+      .toBe('delimiter pipe, no quoting, no header row, CRLF line endings');
+  });
+});
@@ -0,0 +1,105 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mysql from 'mysql2/promise';
+import pg from 'pg';
+
+// The configuration reads the command line when it is first used
+process.argv = process.argv.slice(0, 2);
+const { default: config } = await import('../src/utils/config.js');
+const { CsvProcessor } = await import('../src/processors/csv-processor.js');
+
+const CSV = [
+  'id,name,active,joined,score',
+  '1,Ann,yes,2024-01-31 10:30:00,1.5',
+  "2,O'Brien \\ Sons,no,2024-02-01 08:00:00,2e3",
+  ''
+].join('\n');
+
+/**
+ * Replace the database drivers with fakes that record every statement
+ */
+function fakeDrivers() {
+  const originals = {
+    createConnection: mysql.createConnection,
+    connect: pg.Client.prototype.connect,
+    query: pg.Client.prototype.query,
+    end: pg.Client.prototype.end
+  };
+  const statements = [];
+
+  mysql.createConnection = async () => ({
+    query: async sql => {
+      statements.push(sql);
+      return /^SELECT DATABASE\(\)/.test(sql) ? [[{ database: 'shop' }]] : [[]];
+    },
+    end: async () => {}
+  });
+  pg.Client.prototype.connect = async function () {};
+  pg.Client.prototype.query = async function (sql) {
+    statements.push(sql);
+    return { rows: [] };
+  };
+  pg.Client.prototype.end = async function () {};
+
+  const restore = () => {
+    mysql.createConnection = originals.createConnection;
+    Object.assign(pg.Client.prototype, { connect: originals.connect, query: originals.query, end: originals.end });
+  };
+  return { statements, restore };
+}
+
+describe('loading CSV input into a target', () => {
+  let dir;
+  let drivers;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'db-blender-test-'));
+    await fs.writeFile(path.join(dir, 'people.csv'), CSV);
+    drivers = fakeDrivers();
+  });
+
+  afterEach(async () => {
+    drivers.restore();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function load(dialect) {
+    config.override({ target: `${dialect}://user:secret@localhost/shop`, outputFormat: dialect });
+    await new CsvProcessor({ exportDir: dir }).process(path.join(dir, 'people.csv'));
+    const text = drivers.statements.join(';\n');
+    return {
+      create: drivers.statements.find(sql => /^\s*(?:--[^\n]*\n)*CREATE TABLE/.test(sql)),
+      insert: drivers.statements.find(sql => /^INSERT/.test(sql)),
+      text
+    };
+  }
+
+  test('loads MySQL statements into MySQL', async () => {
+    const { create, insert } = await load('mysql');
+
+    expect(create).toContain('CREATE TABLE `people`');
+    expect(create).toContain('`id` TINYINT NOT NULL');
+    expect(create).toContain('`name` VARCHAR(14) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci NOT NULL');
+    expect(create).toContain('`joined` DATETIME NOT NULL');
+    expect(insert).toContain("('1', 'Ann', '1', '2024-01-31 10:30:00', '1.5')");
+    expect(insert).toContain("('2', 'O\\'Brien \\\\ Sons', '0', '2024-02-01 08:00:00', '2e3')");
+  });
+
+  test('loads PostgreSQL statements into PostgreSQL', async () => {
+    const { create, insert, text } = await load('postgresql');
+
+    expect(create).toContain('CREATE TABLE "people"');
+    expect(create).toContain('"id" SMALLINT NOT NULL');
+    expect(create).toContain('"name" VARCHAR(14) NOT NULL');
+    expect(create).toContain('"active" BOOLEAN NOT NULL');
+    expect(create).toContain('"joined" TIMESTAMP NOT NULL');
+    expect(create).toContain('"score" DOUBLE PRECISION NOT NULL');
+    expect(create).toContain('PRIMARY KEY ("id")');
+    expect(insert).toContain("('1', 'Ann', TRUE, '2024-01-31 10:30:00', '1.5')");
+    expect(insert).toContain("('2', 'O''Brien \\ Sons', FALSE, '2024-02-01 08:00:00', '2e3')");
+
+    // Nothing MySQL-only reaches PostgreSQL
+    expect(text).not.toMatch(/`|FOREIGN_KEY_CHECKS|CHARACTER SET|COLLATE|TINYINT|DATETIME/);
+  });
+});
@@ -0,0 +1,69 @@
+import iconv from 'iconv-lite';
+import { countMojibake, decode, detectEncoding, repairMojibake, resolveCharset } from '../src/utils/encoding.js';
+
+describe('detectEncoding', () => {
+  test('trusts a byte order mark', () => {
+    expect(detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x41]))).toEqual({ encoding: 'utf8', confidence: 1, source: 'bom' });
+    expect(detectEncoding(Buffer.from([0xff, 0xfe, 0x41, 0x00])).encoding).toBe('utf16-le');
+  });
+
+  test('takes plain ASCII as UTF-8', () => {
+    expect(detectEncoding(Buffer.from('SELECT 1;'))).toEqual({ encoding: 'utf8', confidence: 1, source: 'ascii' });
+  });
+
+  test('recognizes valid UTF-8', () => {
+    const result = detectEncoding(Buffer.from("INSERT INTO t VALUES ('café', 'naïve', 'Zürich');"));
+    expect(result).toMatchObject({ encoding: 'utf8', source: 'heuristic' });
+    expect(result.confidence).toBeGreaterThan(0.75);
+
+    const declared = detectEncoding(Buffer.from("SET NAMES utf8mb4;\nINSERT INTO t VALUES ('café');"));
+    expect(declared).toEqual({ encoding: 'utf8', confidence: 1, source: 'declaration' });
+  });
+
+  test('tells Windows-1252 from ISO-8859-1 by the C1 range', () => {
+    expect(detectEncoding(iconv.encode("INSERT INTO t VALUES ('café');", 'latin1')))
+      .toMatchObject({ encoding: 'latin1', source: 'heuristic' });
+    expect(detectEncoding(iconv.encode("INSERT INTO t VALUES ('café – €5');", 'cp1252')))
+      .toMatchObject({ encoding: 'cp1252', source: 'heuristic' });
+  });
+
+  test('follows a declared single-byte charset', () => {
+    const sample = iconv.encode("SET NAMES latin2;\nINSERT INTO t VALUES ('Łódź');", 'iso-8859-2');
+    expect(detectEncoding(sample)).toEqual({ encoding: 'iso-8859-2', confidence: 0.95, source: 'declaration' });
+  });
+});
+
+describe('resolveCharset', () => {
+  test('maps MySQL charset names to iconv encodings', () => {
+    expect(resolveCharset('utf8mb4')).toBe('utf8');
+    expect(resolveCharset('LATIN1')).toBe('cp1252');
+    expect(resolveCharset('shift_jis')).toBe('shift_jis');
+    expect(() => resolveCharset('klingon')).toThrow('Unsupported encoding: klingon');
+  });
+});
+
+describe('mojibake repair', () => {
+  test('repairs UTF-8 read as Windows-1252', () => {
+    const garbled = iconv.decode(Buffer.from('café – naïve ‘quotes’'), 'cp1252');
+    expect(countMojibake(garbled)).toBe(5);
+    expect(repairMojibake(garbled)).toEqual({ text: 'café – naïve ‘quotes’', repaired: 5 });
+  });
+
+  test('repairs text encoded twice one layer per pass', () => {
+    const once = iconv.decode(Buffer.from('Zürich'), 'cp1252');
+    const twice = iconv.decode(Buffer.from(once), 'cp1252');
+    // ZÃƒÂ¼rich: Ãƒ and Â¼ in the first pass, Ã¼ in the second
+    expect(repairMojibake(twice)).toEqual({ text: 'Zürich', repaired: 3 });
+  });
+
+  test('leaves correct text alone', () => {
+    expect(countMojibake('café, Zürich, Łódź')).toBe(0);
+    expect(repairMojibake('café, Zürich, Łódź')).toEqual({ text: 'café, Zürich, Łódź', repaired: 0 });
+  });
+});
+
+describe('decode', () => {
+  test('strips a byte order mark', () => {
+    expect(decode(Buffer.from([0xef, 0xbb, 0xbf, 0x63, 0x61, 0x66, 0xc3, 0xa9]), 'utf8')).toBe('café');
+  });
+});
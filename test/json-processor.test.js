@@ -0,0 +1,89 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The configuration reads the command line when it is first used
+process.argv = process.argv.slice(0, 2);
+const { default: config } = await import('../src/utils/config.js');
+const { JsonProcessor } = await import('../src/processors/json-processor.js');
+
+const DOCUMENTS = [
+  { id: 1, name: 'Ann', roles: ['admin', 'dev'], orders: [{ sku: 'A1', lines: [{ qty: 1 }, { qty: 2 }] }] },
+  { id: 2, name: 'Bob', roles: [], orders: [{ sku: 'B2', lines: [] }, { sku: 'C3', lines: [{ qty: 5 }] }] }
+];
+
+describe('JsonProcessor with nested arrays as tables', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'db-blender-test-'));
+    await fs.writeFile(path.join(dir, 'users.json'), JSON.stringify(DOCUMENTS));
+    config.override({ jsonArrays: 'tables', outputFormat: 'csv', outputNaming: 'stable', report: false, doneMarkers: false });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('reads the file once and writes every table', async () => {
+    const processor = new JsonProcessor({ exportDir: dir });
+    await processor.process(path.join(dir, 'users.json'));
+    expect(processor.passes).toBe(1);
+
+    const read = name => fs.readFile(path.join(dir, `${name}_converted.csv`), 'utf8');
+    expect((await read('users')).trim().split('\n')).toEqual([
+      '"users_key","id","name"',
+      '1,1,"Ann"',
+      '2,2,"Bob"'
+    ]);
+    expect((await read('users_roles')).trim().split('\n')).toEqual([
+      '"users_key","position","value"',
+      '1,0,"admin"',
+      '1,1,"dev"'
+    ]);
+    expect((await read('users_orders_lines')).trim().split('\n')).toEqual([
+      '"users_orders_lines_key","users_orders_key","position","qty"',
+      '1,1,0,1',
+      '2,1,1,2',
+      '3,3,0,5'
+    ]);
+  });
+});
+
+describe('JsonProcessor with collections', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'db-blender-test-'));
+    await fs.writeFile(path.join(dir, 'backup.json'), JSON.stringify({
+      version: 3,
+      users: [{ id: 1 }, { id: 2 }],
+      tags: ['a', 'b'],
+      orders: [{ id: 9 }]
+    }));
+    config.override({ jsonCollections: true, outputFormat: 'csv', outputNaming: 'stable', report: true, doneMarkers: false });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('warns about keys that hold no array of objects and reports them', async () => {
+    const processor = new JsonProcessor({ exportDir: dir });
+    await processor.process(path.join(dir, 'backup.json'));
+
+    expect((await fs.readdir(dir)).sort()).toEqual([
+      'backup.json',
+      'backup_converted.report.json',
+      'backup_orders_converted.csv',
+      'backup_users_converted.csv'
+    ]);
+    const report = JSON.parse(await fs.readFile(path.join(dir, 'backup_converted.report.json'), 'utf8'));
+    expect(report.status).toBe('warnings');
+    expect(report.leftOutKeys).toEqual(['version', 'tags']);
+    expect(report.warnings).toEqual([{
+      level: 'warn',
+      message: 'Left out top-level keys of backup.json that hold no array of objects: version, tags'
+    }]);
+  });
+});
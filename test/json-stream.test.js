@@ -0,0 +1,83 @@
+import { JsonLineSplitter, JsonValueSplitter } from '../src/utils/json-stream.js';
+
+const ARRAY = '[\n  {"id": 1, "name": "a \\"quoted\\" ]}"},\n  {"id": 2,\n   "tags": ["x", {"y": [1]}]},\n  3, true, null, "s"\n]\n';
+
+const COLLECTIONS = '{\n "users": [{"id": 1}, {"id": 2}],\n "meta": {"v": 1},\n "count": 2,\n "orders": [\n  {"id": 9}\n ]\n}\n';
+
+const LINES = '{"a":1}\n\n{"b":2}\r\n  \n{"c":3}';
+
+/**
+ * Feed text to a splitter in chunks of the given size
+ */
+function split(splitter, text, size = text.length) {
+  const values = [];
+  for (let i = 0; i < text.length; i += size) {
+    values.push(...splitter.push(text.slice(i, i + size)));
+  }
+  values.push(...splitter.end());
+  return values;
+}
+
+describe('JsonValueSplitter', () => {
+  test('splits a top-level array into its elements with their lines', () => {
+    expect(split(new JsonValueSplitter(), ARRAY)).toEqual([
+      { text: '{"id": 1, "name": "a \\"quoted\\" ]}"}', line: 2, collection: null },
+      { text: '{"id": 2,\n   "tags": ["x", {"y": [1]}]}', line: 3, collection: null },
+      { text: '3', line: 5, collection: null },
+      { text: 'true', line: 5, collection: null },
+      { text: 'null', line: 5, collection: null },
+      { text: '"s"', line: 5, collection: null }
+    ]);
+  });
+
+  test('takes values one after the other as documents', () => {
+    expect(split(new JsonValueSplitter(), '{"a":1}\n{"b":\n2}')).toEqual([
+      { text: '{"a":1}', line: 1, collection: null },
+      { text: '{"b":\n2}', line: 2, collection: null }
+    ]);
+  });
+
+  test('takes a top-level object apart into collections', () => {
+    expect(split(new JsonValueSplitter({ collections: true }), COLLECTIONS)).toEqual([
+      { text: '{"id": 1}', line: 2, collection: 'users' },
+      { text: '{"id": 2}', line: 2, collection: 'users' },
+      { text: '{"v": 1}', line: 3, collection: null, key: 'meta' },
+      { text: '2', line: 4, collection: null, key: 'count' },
+      { text: '{"id": 9}', line: 6, collection: 'orders' }
+    ]);
+  });
+
+  test('gives the same documents for any chunk size', () => {
+    const whole = split(new JsonValueSplitter(), ARRAY);
+    const collections = split(new JsonValueSplitter({ collections: true }), COLLECTIONS);
+    for (let size = 1; size <= 8; size++) {
+      expect(split(new JsonValueSplitter(), ARRAY, size)).toEqual(whole);
+      expect(split(new JsonValueSplitter({ collections: true }), COLLECTIONS, size)).toEqual(collections);
+    }
+  });
+
+  test('reports an array cut off by the end of the file', () => {
+    expect(split(new JsonValueSplitter(), '[{"a":1},\n{"b":')).toEqual([
+      { text: '{"a":1}', line: 1, collection: null },
+      { text: '{"b":', line: 2, collection: null },
+      { text: null, line: 2, collection: null, error: 'Unexpected end of input, the top-level array is not closed' }
+    ]);
+  });
+});
+
+describe('JsonLineSplitter', () => {
+  test('splits lines and leaves out blank ones', () => {
+    expect(split(new JsonLineSplitter(), LINES)).toEqual([
+      { text: '{"a":1}', line: 1, collection: null },
+      { text: '{"b":2}\r', line: 3, collection: null },
+      { text: '{"c":3}', line: 5, collection: null }
+    ]);
+  });
+
+  test('gives the same lines for any chunk size', () => {
+    const whole = split(new JsonLineSplitter(), LINES);
+    for (let size = 1; size <= 4; size++) {
+      expect(split(new JsonLineSplitter(), LINES, size)).toEqual(whole);
+    }
+  });
+});
@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Ledger } from '../src/utils/ledger.js';
+
+describe('Ledger', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'db-blender-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('keys same-content files with different names apart', async () => {
+    const first = path.join(dir, 'first.sql');
+    const second = path.join(dir, 'second.sql');
+    await fs.writeFile(first, 'INSERT INTO t VALUES (1);\n');
+    await fs.writeFile(second, 'INSERT INTO t VALUES (1);\n');
+
+    const ledger = new Ledger(path.join(dir, 'ledger.json'));
+    const firstKey = await ledger.key([first], 'options');
+    const secondKey = await ledger.key([second], 'options');
+    expect(firstKey).not.toBe(secondKey);
+
+    const output = path.join(dir, 'first.out.sql');
+    await fs.writeFile(output, '');
+    await ledger.record(firstKey, [first], [output]);
+    expect(await ledger.lookup(firstKey)).not.toBeNull();
+    expect(await ledger.lookup(secondKey)).toBeNull();
+  });
+
+  test('keys the same file alike', async () => {
+    const input = path.join(dir, 'dump.sql');
+    await fs.writeFile(input, 'SELECT 1;\n');
+
+    const ledger = new Ledger(path.join(dir, 'ledger.json'));
+    expect(await ledger.key([input], 'options')).toBe(await ledger.key([input], 'options'));
+    expect(await ledger.key([input], 'options')).not.toBe(await ledger.key([input], 'other'));
+  });
+
+  test('keeps entries across loads', async () => {
+    const input = path.join(dir, 'dump.sql');
+    const output = path.join(dir, 'dump.out.sql');
+    await fs.writeFile(input, 'SELECT 1;\n');
+    await fs.writeFile(output, '');
+
+    const ledger = new Ledger(path.join(dir, 'ledger.json'));
+    const key = await ledger.key([input], 'options');
+    await ledger.record(key, [input], [output]);
+
+    const reloaded = new Ledger(path.join(dir, 'ledger.json'));
+    await reloaded.load();
+    expect(await reloaded.lookup(key)).not.toBeNull();
+
+    await fs.rm(output);
+    expect(await reloaded.lookup(key)).toBeNull();
+  });
+});
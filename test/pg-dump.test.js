@@ -0,0 +1,159 @@
+// The configuration reads the command line when it is first used
+process.argv = process.argv.slice(0, 2);
+const { PgDumpSplitter, PgDumpReader, parseCopyRow } = await import('../src/utils/pg-dump.js');
+
+const DUMP = `--
+-- PostgreSQL database dump
+--
+SET standard_conforming_strings = on;
+/* outer /* nested; */ still; */
+CREATE TYPE public.mood AS ENUM ('sad', 'it''s ok');
+CREATE FUNCTION public.touch() RETURNS trigger AS $body$ BEGIN RAISE 'a;b'; END; $body$ LANGUAGE plpgsql;
+CREATE TABLE public.users (
+    id integer NOT NULL,
+    name text DEFAULT E'it\\'s; fine',
+    mood public.mood
+);
+CREATE SEQUENCE public.users_id_seq START WITH 1 INCREMENT BY 1;
+ALTER SEQUENCE public.users_id_seq OWNED BY public.users.id;
+ALTER TABLE ONLY public.users ALTER COLUMN id SET DEFAULT nextval('public.users_id_seq'::regclass);
+CREATE TABLE public.orders (
+    id bigint NOT NULL,
+    user_id integer,
+    total numeric(10,2)
+);
+ALTER TABLE public.orders ALTER COLUMN id ADD GENERATED BY DEFAULT AS IDENTITY (
+    SEQUENCE NAME public.orders_id_seq
+);
+\\connect shop
+COPY public.users (id, name, mood) FROM stdin;
+1\tAnn; Bob\tsad
+2\t\\N\tit's ok
+\\.
+SELECT pg_catalog.setval('public.users_id_seq', 2, true);
+SELECT pg_catalog.setval('public.orders_id_seq', 41, false);
+ALTER TABLE ONLY public.users ADD CONSTRAINT users_pkey PRIMARY KEY (id);
+ALTER TABLE ONLY public.orders ADD CONSTRAINT orders_pkey PRIMARY KEY (id);
+CREATE INDEX orders_user_id_idx ON public.orders USING btree (user_id);
+CREATE INDEX orders_total_idx ON public.orders USING btree (lower(total::text));
+ALTER TABLE ONLY public.orders ADD CONSTRAINT orders_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id) ON DELETE CASCADE;
+`;
+
+/**
+ * Split the dump in chunks of the given size, with the rows of one COPY
+ * gathered into one item
+ */
+function split(size) {
+  const splitter = new PgDumpSplitter();
+  const items = [];
+  for (let i = 0; i < DUMP.length; i += size) {
+    items.push(...splitter.push(DUMP.slice(i, i + size)));
+  }
+  items.push(...splitter.end());
+
+  const merged = [];
+  for (const item of items) {
+    const last = merged[merged.length - 1];
+    if (item.type === 'rows' && last && last.type === 'rows') {
+      last.rows.push(...item.rows);
+    } else {
+      merged.push(item.type === 'rows' ? { type: 'rows', rows: [...item.rows] } : item);
+    }
+  }
+  return merged;
+}
+
+async function* chunks() {
+  yield DUMP;
+}
+
+describe('PgDumpSplitter', () => {
+  test('splits statements and COPY rows', () => {
+    const items = split(DUMP.length);
+    const statements = items.filter(item => item.type === 'statement').map(item => item.text);
+
+    expect(statements[0]).toBe('SET standard_conforming_strings = on');
+    expect(statements[1]).toBe("CREATE TYPE public.mood AS ENUM ('sad', 'it''s ok')");
+    expect(statements[2]).toBe("CREATE FUNCTION public.touch() RETURNS trigger AS $body$ BEGIN RAISE 'a;b'; END; $body$ LANGUAGE plpgsql");
+    expect(statements[3]).toContain("name text DEFAULT E'it\\'s; fine',");
+    expect(statements).toContain('COPY public.users (id, name, mood) FROM stdin');
+    expect(statements.some(statement => statement.includes('connect'))).toBe(false);
+    expect(statements).toHaveLength(17);
+    expect(items.find(item => item.type === 'rows').rows).toEqual(['1\tAnn; Bob\tsad', '2\t\\N\tit\'s ok']);
+  });
+
+  test('gives the same result for any chunk size', () => {
+    const whole = split(DUMP.length);
+    for (let size = 1; size <= 16; size++) {
+      expect(split(size)).toEqual(whole);
+    }
+  });
+
+  test('marks COPY data cut off by the end of the file', () => {
+    const splitter = new PgDumpSplitter();
+    const items = [...splitter.push('COPY t (a) FROM stdin;\n1\n2'), ...splitter.end()];
+    expect(items).toEqual([
+      { type: 'statement', text: 'COPY t (a) FROM stdin' },
+      { type: 'rows', rows: ['1'] },
+      { type: 'rows', rows: ['2'] },
+      { type: 'rows', rows: [], truncated: true }
+    ]);
+  });
+});
+
+describe('parseCopyRow', () => {
+  test('decodes NULL and backslash escapes', () => {
+    expect(parseCopyRow('a\\\\b\t\\N\t\\x41\\101\\tz\t\\\\N\t')).toEqual(['a\\b', null, 'AA\tz', '\\N', '']);
+    expect(parseCopyRow('line\\nbreak\\r\t\\0\t\\q')).toEqual(['line\nbreak\r', '\0', 'q']);
+  });
+});
+
+describe('PgDumpReader', () => {
+  test('finishes the schema with keys, indexes and counters', async () => {
+    const reader = new PgDumpReader();
+    await reader.readSchema(chunks());
+    const users = reader.tables.get('public.users');
+    const orders = reader.tables.get('public.orders');
+
+    // serial through nextval() and identity columns
+    expect(users.columns.map(column => [column.name, column.type, column.autoIncrement])).toEqual([
+      ['id', 'INT', true],
+      ['name', 'LONGTEXT', false],
+      ['mood', "ENUM('sad','it\\'s ok')", false]
+    ]);
+    expect(orders.columns[0]).toMatchObject({ name: 'id', type: 'BIGINT', autoIncrement: true });
+
+    // setval(..., true) continues after the value, setval(..., false) at it
+    expect(users.options).toBe('AUTO_INCREMENT=3');
+    expect(orders.options).toBe('AUTO_INCREMENT=41');
+
+    // Keys and indexes that come after the data; the expression index is left out
+    expect(users.primaryKey).toEqual(['id']);
+    expect(orders.primaryKey).toEqual(['id']);
+    expect(orders.indexes).toEqual([{ name: 'orders_user_id_idx', kind: '', columns: ['`user_id`'] }]);
+    expect(orders.foreignKeys).toEqual([{
+      name: 'orders_user_id_fkey',
+      columns: ['user_id'],
+      table: 'users',
+      target: 'public.users',
+      references: ['id'],
+      onUpdate: null,
+      onDelete: 'CASCADE'
+    }]);
+    expect([...reader.leftOut]).toEqual([['CREATE FUNCTION', 1]]);
+  });
+
+  test('writes complete tables and the COPY data as inserts', async () => {
+    const reader = new PgDumpReader();
+    await reader.readSchema(chunks());
+    const statements = [];
+    for await (const statement of reader.statements(chunks())) {
+      statements.push(statement);
+    }
+
+    expect(statements).toHaveLength(3);
+    expect(statements[0]).toContain('PRIMARY KEY (`id`)\n) AUTO_INCREMENT=3');
+    expect(statements[1]).toContain('CONSTRAINT `orders_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE');
+    expect(statements[2]).toBe("INSERT INTO `users` (`id`, `name`, `mood`) VALUES (1,'Ann; Bob','sad'),(2,NULL,'it\\'s ok')");
+  });
+});
@@ -0,0 +1,85 @@
+import sqlParser from 'node-sql-parser';
+import { PostgresTranslator } from '../src/dialects/postgresql.js';
+
+const parser = new sqlParser.Parser();
+
+const USERS = 'CREATE TABLE `users` (' +
+  '`id` int unsigned NOT NULL AUTO_INCREMENT, ' +
+  "`active` tinyint(1) DEFAULT '1', " +
+  "`mood` enum('sad','it''s ok') NOT NULL, " +
+  '`price` decimal(8,2), ' +
+  '`big` bigint unsigned, ' +
+  '`body` longtext, ' +
+  '`data` blob, ' +
+  '`seen` datetime DEFAULT NULL, ' +
+  '`tags` json, ' +
+  'PRIMARY KEY (`id`), UNIQUE KEY `mood` (`mood`), KEY `idx_seen` (`seen`))';
+
+const ORDERS = 'CREATE TABLE `orders` (' +
+  '`id` bigint NOT NULL AUTO_INCREMENT, ' +
+  '`user_id` int unsigned, ' +
+  'PRIMARY KEY (`id`), ' +
+  'CONSTRAINT `fk_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE)';
+
+function translate(translator, statement) {
+  let ast = null;
+  try {
+    ast = parser.astify(statement);
+  } catch (error) {
+    // Statements the parser does not know reach the translator without an AST
+  }
+  return translator.translate(statement, ast);
+}
+
+describe('PostgresTranslator', () => {
+  test('maps column types, ENUM to a CHECK and AUTO_INCREMENT to an identity', () => {
+    expect(translate(new PostgresTranslator(), USERS)).toEqual([[
+      'CREATE TABLE "users" (',
+      '  "id" BIGINT GENERATED BY DEFAULT AS IDENTITY NOT NULL,',
+      '  "active" BOOLEAN DEFAULT TRUE,',
+      '  "mood" VARCHAR(7) NOT NULL CHECK ("mood" IN (\'sad\', \'it\'\'s ok\')),',
+      '  "price" NUMERIC(8,2),',
+      '  "big" NUMERIC(20),',
+      '  "body" TEXT,',
+      '  "data" BYTEA,',
+      '  "seen" TIMESTAMP DEFAULT NULL,',
+      '  "tags" JSONB,',
+      '  PRIMARY KEY ("id")',
+      ')'
+    ].join('\n')]);
+  });
+
+  test('converts the values of inserts to PostgreSQL literals', () => {
+    const translator = new PostgresTranslator();
+    translate(translator, USERS);
+    const insert = "INSERT INTO `users` VALUES (1,1,'it\\'s ok',1.50,NULL,'line\\nbreak \\\\ back','abc','0000-00-00 00:00:00','{}')";
+    expect(translate(translator, insert)).toEqual([
+      'INSERT INTO "users" VALUES\n' +
+      "(1, TRUE, 'it''s ok', 1.50, NULL, 'line\nbreak \\ back', '\\x616263', NULL, '{}')"
+    ]);
+  });
+
+  test('skips MySQL session settings', () => {
+    expect(translate(new PostgresTranslator(), 'SET NAMES utf8mb4')).toEqual([]);
+  });
+
+  test('defers indexes, foreign keys and sequence resets', () => {
+    const translator = new PostgresTranslator();
+    translate(translator, USERS);
+    expect(translate(translator, ORDERS)).toEqual([[
+      'CREATE TABLE "orders" (',
+      '  "id" BIGINT GENERATED BY DEFAULT AS IDENTITY NOT NULL,',
+      '  "user_id" BIGINT,',
+      '  PRIMARY KEY ("id")',
+      ')'
+    ].join('\n')]);
+
+    expect(translator.getDeferredStatements([{ table: 'users', value: '42' }])).toEqual([
+      'CREATE UNIQUE INDEX "users_mood" ON "users" ("mood")',
+      'CREATE INDEX "users_idx_seen" ON "users" ("seen")',
+      'ALTER TABLE "orders" ADD CONSTRAINT "fk_user" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE',
+      'SELECT setval(pg_get_serial_sequence(\'"users"\', \'id\'), GREATEST(COALESCE(MAX("id"), 0) + 1, 42), false) FROM "users"',
+      'SELECT setval(pg_get_serial_sequence(\'"orders"\', \'id\'), COALESCE(MAX("id"), 0) + 1, false) FROM "orders"'
+    ]);
+  });
+});
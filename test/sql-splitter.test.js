@@ -0,0 +1,62 @@
+import { StatementSplitter, isExecutableComment, unwrapExecutableComments } from '../src/utils/sql-splitter.js';
+
+const SQL = `-- header comment; with a semicolon
+# hash comment;
+/* block; comment */
+/*!40101 SET NAMES utf8mb4 */;
+INSERT INTO \`t;1\` VALUES ('a;b', 'it\\'s', 'say ''hi''', "dq;\\"x", 'back\\\\');
+SELECT /*+ MAX_EXECUTION_TIME(1) */ 1;
+DELIMITER ;;
+CREATE TRIGGER trg BEFORE INSERT ON t FOR EACH ROW BEGIN SET NEW.a = 1; SET NEW.b = 2; END ;;
+DELIMITER ;
+SELECT 2--not a comment
+;
+SELECT 3 -- tail comment
+`;
+
+const STATEMENTS = [
+  '/*!40101 SET NAMES utf8mb4 */',
+  "INSERT INTO `t;1` VALUES ('a;b', 'it\\'s', 'say ''hi''', \"dq;\\\"x\", 'back\\\\')",
+  'SELECT /*+ MAX_EXECUTION_TIME(1) */ 1',
+  'CREATE TRIGGER trg BEFORE INSERT ON t FOR EACH ROW BEGIN SET NEW.a = 1; SET NEW.b = 2; END',
+  'SELECT 2--not a comment',
+  'SELECT 3'
+];
+
+function split(chunks, options) {
+  const splitter = new StatementSplitter(options);
+  const statements = [];
+  chunks.forEach(chunk => statements.push(...splitter.push(chunk)));
+  statements.push(...splitter.end());
+  return statements;
+}
+
+describe('StatementSplitter', () => {
+  test('splits on delimiters outside quotes and comments', () => {
+    expect(split([SQL])).toEqual(STATEMENTS);
+  });
+
+  test('gives the same statements wherever the input is cut', () => {
+    for (let i = 1; i < SQL.length; i++) {
+      expect(split([SQL.slice(0, i), SQL.slice(i)])).toEqual(STATEMENTS);
+    }
+    expect(split([...SQL])).toEqual(STATEMENTS);
+  });
+
+  test('treats a backslash as an ordinary character without backslash escapes', () => {
+    expect(split(["SELECT 'a\\'; SELECT 'b';"], { backslashEscapes: false }))
+      .toEqual(["SELECT 'a\\'", "SELECT 'b'"]);
+  });
+
+  test('returns an unterminated last statement at the end', () => {
+    expect(split(['SELECT 1; SELECT 2'])).toEqual(['SELECT 1', 'SELECT 2']);
+  });
+});
+
+describe('executable comments', () => {
+  test('are recognized and unwrapped', () => {
+    expect(isExecutableComment('/*!40101 SET NAMES utf8 */')).toBe(true);
+    expect(isExecutableComment('SET NAMES utf8')).toBe(false);
+    expect(unwrapExecutableComments('/*!40101 SET NAMES utf8 */').trim()).toBe('SET NAMES utf8');
+  });
+});
@@ -0,0 +1,56 @@
+import { TableRenamer } from '../src/utils/table-renamer.js';
+
+describe('TableRenamer', () => {
+  const renamer = () => new TableRenamer({ stripPrefix: 'wp_' });
+
+  test('renames the table of CREATE INDEX', () => {
+    expect(renamer().rewrite('CREATE INDEX idx_login ON wp_users (user_login)'))
+      .toBe('CREATE INDEX idx_login ON users (user_login)');
+    expect(renamer().rewrite('CREATE UNIQUE INDEX `idx_email` ON `wp_users` (`user_email`)'))
+      .toBe('CREATE UNIQUE INDEX `idx_email` ON `users` (`user_email`)');
+    expect(renamer().rewrite('CREATE FULLTEXT INDEX idx_content ON wp_posts (post_content)'))
+      .toBe('CREATE FULLTEXT INDEX idx_content ON posts (post_content)');
+    expect(renamer().rewrite('CREATE INDEX idx_login USING BTREE ON wp_users (user_login)'))
+      .toBe('CREATE INDEX idx_login USING BTREE ON users (user_login)');
+  });
+
+  test('renames the table of DROP INDEX', () => {
+    expect(renamer().rewrite('DROP INDEX idx_login ON wp_users'))
+      .toBe('DROP INDEX idx_login ON users');
+    expect(renamer().rewrite('DROP INDEX `idx_login` ON `db`.`wp_users`'))
+      .toBe('DROP INDEX `idx_login` ON `db`.`users`');
+  });
+
+  test('leaves index names alone', () => {
+    expect(renamer().rewrite('CREATE INDEX wp_idx ON wp_users (user_login)'))
+      .toBe('CREATE INDEX wp_idx ON users (user_login)');
+  });
+
+  test('renames trigger tables but not ON in foreign keys', () => {
+    expect(renamer().rewrite('CREATE TRIGGER t BEFORE INSERT ON wp_users FOR EACH ROW SET NEW.a = 1'))
+      .toBe('CREATE TRIGGER t BEFORE INSERT ON users FOR EACH ROW SET NEW.a = 1');
+    expect(renamer().rewrite(
+      'CREATE TABLE wp_posts (author INT, FOREIGN KEY (author) REFERENCES wp_users (id) ON DELETE CASCADE)'
+    )).toBe('CREATE TABLE posts (author INT, FOREIGN KEY (author) REFERENCES users (id) ON DELETE CASCADE)');
+  });
+
+  test('leaves ON UPDATE clauses and the columns after them alone', () => {
+    expect(renamer().rewrite('CREATE TABLE wp_t (ts timestamp ON UPDATE CURRENT_TIMESTAMP, wp_col int)'))
+      .toBe('CREATE TABLE t (ts timestamp ON UPDATE CURRENT_TIMESTAMP, wp_col int)');
+    expect(renamer().rewrite(
+      'CREATE TABLE wp_posts (author INT, FOREIGN KEY (author) REFERENCES wp_users (id) ON UPDATE CASCADE, wp_p INT)'
+    )).toBe('CREATE TABLE posts (author INT, FOREIGN KEY (author) REFERENCES users (id) ON UPDATE CASCADE, wp_p INT)');
+  });
+
+  test('applies regex rules to tables only, not to ON UPDATE targets', () => {
+    const legacy = new TableRenamer({ rules: [{ pattern: /^(.*)$/, replacement: 'legacy_$1' }] });
+    expect(legacy.rewrite('CREATE TABLE t (ts timestamp ON UPDATE CURRENT_TIMESTAMP, p int)'))
+      .toBe('CREATE TABLE legacy_t (ts timestamp ON UPDATE CURRENT_TIMESTAMP, p int)');
+    expect(legacy.rewrite(
+      'CREATE TABLE c (pid INT, FOREIGN KEY (pid) REFERENCES p (id) ON DELETE RESTRICT ON UPDATE CASCADE, p INT)'
+    )).toBe('CREATE TABLE legacy_c (pid INT, FOREIGN KEY (pid) REFERENCES legacy_p (id) ON DELETE RESTRICT ON UPDATE CASCADE, p INT)');
+    expect(legacy.rewrite(
+      'CREATE TABLE c (pid INT, FOREIGN KEY (pid) REFERENCES p (id) ON UPDATE NO ACTION)'
+    )).toBe('CREATE TABLE legacy_c (pid INT, FOREIGN KEY (pid) REFERENCES legacy_p (id) ON UPDATE NO ACTION)');
+  });
+});
@@ -0,0 +1,78 @@
+import { TypeInference, sqlLiteral } from '../src/utils/type-inference.js';
+
+const RECORDS = [
+  { id: '1', active: 'yes', small: '100', price: '9.99', ratio: '1e5', seen: '2024-01-31 10:30:00', key: '0b5e4f0a-2c6d-4f4e-9b1a-3f2d1c0b9a87', notes: 'x'.repeat(300) },
+  { id: '2', active: 'no', small: '-5', price: '10.5', ratio: '2e-3', seen: '2024-02-01 08:00:00', key: '1c6f5a1b-3d7e-4a5f-8c2b-4a3e2d1c0b98', notes: 'short' }
+];
+
+function infer(dialect) {
+  const inference = new TypeInference({ dialect });
+  RECORDS.forEach(record => inference.add(record));
+  return inference.result();
+}
+
+describe('TypeInference', () => {
+  test('chooses MySQL types by default', () => {
+    const columns = infer();
+    expect(Object.fromEntries(Object.entries(columns).map(([name, { type }]) => [name, type]))).toEqual({
+      id: 'TINYINT',
+      active: 'BOOLEAN',
+      small: 'TINYINT',
+      price: 'DECIMAL(4,2)',
+      ratio: 'DOUBLE',
+      seen: 'DATETIME',
+      key: 'CHAR(36)',
+      notes: 'TEXT'
+    });
+    expect(columns.id.primaryKey).toBe(true);
+  });
+
+  test('chooses PostgreSQL types for postgresql', () => {
+    const columns = infer('postgresql');
+    expect(Object.fromEntries(Object.entries(columns).map(([name, { type }]) => [name, type]))).toEqual({
+      id: 'SMALLINT',
+      active: 'BOOLEAN',
+      small: 'SMALLINT',
+      price: 'DECIMAL(4,2)',
+      ratio: 'DOUBLE PRECISION',
+      seen: 'TIMESTAMP',
+      key: 'UUID',
+      notes: 'TEXT'
+    });
+  });
+
+  test('uses the widest integer type a dialect has', () => {
+    const inference = new TypeInference({ dialect: 'postgresql' });
+    inference.add({ count: '100000' });
+    expect(inference.result().count.type).toBe('INTEGER');
+  });
+
+  test('keeps overridden types', () => {
+    const inference = new TypeInference({ dialect: 'postgresql', overrides: { small: 'NUMERIC(4)' } });
+    inference.add({ small: '1' });
+    expect(inference.result().small).toMatchObject({ type: 'NUMERIC(4)', kind: 'override' });
+  });
+});
+
+describe('sqlLiteral', () => {
+  const columns = infer();
+
+  test('writes booleans as 1 and 0 for MySQL and TRUE and FALSE for PostgreSQL', () => {
+    expect(sqlLiteral('yes', columns.active)).toBe("'1'");
+    expect(sqlLiteral('no', columns.active)).toBe("'0'");
+    expect(sqlLiteral('yes', columns.active, 'postgresql')).toBe('TRUE');
+    expect(sqlLiteral('no', columns.active, 'postgresql')).toBe('FALSE');
+  });
+
+  test('writes empty values as NULL and quotes strings', () => {
+    expect(sqlLiteral('', columns.notes, 'postgresql')).toBe('NULL');
+    expect(sqlLiteral(null, columns.active, 'postgresql')).toBe('NULL');
+    expect(sqlLiteral("it's", columns.notes, 'postgresql')).toBe("'it''s'");
+  });
+
+  test('escapes backslashes for MySQL only', () => {
+    expect(sqlLiteral('C:\\temp\\new', columns.notes)).toBe("'C:\\\\temp\\\\new'");
+    expect(sqlLiteral("it's\n", columns.notes)).toBe("'it\\'s\\n'");
+    expect(sqlLiteral('C:\\temp', columns.notes, 'postgresql')).toBe("'C:\\temp'");
+  });
+});